@@ -0,0 +1,54 @@
+// backfillEffectivePrices.js
+// One-off backfill of the stored effectivePrice that course listings filter
+// and sort on. Courses saved before the field existed have none until they
+// are saved again, so run this once after deploying pricing tiers. Safe to
+// run more than once - the daily cron keeps the field up to date afterwards.
+//
+// Usage: node backfillEffectivePrices.js
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const { refreshEffectivePrices } = require('./services/pricingService');
+
+// Load environment variables
+dotenv.config();
+
+// Connect to MongoDB
+async function connectDB() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('MongoDB Connected...');
+  } catch (err) {
+    console.error('Database connection error:', err);
+    process.exit(1);
+  }
+}
+
+async function backfillEffectivePrices() {
+  try {
+    const updated = await refreshEffectivePrices();
+    console.log(`\n✅ Set the effective price of ${updated} course(s)`);
+    return true;
+  } catch (error) {
+    console.error('Error backfilling effective prices:', error);
+    return false;
+  }
+}
+
+// Main function
+async function main() {
+  await connectDB();
+  const done = await backfillEffectivePrices();
+
+  // Close connection
+  await mongoose.connection.close();
+  console.log('\nDatabase connection closed.');
+  process.exit(done ? 0 : 1);
+}
+
+// Run the script
+if (require.main === module) {
+  main();
+}
+
+module.exports = { backfillEffectivePrices };
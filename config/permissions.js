@@ -0,0 +1,145 @@
+// config/permissions.js - Named permissions and the roles that hold them
+//
+// Routes ask for a permission (e.g. 'course.update') rather than a role. What a
+// permission covers depends on the role's scope:
+//   - admin:       any resource on the platform
+//   - institution: resources belonging to the user's institution
+//   - aspirant:    resources the user created (their own reviews...)
+// Admins and institution staff additionally have a sub-role (adminRole /
+// institutionRole) that decides which permissions they hold.
+
+const roleScopes = {
+  admin: 'any',
+  institution: 'institution',
+  aspirant: 'self'
+};
+
+const adminRolePermissions = {
+  super_admin: [
+    'dashboard.view', 'finance.view',
+    'user.view', 'user.manage', 'user.impersonate', 'admin.manage', 'security.audit', 'settings.manage',
+    'institution.view', 'institution.verify', 'institution.manage',
+    'course.view', 'course.publish', 'course.feature',
+    'coupon.view', 'coupon.manage',
+    'review.view', 'review.moderate'
+  ],
+  moderator: [
+    'dashboard.view',
+    'user.view',
+    'institution.view', 'institution.verify',
+    'course.view', 'course.publish',
+    'review.view', 'review.moderate'
+  ],
+  finance_admin: [
+    'dashboard.view', 'finance.view',
+    'institution.view',
+    'course.view',
+    'coupon.view', 'coupon.manage'
+  ]
+};
+
+// The institution's original account is its owner. Other staff join by
+// invitation as managers, counselors or faculty and act on the owner's data
+const institutionRolePermissions = {
+  owner: [
+    'institution.view', 'institution.update',
+    'institution.analytics', 'finance.view', 'review.view', 'enrollment.view', 'enrollment.manage',
+    'course.view', 'course.create', 'course.update', 'course.pricing',
+    'course.publish', 'course.promote', 'course.delete',
+    'coupon.view', 'coupon.manage',
+    'member.view', 'member.manage', 'member.manageManagers'
+  ],
+  manager: [
+    'institution.view', 'institution.update',
+    'institution.analytics', 'finance.view', 'review.view', 'enrollment.view', 'enrollment.manage',
+    'course.view', 'course.create', 'course.update', 'course.pricing',
+    'course.publish', 'course.promote', 'course.delete',
+    'coupon.view', 'coupon.manage',
+    'member.view', 'member.manage'
+  ],
+  counselor: [
+    'institution.view', 'review.view', 'enrollment.view', 'course.view', 'coupon.view'
+  ],
+  faculty: [
+    'institution.view', 'review.view', 'course.view', 'course.update'
+  ]
+};
+
+const aspirantPermissions = [
+  'review.create'
+];
+
+const adminRoles = Object.keys(adminRolePermissions);
+const institutionRoles = Object.keys(institutionRolePermissions);
+
+// Permissions held by a user ({ role, adminRole, institutionRole } - a User
+// document or req.user). Admins without a sub-role predate sub-roles and are
+// treated as super admins; institution accounts without one are owners
+const getPermissions = (user) => {
+  if (!user) return [];
+
+  switch (user.role) {
+    case 'admin':
+      return adminRolePermissions[user.adminRole || 'super_admin'] || [];
+    case 'institution':
+      return institutionRolePermissions[user.institutionRole || 'owner'] || [];
+    case 'aspirant':
+      return aspirantPermissions;
+    default:
+      return [];
+  }
+};
+
+const hasPermission = (user, permission) => getPermissions(user).includes(permission);
+
+// Whether a resource falls inside the user's scope. `owners` names who the
+// resource belongs to: { institution, user }
+const isResourceOwner = (user, owners = {}) => {
+  const matches = (ownerId, id) => !!ownerId && !!id && (ownerId._id || ownerId).toString() === id;
+
+  switch (roleScopes[user?.role]) {
+    case 'any':
+      return true;
+    case 'institution':
+      return matches(owners.institution, user.institutionId);
+    case 'self':
+      return matches(owners.user, user.id);
+    default:
+      return false;
+  }
+};
+
+// Course fields that need a permission on top of course.update (e.g. faculty
+// can edit course content but not prices)
+const restrictedCourseFields = {
+  'course.pricing': ['price', 'originalPrice', 'discount', 'installmentPlans', 'pricingTiers'],
+  'course.publish': ['isPublished', 'status']
+};
+
+// The first permission the user lacks to change the given course fields, or
+// undefined when they may change all of them
+const getMissingCoursePermission = (user, fields) => {
+  return Object.keys(restrictedCourseFields).find(permission =>
+    restrictedCourseFields[permission].some(field => fields.includes(field)) &&
+    !hasPermission(user, permission)
+  );
+};
+
+// Permission check for one resource
+const canAccessResource = (user, permission, owners) => {
+  return hasPermission(user, permission) && isResourceOwner(user, owners);
+};
+
+module.exports = {
+  adminRoles,
+  adminRolePermissions,
+  institutionRoles,
+  institutionRolePermissions,
+  aspirantPermissions,
+  getPermissions,
+  hasPermission,
+  isResourceOwner,
+  canAccessResource,
+  restrictedCourseFields,
+  getMissingCoursePermission
+};
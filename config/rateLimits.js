@@ -0,0 +1,35 @@
+// config/rateLimits.js - Per-route throttling limits
+//
+// Every route has a fixed window and two counters: one per client IP and one
+// per account (the email or phone in the request body). Each value can be
+// overridden with RATE_LIMIT_<ROUTE>_WINDOW (seconds), RATE_LIMIT_<ROUTE>_IP
+// and RATE_LIMIT_<ROUTE>_ACCOUNT, e.g. RATE_LIMIT_LOGIN_IP=50.
+// twoFactor is only counted per IP - accounts are covered by the login lockout.
+const defaults = {
+  login: { windowSeconds: 15 * 60, ip: 30, account: 10 },
+  sendOtp: { windowSeconds: 60 * 60, ip: 10, account: 5 },
+  verifyOtp: { windowSeconds: 15 * 60, ip: 30, account: 10 },
+  forgotPassword: { windowSeconds: 60 * 60, ip: 10, account: 3 },
+  twoFactor: { windowSeconds: 15 * 60, ip: 30, account: 0 }
+};
+
+const fromEnv = (name, field) => {
+  const envName = `RATE_LIMIT_${name.replace(/[A-Z]/g, c => `_${c}`).toUpperCase()}_${field}`;
+  const value = parseInt(process.env[envName]);
+  return Number.isNaN(value) ? undefined : value;
+};
+
+const getRateLimit = (name) => {
+  const limit = defaults[name];
+  if (!limit) {
+    throw new Error(`No rate limit configured for "${name}"`);
+  }
+
+  return {
+    windowSeconds: fromEnv(name, 'WINDOW') ?? limit.windowSeconds,
+    ip: fromEnv(name, 'IP') ?? limit.ip,
+    account: fromEnv(name, 'ACCOUNT') ?? limit.account
+  };
+};
+
+module.exports = { getRateLimit };
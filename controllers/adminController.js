@@ -1,7 +1,21 @@
 // controllers/adminController.js - Updated with getAllReviews functionality
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const Course = require('../models/Course');
 const AdminSettings = require('../models/AdminSettings');
+const Invitation = require('../models/Invitation');
+const LoginEvent = require('../models/LoginEvent');
+const Session = require('../models/Session');
+const ImpersonationLog = require('../models/ImpersonationLog');
+const CourseRevision = require('../models/CourseRevision');
+const { sendInvitationEmail, sendCourseReviewDecisionEmail } = require('../services/emailServices');
+const { adminRoles } = require('../config/permissions');
+
+const adminRoleLabels = {
+  super_admin: 'Super Administrator',
+  moderator: 'Moderator',
+  finance_admin: 'Finance Administrator'
+};
 
 // @desc    Get admin dashboard stats
 // @route   GET /api/admin/stats
@@ -9,13 +23,15 @@ const AdminSettings = require('../models/AdminSettings');
 exports.getAdminStats = async (req, res) => {
   try {
     const aspirantCount = await User.countDocuments({ role: 'aspirant' });
-    const institutionCount = await User.countDocuments({ role: 'institution' });
+    const institutionCount = await User.countDocuments({ role: 'institution', memberOf: null });
     const verifiedInstitutions = await User.countDocuments({ 
       role: 'institution', 
+      memberOf: null,
       isVerified: true 
     });
     const pendingInstitutions = await User.countDocuments({ 
       role: 'institution', 
+      memberOf: null,
       isVerified: false 
     });
     const courseCount = await Course.countDocuments();
@@ -210,10 +226,14 @@ exports.getInstitutions = async (req, res) => {
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
     
-    let query = { role: 'institution' };
+    // Institution accounts only - staff members are listed under their institution
+    let query = { role: 'institution', memberOf: null };
     if (req.query.isVerified !== undefined && req.query.isVerified !== '') {
       query.isVerified = req.query.isVerified === 'true';
     }
+    if (req.query.verificationStatus) {
+      query.verificationStatus = req.query.verificationStatus;
+    }
     
     const institutions = await User.find(query)
       .select('-password')
@@ -238,38 +258,6 @@ exports.getInstitutions = async (req, res) => {
   }
 };
 
-// @desc    Verify institution
-// @route   PUT /api/admin/institutions/:id/verify
-// @access  Private
-exports.verifyInstitution = async (req, res) => {
-  try {
-    const { isApproved, rejectionReason } = req.body;
-    
-    const institution = await User.findById(req.params.id);
-    
-    if (!institution || institution.role !== 'institution') {
-      return res.status(404).json({ success: false, message: 'Institution not found' });
-    }
-    
-    institution.isVerified = isApproved;
-    institution.verificationStatus = isApproved ? 'approved' : 'rejected';
-    institution.verifiedAt = isApproved ? new Date() : undefined;
-    institution.rejectionReason = !isApproved ? rejectionReason : undefined;
-    institution.verifiedBy = req.user.id;
-    
-    await institution.save();
-    
-    res.status(200).json({
-      success: true,
-      message: `Institution ${isApproved ? 'approved' : 'rejected'} successfully`,
-      data: institution
-    });
-  } catch (error) {
-    console.error('Error verifying institution:', error);
-    res.status(500).json({ success: false, message: 'Server error', error: error.message });
-  }
-};
-
 // @desc    Update institution status
 // @route   PUT /api/admin/institutions/:id/status
 // @access  Private
@@ -279,7 +267,7 @@ exports.updateInstitutionStatus = async (req, res) => {
     
     const institution = await User.findById(req.params.id);
     
-    if (!institution || institution.role !== 'institution') {
+    if (!institution || institution.role !== 'institution' || institution.memberOf) {
       return res.status(404).json({ success: false, message: 'Institution not found' });
     }
     
@@ -350,12 +338,10 @@ exports.toggleCoursePublication = async (req, res) => {
   try {
     const { isPublished, reason } = req.body;
     
-    const course = await Course.findById(req.params.id);
-    
-    if (!course) {
-      return res.status(404).json({ success: false, message: 'Course not found' });
-    }
+    // Loaded by the loadCourse guard
+    const course = req.course;
     
+    const before = CourseRevision.snapshot(course, ['isPublished', 'status']);
     course.isPublished = isPublished;
     course.status = isPublished ? 'published' : 'suspended';
     course.adminAction = {
@@ -366,6 +352,7 @@ exports.toggleCoursePublication = async (req, res) => {
     };
     
     await course.save();
+    await CourseRevision.record(course, before, { user: req.user, action: 'publication', note: reason });
     
     res.status(200).json({
       success: true,
@@ -378,6 +365,103 @@ exports.toggleCoursePublication = async (req, res) => {
   }
 };
 
+// @desc    Get courses waiting for review, oldest submission first
+// @route   GET /api/admin/courses/review-queue
+// @access  Private
+exports.getCourseReviewQueue = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+    
+    const query = { status: 'pending_review' };
+    
+    const [courses, total] = await Promise.all([
+      Course.find(query)
+        .select('-enrollments -reviews')
+        .populate('institution', 'name email institutionProfile.institutionName isVerified')
+        .sort({ reviewSubmittedAt: 1 })
+        .skip(skip)
+        .limit(limit),
+      Course.countDocuments(query)
+    ]);
+    
+    res.status(200).json({
+      success: true,
+      data: courses,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Error getting course review queue:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Decide a course waiting for review: { action: approve |
+//          request_changes, comments }. Comments are required to request changes
+// @route   PUT /api/admin/courses/:id/review
+// @access  Private
+exports.reviewCourse = async (req, res) => {
+  try {
+    const { action, comments } = req.body;
+    
+    if (!['approve', 'request_changes'].includes(action)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Action must be either "approve" or "request_changes"'
+      });
+    }
+    
+    if (action === 'request_changes' && !comments) {
+      return res.status(400).json({ success: false, message: 'Please add comments describing the changes needed' });
+    }
+    
+    // Loaded by the loadCourse guard
+    const course = req.course;
+    
+    if (course.status !== 'pending_review') {
+      return res.status(400).json({ success: false, message: 'This course is not waiting for review' });
+    }
+    
+    const approved = action === 'approve';
+    const before = CourseRevision.snapshot(course, ['isPublished', 'status']);
+    
+    course.isPublished = approved;
+    course.status = approved ? 'published' : 'changes_requested';
+    course.adminAction = {
+      action: approved ? 'approved' : 'changes_requested',
+      reason: comments || '',
+      actionBy: req.user.id,
+      actionAt: new Date()
+    };
+    
+    await course.save();
+    await CourseRevision.record(course, before, { user: req.user, action: 'publication', note: comments });
+    
+    const institution = await User.findById(course.institution).select('name email institutionProfile.institutionName');
+    if (institution) {
+      await sendCourseReviewDecisionEmail(institution.email, institution.institutionProfile?.institutionName || institution.name, {
+        courseTitle: course.title,
+        approved,
+        note: comments
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: approved ? 'Course approved and published' : 'Changes requested from the institution',
+      data: course
+    });
+  } catch (error) {
+    console.error('Error reviewing course:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
 // @desc    Get all pending reviews - UPDATED
 // @route   GET /api/admin/reviews/pending
 // @access  Private
@@ -519,18 +603,10 @@ exports.getAllReviews = async (req, res) => {
 // @access  Private
 exports.verifyReview = async (req, res) => {
   try {
-    const { courseId, reviewId } = req.params;
     const { action, rejectionReason } = req.body;
     
-    const course = await Course.findById(courseId);
-    if (!course) {
-      return res.status(404).json({ success: false, message: 'Course not found' });
-    }
-    
-    const review = course.reviews.id(reviewId);
-    if (!review) {
-      return res.status(404).json({ success: false, message: 'Review not found' });
-    }
+    // Loaded by the loadReview guard
+    const { course, review } = req;
     
     // Update review based on action
     if (action === 'approve') {
@@ -567,21 +643,63 @@ exports.verifyReview = async (req, res) => {
   }
 };
 
-// @desc    Get login activity
+// First of the given query parameters that holds a malformed ObjectId or date,
+// so list filters can answer 400 instead of failing with a cast error
+const findInvalidFilter = (query, idParams) => {
+  const badId = idParams.find(param => query[param] && !mongoose.isValidObjectId(query[param]));
+  if (badId) return badId;
+  return ['from', 'to'].find(param => query[param] && isNaN(new Date(query[param]))) || null;
+};
+
+// @desc    Get login events, filtered by userId, role, outcome, method,
+//          reason, suspicious, ipAddress, identifier and from/to dates
 // @route   GET /api/admin/activity/logins
 // @access  Private
 exports.getLoginActivity = async (req, res) => {
   try {
-    const limit = parseInt(req.query.limit) || 50;
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const skip = (page - 1) * limit;
     
-    const recentLogins = await User.find({ lastLogin: { $exists: true } })
-      .select('name email role lastLogin ipAddress')
-      .sort({ lastLogin: -1 })
-      .limit(limit);
+    const invalidFilter = findInvalidFilter(req.query, ['userId']);
+    if (invalidFilter) {
+      return res.status(400).json({ success: false, message: `Invalid ${invalidFilter}` });
+    }
+    
+    // Build query
+    const query = {};
+    if (req.query.userId) query.user = req.query.userId;
+    if (req.query.role) query.role = req.query.role;
+    if (req.query.outcome) query.outcome = req.query.outcome;
+    if (req.query.method) query.method = req.query.method;
+    if (req.query.reason) query.reason = req.query.reason;
+    if (req.query.suspicious) query.suspicious = req.query.suspicious === 'true';
+    if (req.query.ipAddress) query.ipAddress = req.query.ipAddress;
+    if (req.query.identifier) query.identifier = req.query.identifier.toLowerCase().trim();
+    
+    if (req.query.from || req.query.to) {
+      query.createdAt = {};
+      if (req.query.from) query.createdAt.$gte = new Date(req.query.from);
+      if (req.query.to) query.createdAt.$lte = new Date(req.query.to);
+    }
+    
+    const [events, total] = await Promise.all([
+      LoginEvent.find(query)
+        .populate('user', 'name email phone role')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      LoginEvent.countDocuments(query)
+    ]);
     
     res.status(200).json({
       success: true,
-      data: recentLogins
+      data: events,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
     });
   } catch (error) {
     console.error('Error getting login activity:', error);
@@ -589,6 +707,121 @@ exports.getLoginActivity = async (req, res) => {
   }
 };
 
+// @desc    Start impersonating a user ("view as user"). Returns a short-lived
+//          access token for the user's account; every request made with it
+//          is logged against both the admin and the user
+// @route   POST /api/admin/users/:id/impersonate
+// @access  Private
+exports.impersonateUser = async (req, res) => {
+  try {
+    const reason = (req.body.reason || '').trim();
+    
+    if (!reason) {
+      return res.status(400).json({ success: false, message: 'A reason is required to impersonate a user' });
+    }
+    
+    const user = mongoose.Types.ObjectId.isValid(req.params.id) ? await User.findById(req.params.id) : null;
+    
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    
+    if (user.role === 'admin') {
+      return res.status(403).json({ success: false, message: 'Admin accounts cannot be impersonated' });
+    }
+    
+    if (!user.isActive) {
+      return res.status(400).json({ success: false, message: 'Cannot impersonate a deactivated account' });
+    }
+    
+    const admin = await User.findById(req.user.id);
+    const { session, token } = await Session.startImpersonation(user, admin, req, reason);
+    
+    await ImpersonationLog.record(req, {
+      admin: admin._id,
+      user: user._id,
+      session: session._id,
+      action: 'start',
+      reason
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: `Impersonating ${user.name}`,
+      data: {
+        token,
+        expiresAt: session.expiresAt,
+        impersonatedBy: admin._id,
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          phone: user.phone,
+          role: user.role,
+          institutionId: user.institutionId,
+          institutionRole: user.institutionRole
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error starting impersonation:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get the impersonation audit log, filtered by adminId, userId,
+//          sessionId, action and from/to dates
+// @route   GET /api/admin/activity/impersonations
+// @access  Private
+exports.getImpersonationLogs = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const skip = (page - 1) * limit;
+    
+    const invalidFilter = findInvalidFilter(req.query, ['adminId', 'userId', 'sessionId']);
+    if (invalidFilter) {
+      return res.status(400).json({ success: false, message: `Invalid ${invalidFilter}` });
+    }
+    
+    // Build query
+    const query = {};
+    if (req.query.adminId) query.admin = req.query.adminId;
+    if (req.query.userId) query.user = req.query.userId;
+    if (req.query.sessionId) query.session = req.query.sessionId;
+    if (req.query.action) query.action = req.query.action;
+    
+    if (req.query.from || req.query.to) {
+      query.createdAt = {};
+      if (req.query.from) query.createdAt.$gte = new Date(req.query.from);
+      if (req.query.to) query.createdAt.$lte = new Date(req.query.to);
+    }
+    
+    const [logs, total] = await Promise.all([
+      ImpersonationLog.find(query)
+        .populate('admin', 'name email adminRole')
+        .populate('user', 'name email phone role')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      ImpersonationLog.countDocuments(query)
+    ]);
+    
+    res.status(200).json({
+      success: true,
+      data: logs,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Error getting impersonation logs:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
 // @desc    Get system overview
 // @route   GET /api/admin/system/overview
 // @access  Private
@@ -649,4 +882,304 @@ exports.updateUserStatus = async (req, res) => {
     console.error('Error updating user status:', error);
     res.status(500).json({ success: false, message: 'Server error', error: error.message });
   }
-};
\ No newline at end of file
+};
+// @desc    Get two-factor authentication policy per role
+// @route   GET /api/admin/settings/two-factor
+// @access  Private
+exports.getTwoFactorPolicy = async (req, res) => {
+  try {
+    const settings = await AdminSettings.findOne();
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        aspirant: settings?.twoFactorPolicy?.aspirant || 'optional',
+        institution: settings?.twoFactorPolicy?.institution || 'optional',
+        admin: 'required'
+      }
+    });
+  } catch (error) {
+    console.error('Error getting two-factor policy:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Update two-factor authentication policy (admin is always required)
+// @route   PUT /api/admin/settings/two-factor
+// @access  Private
+exports.updateTwoFactorPolicy = async (req, res) => {
+  try {
+    const { aspirant, institution } = req.body;
+    const allowedValues = ['optional', 'required'];
+    
+    if ((aspirant && !allowedValues.includes(aspirant)) || 
+        (institution && !allowedValues.includes(institution))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Policy must be either "optional" or "required"'
+      });
+    }
+    
+    let settings = await AdminSettings.findOne();
+    if (!settings) {
+      settings = new AdminSettings();
+    }
+    
+    if (aspirant) settings.twoFactorPolicy.aspirant = aspirant;
+    if (institution) settings.twoFactorPolicy.institution = institution;
+    settings.lastUpdatedBy = req.user.id;
+    await settings.save();
+    
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor policy updated successfully',
+      data: settings.twoFactorPolicy
+    });
+  } catch (error) {
+    console.error('Error updating two-factor policy:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get the course fields whose change sends a published course back to review
+// @route   GET /api/admin/settings/course-review
+// @access  Private
+exports.getCourseReviewSettings = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: {
+        reviewFields: await AdminSettings.getCourseReviewFields(),
+        defaultReviewFields: AdminSettings.DEFAULT_COURSE_REVIEW_FIELDS
+      }
+    });
+  } catch (error) {
+    console.error('Error getting course review settings:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Set the course fields whose change sends a published course back
+//          to review: { reviewFields: [...] }, or null to restore the defaults
+// @route   PUT /api/admin/settings/course-review
+// @access  Private
+exports.updateCourseReviewSettings = async (req, res) => {
+  try {
+    const { reviewFields } = req.body;
+    
+    if (reviewFields !== null && !Array.isArray(reviewFields)) {
+      return res.status(400).json({ success: false, message: 'reviewFields must be a list of course fields' });
+    }
+    
+    const unknownFields = (reviewFields || []).filter(field => Course.schema.pathType(field) === 'adhocOrUndefined');
+    if (unknownFields.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown course fields: ${unknownFields.join(', ')}`
+      });
+    }
+    
+    let settings = await AdminSettings.findOne();
+    if (!settings) {
+      settings = new AdminSettings();
+    }
+    
+    settings.courseReviewFields = reviewFields ? [...new Set(reviewFields)] : undefined;
+    settings.lastUpdatedBy = req.user.id;
+    await settings.save();
+    
+    res.status(200).json({
+      success: true,
+      message: 'Course review settings updated successfully',
+      data: {
+        reviewFields: settings.courseReviewFields || AdminSettings.DEFAULT_COURSE_REVIEW_FIELDS
+      }
+    });
+  } catch (error) {
+    console.error('Error updating course review settings:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get admin invitations (pending by default)
+// @route   GET /api/admin/invitations
+// @access  Private
+exports.getAdminInvitations = async (req, res) => {
+  try {
+    const { status = 'pending' } = req.query;
+    
+    const query = { kind: 'admin' };
+    if (status !== 'all') {
+      query.status = status;
+    }
+    
+    const invitations = await Invitation.find(query)
+      .populate('invitedBy', 'name email')
+      .populate('acceptedBy', 'name email')
+      .populate('revokedBy', 'name email')
+      .sort('-createdAt');
+    
+    res.status(200).json({
+      success: true,
+      count: invitations.length,
+      data: invitations.map(invitation => ({
+        id: invitation._id,
+        email: invitation.email,
+        adminRole: invitation.adminRole,
+        status: invitation.status === 'pending' && invitation.isExpired ? 'expired' : invitation.status,
+        invitedBy: invitation.invitedBy,
+        expiresAt: invitation.expiresAt,
+        acceptedAt: invitation.acceptedAt,
+        acceptedBy: invitation.acceptedBy,
+        revokedAt: invitation.revokedAt,
+        revokedBy: invitation.revokedBy,
+        createdAt: invitation.createdAt
+      }))
+    });
+  } catch (error) {
+    console.error('Error getting admin invitations:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Invite a new admin by email
+// @route   POST /api/admin/invitations
+// @access  Private
+exports.inviteAdmin = async (req, res) => {
+  try {
+    const { email, role } = req.body;
+    
+    if (!email || !role) {
+      return res.status(400).json({ success: false, message: 'Email and role are required' });
+    }
+    
+    if (!adminRoles.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${adminRoles.join(', ')}`
+      });
+    }
+    
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      return res.status(400).json({ success: false, message: 'Email already registered' });
+    }
+    
+    const inviter = await User.findById(req.user.id).select('name');
+    
+    // A new invitation replaces any pending one for the same email
+    await Invitation.updateMany(
+      { kind: 'admin', email, status: 'pending' },
+      { status: 'revoked', revokedAt: Date.now(), revokedBy: req.user.id }
+    );
+    
+    const invitation = await Invitation.create({
+      kind: 'admin',
+      email,
+      adminRole: role,
+      invitedBy: req.user.id
+    });
+    
+    const emailSent = await sendInvitationEmail(invitation.email, {
+      inviterName: inviter.name,
+      roleLabel: adminRoleLabels[role],
+      acceptUrl: invitation.getInviteUrl(),
+      expiresAt: invitation.expiresAt
+    });
+    
+    if (!emailSent) {
+      await invitation.deleteOne();
+      return res.status(500).json({ success: false, message: 'Failed to send invitation email' });
+    }
+    
+    res.status(201).json({
+      success: true,
+      message: 'Invitation sent successfully',
+      data: {
+        id: invitation._id,
+        email: invitation.email,
+        adminRole: invitation.adminRole,
+        expiresAt: invitation.expiresAt
+      }
+    });
+  } catch (error) {
+    console.error('Error inviting admin:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Revoke a pending admin invitation
+// @route   DELETE /api/admin/invitations/:id
+// @access  Private
+exports.revokeAdminInvitation = async (req, res) => {
+  try {
+    const invitation = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Invitation.findOneAndUpdate(
+        { _id: req.params.id, kind: 'admin', status: 'pending' },
+        { status: 'revoked', revokedAt: Date.now(), revokedBy: req.user.id },
+        { new: true }
+      )
+      : null;
+    
+    if (!invitation) {
+      return res.status(404).json({ success: false, message: 'Invitation not found' });
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Invitation revoked successfully'
+    });
+  } catch (error) {
+    console.error('Error revoking admin invitation:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Change an admin's sub-role
+// @route   PUT /api/admin/admins/:id/role
+// @access  Private
+exports.updateAdminRole = async (req, res) => {
+  try {
+    const { role } = req.body;
+    
+    if (!adminRoles.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${adminRoles.join(', ')}`
+      });
+    }
+    
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({ success: false, message: 'You cannot change your own role' });
+    }
+    
+    const admin = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await User.findOne({ _id: req.params.id, role: 'admin' })
+      : null;
+    
+    if (!admin) {
+      return res.status(404).json({ success: false, message: 'Admin not found' });
+    }
+    
+    admin.adminRole = role;
+    await admin.save({ validateBeforeSave: false });
+    
+    // Existing sessions carry the old permissions in the admin panel; make
+    // them sign in again
+    await Session.revokeAllForUser(admin._id, 'admin_role_changed');
+    
+    res.status(200).json({
+      success: true,
+      message: 'Admin role updated successfully',
+      data: {
+        id: admin._id,
+        name: admin.name,
+        email: admin.email,
+        adminRole: admin.adminRole
+      }
+    });
+  } catch (error) {
+    console.error('Error updating admin role:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
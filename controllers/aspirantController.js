@@ -1,5 +1,9 @@
 // controllers/aspirantController.js
 const User = require('../models/User');
+const Session = require('../models/Session');
+const archiver = require('archiver');
+const { buildExport } = require('../services/aspirantDataService');
+const { sendAccountDeletionScheduledEmail } = require('../services/emailServices');
 
 // @desc    Get aspirant profile
 // @route   GET /api/aspirant/profile
@@ -16,6 +20,8 @@ exports.getAspirantProfile = async (req, res) => {
       success: true,
       name: user.name,
       email: user.email,
+      phone: user.phone,
+      isPhoneVerified: user.isPhoneVerified,
       role: user.role,
       createdAt: user.createdAt
     });
@@ -32,18 +38,17 @@ exports.updateAspirantProfile = async (req, res) => {
   try {
     const { name, email } = req.body;
     
+    // The email can only be changed through the verified flow
+    if (email && email.toLowerCase().trim() !== req.user.email) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Use /api/auth/email-change to change your email address' 
+      });
+    }
+    
     // Build update object
     const updateFields = {};
     if (name) updateFields.name = name;
-    if (email) updateFields.email = email;
-    
-    // Check if email is already used by another user
-    if (email) {
-      const existingUser = await User.findOne({ email });
-      if (existingUser && existingUser._id.toString() !== req.user.id) {
-        return res.status(400).json({ success: false, message: 'Email already in use' });
-      }
-    }
     
     // Update user
     const user = await User.findByIdAndUpdate(
@@ -101,6 +106,9 @@ exports.changePassword = async (req, res) => {
     user.password = newPassword;
     await user.save();
     
+    // Sign out every other device
+    await Session.revokeAllForUser(user._id, 'password_changed', req.user.sessionId);
+    
     res.status(200).json({
       success: true,
       message: 'Password updated successfully'
@@ -109,4 +117,152 @@ exports.changePassword = async (req, res) => {
     console.error('Error changing password:', error);
     res.status(500).json({ success: false, message: 'Server error', error: error.message });
   }
-};
\ No newline at end of file
+};
+
+// @desc    Download all personal data as JSON or a ZIP of JSON files
+// @route   GET /api/aspirant/export?format=json|zip
+// @access  Private
+exports.exportAccountData = async (req, res) => {
+  try {
+    const format = req.query.format === 'zip' ? 'zip' : 'json';
+    const data = await buildExport(req.user.id);
+    
+    if (!data) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    
+    const fileName = `civilshq-data-${new Date().toISOString().slice(0, 10)}`;
+    
+    if (format === 'json') {
+      res.attachment(`${fileName}.json`);
+      return res.status(200).send(JSON.stringify(data, null, 2));
+    }
+    
+    const archive = archiver('zip');
+    archive.on('error', (error) => {
+      console.error('Error building data export archive:', error);
+      res.destroy(error);
+    });
+    
+    res.attachment(`${fileName}.zip`);
+    archive.pipe(res);
+    
+    Object.entries(data).forEach(([section, content]) => {
+      if (section === 'exportedAt') return;
+      archive.append(JSON.stringify(content, null, 2), { name: `${section}.json` });
+    });
+    archive.append(
+      `Personal data export from CivilsHQ\nGenerated: ${data.exportedAt.toISOString()}\n`,
+      { name: 'README.txt' }
+    );
+    
+    await archive.finalize();
+  } catch (error) {
+    console.error('Error exporting account data:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ success: false, message: 'Server error', error: error.message });
+    }
+  }
+};
+
+// @desc    Get account deletion status
+// @route   GET /api/aspirant/account/deletion
+// @access  Private
+exports.getAccountDeletion = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('deletionRequestedAt deletionScheduledFor');
+    
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        isScheduled: !!user.deletionScheduledFor,
+        requestedAt: user.deletionRequestedAt,
+        scheduledFor: user.deletionScheduledFor
+      }
+    });
+  } catch (error) {
+    console.error('Error getting account deletion status:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Request account deletion (takes effect after the grace period)
+// @route   POST /api/aspirant/account/deletion
+// @access  Private
+exports.requestAccountDeletion = async (req, res) => {
+  try {
+    const { password } = req.body;
+    
+    const user = await User.findById(req.user.id).select('+password');
+    
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    
+    // Accounts created with a phone number have no password to confirm
+    if (user.password) {
+      if (!password) {
+        return res.status(400).json({ success: false, message: 'Please confirm your password' });
+      }
+      
+      const isMatch = await user.matchPassword(password);
+      if (!isMatch) {
+        return res.status(401).json({ success: false, message: 'Password is incorrect' });
+      }
+    }
+    
+    if (user.deletionScheduledFor) {
+      return res.status(400).json({
+        success: false,
+        message: 'Account deletion has already been requested',
+        data: { scheduledFor: user.deletionScheduledFor }
+      });
+    }
+    
+    await user.scheduleDeletion();
+    await sendAccountDeletionScheduledEmail(user.email, user.name, user.deletionScheduledFor);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Your account is scheduled for deletion. You can cancel until the scheduled date.',
+      data: {
+        requestedAt: user.deletionRequestedAt,
+        scheduledFor: user.deletionScheduledFor
+      }
+    });
+  } catch (error) {
+    console.error('Error requesting account deletion:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Cancel a pending account deletion
+// @route   DELETE /api/aspirant/account/deletion
+// @access  Private
+exports.cancelAccountDeletion = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    
+    if (!user.deletionScheduledFor) {
+      return res.status(400).json({ success: false, message: 'No account deletion is pending' });
+    }
+    
+    await user.cancelDeletion();
+    
+    res.status(200).json({
+      success: true,
+      message: 'Account deletion cancelled'
+    });
+  } catch (error) {
+    console.error('Error cancelling account deletion:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
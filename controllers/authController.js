@@ -1,10 +1,101 @@
 // controllers/authController.js - Complete version with institution profile support
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const OtpToken = require('../models/OtpToken');
+const Session = require('../models/Session');
+const AdminSettings = require('../models/AdminSettings');
+const Invitation = require('../models/Invitation');
+const LoginEvent = require('../models/LoginEvent');
+const ImpersonationLog = require('../models/ImpersonationLog');
+const ProfileChangeRequest = require('../models/ProfileChangeRequest');
+const VerificationCase = require('../models/VerificationCase');
 const crypto = require('crypto');
-const { sendOTPEmail } = require('../services/emailServices');
+const totp = require('../services/totpService');
+const {
+  sendOTPEmail,
+  sendEmailChangeOTPEmail,
+  sendEmailChangedEmail,
+  sendPasswordResetEmail,
+  sendPasswordChangedEmail
+} = require('../services/emailServices');
+const { sendOTPSms } = require('../services/sms');
+const { getPermissions } = require('../config/permissions');
 
+// Link emailed for password resets. PASSWORD_RESET_URL is the frontend page
+// that reads the token from its last path segment
+const getPasswordResetUrl = (resetToken) => {
+  const baseUrl = process.env.PASSWORD_RESET_URL ||
+    `${process.env.FRONTEND_URL || 'http://localhost:3000'}/reset-password`;
+  return `${baseUrl.replace(/\/+$/, '')}/${resetToken}`;
+};
+
+// 429 response for accounts locked after repeated failed password checks
+const sendAccountLocked = (res, lockUntil) => {
+  const retryAfter = Math.max(1, Math.ceil((lockUntil - Date.now()) / 1000));
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    message: `Too many failed login attempts. Account locked for ${Math.ceil(retryAfter / 60)} minute(s)`,
+    retryAfter,
+    isLocked: true
+  });
+};
+
+// Which second-factor step a user must pass before getting a session:
+// 'verify' when 2FA is enabled, 'setup' when the role requires it but it is
+// not enabled yet, or null when the password is enough
+const getTwoFactorStep = async (user) => {
+  if (user.twoFactor?.enabled) return 'verify';
+  if (await AdminSettings.isTwoFactorRequired(user.role)) return 'setup';
+  return null;
+};
+
+const sendTwoFactorChallenge = (res, user, step, statusCode = 200) => {
+  if (step === 'verify') {
+    return res.status(statusCode).json({
+      success: true,
+      requiresTwoFactor: true,
+      challengeToken: user.getTwoFactorChallengeToken('2fa_login'),
+      message: 'Enter the code from your authenticator app'
+    });
+  }
+  
+  return res.status(statusCode).json({
+    success: true,
+    requiresTwoFactorSetup: true,
+    challengeToken: user.getTwoFactorChallengeToken('2fa_enroll'),
+    message: 'Two-factor authentication is required for your account. Please set it up to continue'
+  });
+};
+
+// Record the login, start a session and send the token pair
+const completeLogin = async (user, req, res, method, extra = {}) => {
+  await user.updateLoginInfo();
+  
+  const { token, refreshToken } = await Session.start(user, req);
+  await LoginEvent.record(req, { user, method, outcome: 'success' });
+  
+  res.status(200).json({ 
+    success: true, 
+    token, 
+    refreshToken,
+    role: user.role,
+    userId: user._id,
+    isVerified: user.isVerified,
+    // Unverified institutions may sign in, but only to complete verification
+    ...(user.role === 'institution' && !user.isVerified && {
+      requiresVerification: true,
+      verificationStatus: user.verificationStatus
+    }),
+    message: 'Login successful',
+    ...extra
+  });
+};
 
-const otpStore = new Map();
+// Log a failed login attempt with its reason code (see models/LoginEvent.js)
+const recordFailedLogin = (req, method, reason, { user, identifier } = {}) => {
+  return LoginEvent.record(req, { user, identifier, method, outcome: 'failure', reason });
+};
 
 // @desc    Register user (including institutions with full profile)
 // @route   POST /api/auth/signup
@@ -15,22 +106,11 @@ exports.signup = async (req, res) => {
       name, 
       email, 
       password, 
-      role, 
-      adminCode,
+      role = 'aspirant', 
       institutionProfile,
-      isEmailVerified 
+      verificationToken
     } = req.body;
 
-    const otpData = otpStore.get(email);
-    if (!isEmailVerified || !otpData || !otpData.verified) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Please verify your email before signing up' 
-      });
-    }
-
-     otpStore.delete(email);
-    
     // Check if user exists
     const userExists = await User.findOne({ email });
     if (userExists) {
@@ -42,12 +122,14 @@ exports.signup = async (req, res) => {
       });
     }
 }
-    // Verify admin code if registering as admin
-    if (role === 'admin') {
-      const adminSecretCode = process.env.ADMIN_SECRET_CODE || 'admin123';
-      if (adminCode !== adminSecretCode) {
-        return res.status(401).json({ success: false, message: 'Invalid admin code' });
-      }
+    // Admins are only created through invitations from existing admins
+    if (!['aspirant', 'institution'].includes(role)) {
+      return res.status(403).json({ 
+        success: false, 
+        message: role === 'admin' 
+          ? 'Admin accounts can only be created by invitation' 
+          : 'Invalid role' 
+      });
     }
     
     // Create user data object
@@ -96,8 +178,20 @@ exports.signup = async (req, res) => {
       userData.verificationStatus = 'pending';
     }
     
+    // The ticket returned by verify-otp is single use. It is only consumed
+    // once the account exists, so a failed create leaves it usable for a
+    // retry (the unique email index stops it being used twice)
+    const verifiedOtp = await OtpToken.findTicket(email, 'signup', verificationToken);
+    if (!verifiedOtp) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Please verify your email before signing up' 
+      });
+    }
+    
     try {
       const user = await User.create(userData);
+      await OtpToken.consumeTicket(email, 'signup', verificationToken);
       
       // For institutions, inform them about verification requirement
       if (role === 'institution') {
@@ -110,12 +204,19 @@ exports.signup = async (req, res) => {
         });
       }
       
-      // For aspirants and admins, generate token
-      const token = user.getSignedToken();
+      // Roles that require 2FA must enroll before getting a session
+      const twoFactorStep = await getTwoFactorStep(user);
+      if (twoFactorStep) {
+        return sendTwoFactorChallenge(res, user, twoFactorStep, 201);
+      }
+      
+      // For aspirants, start a session
+      const { token, refreshToken } = await Session.start(user, req);
       
       res.status(201).json({ 
         success: true, 
         token, 
+        refreshToken,
         role: user.role,
         userId: user._id,
         message: 'User registered successfully'
@@ -167,24 +268,27 @@ exports.sendOTP = async (req, res) => {
       await User.deleteOne({ email });
     }
     
-    // Generate OTP
-    const otp = Math.floor(100000 + Math.random() * 900000).toString();
-    
-    // Store OTP data in memory (use Redis in production)
-    const otpData = {
-      otp: crypto.createHash('sha256').update(otp).digest('hex'),
-      email,
+    // Generate and store OTP (refused while the resend cooldown is running)
+    const { otp, error, retryAfter } = await OtpToken.issue(email, 'signup', {
       name: name || 'User',
-      role: role || 'aspirant',
-      expiresAt: Date.now() + 10 * 60 * 1000 // 10 minutes
-    };
+      role: role || 'aspirant'
+    });
     
-    otpStore.set(email, otpData);
+    if (error === 'cooldown') {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ 
+        success: false, 
+        message: `Please wait ${retryAfter} seconds before requesting a new OTP`,
+        retryAfter
+      });
+    }
     
     // Send OTP email
     const emailSent = await sendOTPEmail(email, otp, name || 'User');
     
     if (!emailSent) {
+      // Drop the code so the cooldown does not block an immediate retry
+      await OtpToken.deleteOne({ identifier: email.toLowerCase(), purpose: 'signup' });
       return res.status(500).json({ 
         success: false, 
         message: 'Failed to send verification email' 
@@ -220,50 +324,193 @@ exports.verifyOTP = async (req, res) => {
       });
     }
     
-    // Get stored OTP data
-    const otpData = otpStore.get(email);
+    const { ticket, error, attemptsLeft } = await OtpToken.verifyCode(email, 'signup', otp);
     
-    if (!otpData) {
+    if (error === 'expired') {
       return res.status(400).json({ 
         success: false, 
         message: 'OTP expired or invalid' 
       });
     }
     
-    // Check if OTP is expired
-    if (otpData.expiresAt < Date.now()) {
-      otpStore.delete(email);
+    if (error === 'too_many_attempts') {
+      return res.status(429).json({ 
+        success: false, 
+        message: 'Too many incorrect attempts. Please request a new OTP' 
+      });
+    }
+    
+    if (error === 'invalid') {
       return res.status(400).json({ 
         success: false, 
-        message: 'OTP has expired' 
+        message: 'Invalid OTP',
+        attemptsLeft
       });
     }
     
-    // Hash the provided OTP
-    const hashedProvidedOTP = crypto
-      .createHash('sha256')
-      .update(otp)
-      .digest('hex');
+    // OTP is valid - the client passes verificationToken to signup
+    res.status(200).json({
+      success: true,
+      message: 'Email verified successfully',
+      email: email.toLowerCase(),
+      verificationToken: ticket
+    });
+  } catch (error) {
+    console.error('Verify OTP error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error',
+      error: error.message 
+    });
+  }
+};
+
+// @desc    Send OTP to a phone number (aspirant signup or login)
+// @route   POST /api/auth/phone/send-otp
+// @access  Public
+exports.sendPhoneOTP = async (req, res) => {
+  try {
+    const phone = User.normalizePhone(req.body.phone);
     
-    // Compare with stored hash
-    if (hashedProvidedOTP !== otpData.otp) {
+    if (!phone || new User({ phone }).validateSync(['phone'])) {
       return res.status(400).json({ 
         success: false, 
-        message: 'Invalid OTP' 
+        message: 'Please provide a valid phone number' 
       });
     }
     
-    // OTP is valid, mark as verified
-    otpData.verified = true;
-    otpStore.set(email, otpData);
+    const { otp, error, retryAfter } = await OtpToken.issue(phone, 'phone_login');
+    
+    if (error === 'cooldown') {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ 
+        success: false, 
+        message: `Please wait ${retryAfter} seconds before requesting a new OTP`,
+        retryAfter
+      });
+    }
+    
+    const smsSent = await sendOTPSms(phone, otp);
+    
+    if (!smsSent) {
+      await OtpToken.deleteOne({ identifier: phone, purpose: 'phone_login' });
+      return res.status(500).json({ 
+        success: false, 
+        message: 'Failed to send OTP' 
+      });
+    }
     
     res.status(200).json({
       success: true,
-      message: 'Email verified successfully',
-      email: otpData.email
+      message: 'OTP sent successfully',
+      phone
     });
   } catch (error) {
-    console.error('Verify OTP error:', error);
+    console.error('Send phone OTP error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error',
+      error: error.message 
+    });
+  }
+};
+
+// @desc    Verify phone OTP - logs in an existing aspirant, otherwise returns
+//          a verificationToken for phone signup
+// @route   POST /api/auth/phone/verify-otp
+// @access  Public
+exports.verifyPhoneOTP = async (req, res) => {
+  try {
+    const { otp } = req.body;
+    const phone = User.normalizePhone(req.body.phone);
+    
+    if (!otp || !phone) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'OTP and phone are required' 
+      });
+    }
+    
+    const { ticket, error, attemptsLeft } = await OtpToken.verifyCode(phone, 'phone_login', otp);
+    
+    if (error === 'invalid' || error === 'too_many_attempts') {
+      const user = await User.findOne({ phone });
+      await recordFailedLogin(req, 'phone_otp', 'invalid_credentials', { user, identifier: phone });
+    }
+    
+    if (error === 'expired') {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'OTP expired or invalid' 
+      });
+    }
+    
+    if (error === 'too_many_attempts') {
+      return res.status(429).json({ 
+        success: false, 
+        message: 'Too many incorrect attempts. Please request a new OTP' 
+      });
+    }
+    
+    if (error === 'invalid') {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid OTP',
+        attemptsLeft
+      });
+    }
+    
+    const user = await User.findOne({ phone });
+    
+    // Unknown number - the client passes verificationToken to phone signup
+    if (!user) {
+      return res.status(200).json({
+        success: true,
+        message: 'Phone verified successfully',
+        requiresSignup: true,
+        phone,
+        verificationToken: ticket
+      });
+    }
+    
+    await OtpToken.consumeTicket(phone, 'phone_login', ticket);
+    
+    if (user.role !== 'aspirant') {
+      await recordFailedLogin(req, 'phone_otp', 'phone_login_not_allowed', { user });
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Phone login is only available for aspirants' 
+      });
+    }
+    
+    if (user.isLocked()) {
+      await recordFailedLogin(req, 'phone_otp', 'account_locked', { user });
+      return sendAccountLocked(res, user.lockUntil);
+    }
+    
+    if (!user.isActive) {
+      await recordFailedLogin(req, 'phone_otp', 'account_deactivated', { user });
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Your account has been deactivated. Please contact support.',
+        isDeactivated: true
+      });
+    }
+    
+    if (!user.isPhoneVerified) {
+      user.isPhoneVerified = true;
+    }
+    
+    // The OTP stands in for the password - a second factor may still be needed
+    const twoFactorStep = await getTwoFactorStep(user);
+    if (twoFactorStep) {
+      await user.save({ validateBeforeSave: false });
+      return sendTwoFactorChallenge(res, user, twoFactorStep);
+    }
+    
+    await completeLogin(user, req, res, 'phone_otp');
+  } catch (error) {
+    console.error('Verify phone OTP error:', error);
     res.status(500).json({ 
       success: false, 
       message: 'Server error',
@@ -272,6 +519,70 @@ exports.verifyOTP = async (req, res) => {
   }
 };
 
+// @desc    Register an aspirant with a verified phone number
+// @route   POST /api/auth/phone/signup
+// @access  Public
+exports.phoneSignup = async (req, res) => {
+  try {
+    const { name, verificationToken } = req.body;
+    const phone = User.normalizePhone(req.body.phone);
+    
+    if (!name || !phone || !verificationToken) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Please provide name, phone and verificationToken' 
+      });
+    }
+    
+    if (await User.findOne({ phone })) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Phone number already registered' 
+      });
+    }
+    
+    // Single use - consumed only once the account has been created
+    const verification = await OtpToken.findTicket(phone, 'phone_login', verificationToken);
+    if (!verification) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Phone not verified or verification expired. Please verify your phone again.' 
+      });
+    }
+    
+    const user = await User.create({
+      name,
+      phone,
+      isPhoneVerified: true,
+      role: 'aspirant'
+    });
+    await OtpToken.consumeTicket(phone, 'phone_login', verificationToken);
+    
+    const twoFactorStep = await getTwoFactorStep(user);
+    if (twoFactorStep) {
+      return sendTwoFactorChallenge(res, user, twoFactorStep, 201);
+    }
+    
+    const { token, refreshToken } = await Session.start(user, req);
+    
+    res.status(201).json({ 
+      success: true, 
+      token, 
+      refreshToken,
+      role: user.role,
+      userId: user._id,
+      message: 'User registered successfully'
+    });
+  } catch (error) {
+    console.error('Phone signup error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error during registration',
+      error: error.message 
+    });
+  }
+};
+
 // @desc    Login user
 // @route   POST /api/auth/login
 // @access  Public
@@ -279,10 +590,6 @@ exports.login = async (req, res) => {
   try {
     const { email, password, role } = req.body;
     
-    // Get IP and user agent for tracking
-    const ipAddress = req.ip || req.connection.remoteAddress;
-    const userAgent = req.get('user-agent');
-    
     // Validate input
     if (!email || !password) {
       return res.status(400).json({ success: false, message: 'Please provide email and password' });
@@ -291,31 +598,48 @@ exports.login = async (req, res) => {
     // Find user - DO NOT create a new user here
     const user = await User.findOne({ email }).select('+password');
     if (!user) {
+      await recordFailedLogin(req, 'password', 'unknown_account', { identifier: email });
       return res.status(401).json({ success: false, message: 'Invalid credentials' });
     }
     
     // Verify role if specified
     if (role && user.role !== role) {
+      await recordFailedLogin(req, 'password', 'role_mismatch', { user });
       return res.status(401).json({ success: false, message: 'Invalid credentials for this role' });
     }
     
+    // Refuse to check passwords while the account is locked
+    if (user.isLocked()) {
+      await recordFailedLogin(req, 'password', 'account_locked', { user });
+      return sendAccountLocked(res, user.lockUntil);
+    }
+    
     // Check password
     const isMatch = await user.matchPassword(password);
     if (!isMatch) {
+      await recordFailedLogin(req, 'password', 'invalid_credentials', { user });
+      const lockUntil = await user.registerFailedLogin();
+      if (lockUntil) {
+        return sendAccountLocked(res, lockUntil);
+      }
       return res.status(401).json({ success: false, message: 'Invalid credentials' });
     }
     
-    // Check if institution is verified
-    if (user.role === 'institution' && !user.isVerified) {
+    // Staff are bound by the verification and status of their institution
+    const institution = user.memberOf ? await User.findById(user.memberOf) : user;
+    
+    if (user.memberOf && (!institution || !institution.isActive)) {
+      await recordFailedLogin(req, 'password', 'institution_deactivated', { user });
       return res.status(403).json({ 
         success: false, 
-        message: 'Your institution account is pending verification. Please wait for admin approval.',
-        requiresVerification: true
+        message: 'Your institution account has been deactivated. Please contact support.',
+        isDeactivated: true
       });
     }
     
     // Check if account is active
     if (!user.isActive) {
+      await recordFailedLogin(req, 'password', 'account_deactivated', { user });
       return res.status(403).json({ 
         success: false, 
         message: 'Your account has been deactivated. Please contact support.',
@@ -323,20 +647,13 @@ exports.login = async (req, res) => {
       });
     }
     
-    // Update login info
-    await user.updateLoginInfo(ipAddress, userAgent);
-    
-    // Generate token
-    const token = user.getSignedToken();
+    // Password is correct - a second factor may still be needed
+    const twoFactorStep = await getTwoFactorStep(user);
+    if (twoFactorStep) {
+      return sendTwoFactorChallenge(res, user, twoFactorStep);
+    }
     
-    res.status(200).json({ 
-      success: true, 
-      token, 
-      role: user.role,
-      userId: user._id,
-      isVerified: user.isVerified,
-      message: 'Login successful'
-    });
+    await completeLogin(user, req, res, 'password');
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({ 
@@ -347,86 +664,523 @@ exports.login = async (req, res) => {
   }
 };
 
-// @desc    Get current user profile
-// @route   GET /api/auth/me
-// @access  Private
-exports.getMe = async (req, res) => {
+// @desc    Second login step - verify TOTP or backup code
+// @route   POST /api/auth/2fa/login
+// @access  Public (requires challenge token from login)
+exports.verifyTwoFactorLogin = async (req, res) => {
   try {
-    const user = await User.findById(req.user.id).select('-password');
+    const { challengeToken, code, backupCode } = req.body;
     
-    if (!user) {
-      return res.status(404).json({ success: false, message: 'User not found' });
+    if (!challengeToken || (!code && !backupCode)) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Challenge token and an authentication or backup code are required' 
+      });
     }
     
-    // Prepare response data
-    let responseData = {
-      id: user._id,
-      name: user.name,
-      email: user.email,
-      role: user.role,
-      isVerified: user.isVerified,
-      isActive: user.isActive,
-      createdAt: user.createdAt,
-      lastLogin: user.lastLogin
-    };
+    const user = await User.findByTwoFactorChallenge(
+      challengeToken,
+      '2fa_login',
+      '+twoFactor.secret +twoFactor.backupCodes +twoFactor.lastUsedStep'
+    );
     
-    // Add institution-specific data if user is an institution
-    if (user.role === 'institution' && user.institutionProfile) {
-      responseData = {
-        ...responseData,
-        institutionProfile: {
-          institutionName: user.institutionProfile.institutionName,
-          institutionType: user.institutionProfile.institutionType,
-          description: user.institutionProfile.description,
-          establishedYear: user.institutionProfile.establishedYear,
-          contactPerson: user.institutionProfile.contactPerson,
-          address: user.institutionProfile.address,
-          googleMapsLink: user.institutionProfile.googleMapsLink,
-          website: user.institutionProfile.website,
-          socialLinks: user.institutionProfile.socialLinks
-          // Note: Owner details are excluded for security
-        }
-      };
+    if (!user || !user.isActive || !user.twoFactor?.enabled) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Two-factor session has expired. Please log in again' 
+      });
     }
     
-    res.status(200).json({ 
-      success: true, 
-      data: responseData
-    });
+    if (user.isLocked()) {
+      await recordFailedLogin(req, 'two_factor', 'account_locked', { user });
+      return sendAccountLocked(res, user.lockUntil);
+    }
+    
+    if (!user.checkSecondFactor(code, backupCode)) {
+      await recordFailedLogin(req, 'two_factor', 'invalid_two_factor_code', { user });
+      const lockUntil = await user.registerFailedLogin();
+      if (lockUntil) {
+        return sendAccountLocked(res, lockUntil);
+      }
+      return res.status(401).json({ success: false, message: 'Invalid authentication code' });
+    }
+    
+    const backupCodesLeft = user.twoFactor.backupCodes.filter(c => !c.usedAt).length;
+    
+    await completeLogin(user, req, res, 'two_factor', { backupCodesLeft });
   } catch (error) {
-    console.error('Get profile error:', error);
+    console.error('Two-factor login error:', error);
     res.status(500).json({ 
       success: false, 
-      message: 'Server error', 
+      message: 'Server error during login',
       error: error.message 
     });
   }
 };
 
-// @desc    Get institution profile (for institution users)
-// @route   GET /api/institution/profile
-// @access  Private (Institution only)
-exports.getInstitutionProfile = async (req, res) => {
+// @desc    Start 2FA enrollment - returns a new secret and QR code
+// @route   POST /api/auth/2fa/setup
+// @access  Private (or enrollment challenge token)
+exports.setupTwoFactor = async (req, res) => {
   try {
-    const user = await User.findById(req.user.id).select('-password');
+    const user = await User.findById(req.user.id);
     
-    if (!user || user.role !== 'institution') {
-      return res.status(403).json({ 
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({ 
         success: false, 
-        message: 'Access denied. Institution only.' 
+        message: 'Two-factor authentication is already enabled' 
       });
     }
     
-    const profileData = {
-      id: user._id,
-      email: user.email,
-      role: user.role,
-      isVerified: user.isVerified,
-      verificationStatus: user.verificationStatus,
-      createdAt: user.createdAt,
-      lastLogin: user.lastLogin,
-      institutionName: user.institutionProfile?.institutionName,
-      institutionType: user.institutionProfile?.institutionType,
+    // Kept as pending until the user proves their app generates valid codes
+    const secret = totp.generateSecret();
+    user.twoFactor.pendingSecret = totp.encryptSecret(secret);
+    await user.save({ validateBeforeSave: false });
+    
+    const { otpauthUrl, qrCode } = await totp.buildEnrollment(secret, user.email || user.phone);
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        secret,
+        otpauthUrl,
+        qrCode
+      }
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error',
+      error: error.message 
+    });
+  }
+};
+
+// @desc    Confirm 2FA enrollment with a code and issue backup codes
+// @route   POST /api/auth/2fa/enable
+// @access  Private (or enrollment challenge token)
+exports.enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+    
+    const user = await User.findById(req.user.id).select('+twoFactor.pendingSecret');
+    
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Two-factor authentication is already enabled' 
+      });
+    }
+    
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Please start two-factor setup first' 
+      });
+    }
+    
+    const step = totp.verifyCode(totp.decryptSecret(user.twoFactor.pendingSecret), code);
+    if (step === null) {
+      return res.status(400).json({ success: false, message: 'Invalid authentication code' });
+    }
+    
+    const { codes, hashes } = totp.generateBackupCodes();
+    
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.backupCodes = hashes.map(codeHash => ({ codeHash }));
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabledAt = new Date();
+    
+    const message = 'Two-factor authentication enabled. Store your backup codes somewhere safe';
+    
+    // Enrollment forced at login - finish logging the user in
+    if (req.user.twoFactorChallenge) {
+      return completeLogin(user, req, res, 'two_factor', { backupCodes: codes, message });
+    }
+    
+    await user.save({ validateBeforeSave: false });
+    
+    res.status(200).json({
+      success: true,
+      message,
+      backupCodes: codes
+    });
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error',
+      error: error.message 
+    });
+  }
+};
+
+// @desc    Disable 2FA (not allowed when the role requires it)
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+exports.disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, backupCode } = req.body;
+    
+    const user = await User.findById(req.user.id)
+      .select('+password +twoFactor.secret +twoFactor.backupCodes +twoFactor.lastUsedStep');
+    
+    if (!user || !user.twoFactor?.enabled) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Two-factor authentication is not enabled' 
+      });
+    }
+    
+    if (await AdminSettings.isTwoFactorRequired(user.role)) {
+      return res.status(403).json({ 
+        success: false, 
+        message: `Two-factor authentication is required for ${user.role} accounts` 
+      });
+    }
+    
+    if (!password || !(await user.matchPassword(password)) || !user.checkSecondFactor(code, backupCode)) {
+      return res.status(401).json({ 
+        success: false, 
+        message: 'Password or authentication code is incorrect' 
+      });
+    }
+    
+    user.twoFactor.enabled = false;
+    user.twoFactor.secret = undefined;
+    user.twoFactor.backupCodes = [];
+    user.twoFactor.lastUsedStep = undefined;
+    user.twoFactor.enabledAt = undefined;
+    await user.save({ validateBeforeSave: false });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error',
+      error: error.message 
+    });
+  }
+};
+
+// @desc    Replace backup codes (invalidates the old ones)
+// @route   POST /api/auth/2fa/backup-codes
+// @access  Private
+exports.regenerateBackupCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+    
+    const user = await User.findById(req.user.id)
+      .select('+twoFactor.secret +twoFactor.backupCodes +twoFactor.lastUsedStep');
+    
+    if (!user || !user.twoFactor?.enabled) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Two-factor authentication is not enabled' 
+      });
+    }
+    
+    if (!checkSecondFactor(user, code)) {
+      return res.status(401).json({ success: false, message: 'Invalid authentication code' });
+    }
+    
+    const { codes, hashes } = totp.generateBackupCodes();
+    user.twoFactor.backupCodes = hashes.map(codeHash => ({ codeHash }));
+    await user.save({ validateBeforeSave: false });
+    
+    res.status(200).json({
+      success: true,
+      message: 'New backup codes generated',
+      backupCodes: codes
+    });
+  } catch (error) {
+    console.error('Regenerate backup codes error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error',
+      error: error.message 
+    });
+  }
+};
+
+// @desc    Get invitation details for the accept page
+// @route   GET /api/auth/invitations/:token
+// @access  Public
+exports.getInvitation = async (req, res) => {
+  try {
+    const invitation = await Invitation.findByInviteToken(req.params.token);
+    
+    if (!invitation) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Invitation is invalid, expired or has already been used' 
+      });
+    }
+    
+    const data = {
+      kind: invitation.kind,
+      email: invitation.email,
+      expiresAt: invitation.expiresAt
+    };
+    
+    if (invitation.kind === 'institution_member') {
+      const institution = await User.findById(invitation.institution).select('name institutionProfile.institutionName');
+      data.institutionName = institution?.institutionProfile?.institutionName || institution?.name;
+      data.institutionRole = invitation.institutionRole;
+    }
+    
+    if (invitation.kind === 'admin') {
+      data.adminRole = invitation.adminRole;
+    }
+    
+    res.status(200).json({ success: true, data });
+  } catch (error) {
+    console.error('Get invitation error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error',
+      error: error.message 
+    });
+  }
+};
+
+// @desc    Accept an invitation by creating an account
+// @route   POST /api/auth/invitations/:token/accept
+// @access  Public
+exports.acceptInvitation = async (req, res) => {
+  try {
+    const { name, password } = req.body;
+    
+    if (!name || !password) {
+      return res.status(400).json({ success: false, message: 'Please provide name and password' });
+    }
+    
+    const invitation = await Invitation.findByInviteToken(req.params.token);
+    
+    if (!invitation) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Invitation is invalid, expired or has already been used' 
+      });
+    }
+    
+    if (await User.findOne({ email: invitation.email })) {
+      return res.status(400).json({ success: false, message: 'Email already registered' });
+    }
+    
+    // The invitation email proves ownership of the address
+    const userData = {
+      name,
+      email: invitation.email,
+      password,
+      isEmailVerified: true
+    };
+    
+    if (invitation.kind === 'admin') {
+      userData.role = 'admin';
+      userData.adminRole = invitation.adminRole;
+    }
+    
+    if (invitation.kind === 'institution_member') {
+      const institution = await User.findById(invitation.institution);
+      if (!institution || !institution.isActive) {
+        return res.status(400).json({ success: false, message: 'This institution is no longer active' });
+      }
+      
+      Object.assign(userData, {
+        role: 'institution',
+        memberOf: institution._id,
+        institutionRole: invitation.institutionRole,
+        isVerified: true,
+        verificationStatus: 'verified'
+      });
+    }
+    
+    // Claim the invitation first so it cannot be accepted twice
+    const claimed = await Invitation.findOneAndUpdate(
+      { _id: invitation._id, status: 'pending' },
+      { status: 'accepted', acceptedAt: Date.now() },
+      { new: true }
+    );
+    
+    if (!claimed) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Invitation is invalid, expired or has already been used' 
+      });
+    }
+    
+    let user;
+    try {
+      user = await User.create(userData);
+    } catch (error) {
+      // Give the invitation back so the invitee can retry
+      await Invitation.updateOne({ _id: invitation._id }, { status: 'pending', $unset: { acceptedAt: 1 } });
+      throw error;
+    }
+    
+    claimed.acceptedBy = user._id;
+    await claimed.save();
+    
+    const twoFactorStep = await getTwoFactorStep(user);
+    if (twoFactorStep) {
+      return sendTwoFactorChallenge(res, user, twoFactorStep, 201);
+    }
+    
+    await completeLogin(user, req, res, 'invitation', { message: 'Invitation accepted successfully' });
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error',
+      error: error.message 
+    });
+  }
+};
+
+// @desc    Get current user profile
+// @route   GET /api/auth/me
+// @access  Private
+exports.getMe = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('-password');
+    
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    
+    // Prepare response data
+    let responseData = {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      phone: user.phone,
+      isEmailVerified: user.isEmailVerified,
+      isPhoneVerified: user.isPhoneVerified,
+      role: user.role,
+      isVerified: user.isVerified,
+      isActive: user.isActive,
+      twoFactorEnabled: !!user.twoFactor?.enabled,
+      permissions: getPermissions(user),
+      createdAt: user.createdAt,
+      lastLogin: user.lastLogin
+    };
+    
+    if (user.role === 'admin') {
+      responseData.adminRole = user.adminRole;
+    }
+    
+    if (user.role === 'aspirant') {
+      responseData.aspirantProfile = user.aspirantProfile;
+    }
+    
+    if (user.deletionScheduledFor) {
+      responseData.deletionScheduledFor = user.deletionScheduledFor;
+    }
+    
+    // Lets the frontend show a banner while an admin is viewing as this user
+    if (req.user.impersonatedBy) {
+      responseData.impersonatedBy = req.user.impersonatedBy;
+    }
+    
+    // Add institution-specific data if user is an institution (staff get
+    // the profile of the institution they belong to)
+    const institution = user.memberOf ? await User.findById(user.memberOf) : user;
+    
+    if (user.role === 'institution' && institution?.institutionProfile) {
+      responseData = {
+        ...responseData,
+        institutionId: user.institutionId,
+        institutionRole: user.institutionRole,
+        verificationStatus: institution.verificationStatus,
+        institutionProfile: {
+          institutionName: institution.institutionProfile.institutionName,
+          institutionType: institution.institutionProfile.institutionType,
+          description: institution.institutionProfile.description,
+          establishedYear: institution.institutionProfile.establishedYear,
+          contactPerson: institution.institutionProfile.contactPerson,
+          address: institution.institutionProfile.address,
+          googleMapsLink: institution.institutionProfile.googleMapsLink,
+          website: institution.institutionProfile.website,
+          socialLinks: institution.institutionProfile.socialLinks
+          // Note: Owner details are excluded for security
+        }
+      };
+    }
+    
+    res.status(200).json({ 
+      success: true, 
+      data: responseData
+    });
+  } catch (error) {
+    console.error('Get profile error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error', 
+      error: error.message 
+    });
+  }
+};
+
+// Validate institution profile fields (e.g. a proposed address) against the
+// User schema without touching the live document. Returns { path: message }
+// or null
+const validateProfileFields = (institutionProfile, fields) => {
+  const paths = Object.keys(User.schema.paths).filter(path =>
+    fields.some(field => path === `institutionProfile.${field}` || path.startsWith(`institutionProfile.${field}.`))
+  );
+  
+  const error = new User({ role: 'institution', institutionProfile }).validateSync(paths);
+  if (!error) return null;
+  
+  return Object.fromEntries(Object.entries(error.errors).map(([path, err]) => [path, err.message]));
+};
+
+const formatPendingChanges = (request) => ({
+  id: request._id,
+  requestedAt: request.updatedAt,
+  changes: request.getDiff()
+});
+
+// @desc    Get institution profile (for institution users)
+// @route   GET /api/institution/profile
+// @access  Private (Institution only)
+exports.getInstitutionProfile = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.institutionId).select('-password');
+    
+    if (!user || user.role !== 'institution') {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Access denied. Institution only.' 
+      });
+    }
+    
+    const profileData = {
+      id: user._id,
+      email: user.email,
+      role: user.role,
+      isVerified: user.isVerified,
+      verificationStatus: user.verificationStatus,
+      createdAt: user.createdAt,
+      lastLogin: user.lastLogin,
+      institutionName: user.institutionProfile?.institutionName,
+      institutionType: user.institutionProfile?.institutionType,
       description: user.institutionProfile?.description,
       establishedYear: user.institutionProfile?.establishedYear,
       contactPerson: user.institutionProfile?.contactPerson,
@@ -436,14 +1190,367 @@ exports.getInstitutionProfile = async (req, res) => {
       socialLinks: user.institutionProfile?.socialLinks
     };
     
-    res.status(200).json({ 
-      success: true, 
-      data: profileData,
-      isVerified: user.isVerified
-    });
+    const pendingChanges = await ProfileChangeRequest.findOne({ institution: user._id, status: 'pending' });
+    
+    res.status(200).json({ 
+      success: true, 
+      data: profileData,
+      pendingChanges: pendingChanges && formatPendingChanges(pendingChanges),
+      isVerified: user.isVerified
+    });
+    
+  } catch (error) {
+    console.error('Get institution profile error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error',
+      error: error.message 
+    });
+  }
+};
+
+// @desc    Update institution profile
+// @route   PUT /api/institution/profile
+// @access  Private (Institution only)
+exports.updateInstitutionProfile = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.institutionId);
+    
+    if (!user || user.role !== 'institution') {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Access denied. Institution only.' 
+      });
+    }
+    
+    // Fields that institutions can update
+    const allowedUpdates = [
+      'description',
+      'contactPerson',
+      'website',
+      'socialLinks'
+    ];
+    
+    // Initialize institutionProfile if it doesn't exist
+    if (!user.institutionProfile) {
+      user.institutionProfile = {};
+    }
+    
+    // Identity-critical fields (name, address, maps link, owner) are collected
+    // separately; nested objects are merged into the current value
+    const updates = req.body;
+    const liveProfile = user.toObject().institutionProfile || {};
+    const proposed = {};
+    Object.keys(updates).forEach(update => {
+      if (ProfileChangeRequest.criticalFields.includes(update)) {
+        proposed[update] = updates[update] && typeof updates[update] === 'object'
+          ? { ...liveProfile[update], ...updates[update] }
+          : updates[update];
+      } else if (allowedUpdates.includes(update)) {
+        // Special handling for nested objects
+        if (update === 'contactPerson' && typeof updates[update] === 'object') {
+          // Update contact person fields individually to preserve other fields
+          if (!user.institutionProfile.contactPerson) {
+            user.institutionProfile.contactPerson = {};
+          }
+          Object.keys(updates[update]).forEach(field => {
+            user.institutionProfile.contactPerson[field] = updates[update][field];
+          });
+        } else if (update === 'socialLinks' && typeof updates[update] === 'object') {
+          // Update social links individually
+          if (!user.institutionProfile.socialLinks) {
+            user.institutionProfile.socialLinks = {};
+          }
+          Object.keys(updates[update]).forEach(field => {
+            user.institutionProfile.socialLinks[field] = updates[update][field];
+          });
+        } else {
+          // Simple field update
+          user.institutionProfile[update] = updates[update];
+        }
+      }
+    });
+    
+    let pendingChanges = null;
+    const proposedFields = Object.keys(proposed);
+    
+    if (proposedFields.length > 0) {
+      const validationErrors = validateProfileFields({ ...liveProfile, ...proposed }, proposedFields);
+      if (validationErrors) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation error',
+          errors: validationErrors
+        });
+      }
+      
+      // Verified institutions need an admin to approve identity changes; until
+      // then the live profile keeps the old values. While documents are under
+      // review the identity is locked, so it still matches what was submitted
+      const verificationCase = !user.isVerified &&
+        await VerificationCase.findOne({ institution: user._id }).select('status');
+      
+      if (user.isVerified) {
+        pendingChanges = await ProfileChangeRequest.submit(user, proposed, req.user.id);
+      } else if (verificationCase && !verificationCase.isEditable) {
+        return res.status(400).json({
+          success: false,
+          message: 'Identity details cannot be changed while your verification is under review',
+          lockedFields: proposedFields
+        });
+      } else {
+        proposedFields.forEach(field => {
+          user.institutionProfile[field] = proposed[field];
+        });
+      }
+    } else {
+      pendingChanges = await ProfileChangeRequest.findOne({ institution: user._id, status: 'pending' });
+    }
+    
+    // Mark nested fields as modified for Mongoose
+    user.markModified('institutionProfile');
+    
+    await user.save();
+    
+    // Return updated profile data
+    const responseData = {
+      institutionName: user.institutionProfile.institutionName,
+      institutionType: user.institutionProfile.institutionType,
+      description: user.institutionProfile.description,
+      establishedYear: user.institutionProfile.establishedYear,
+      contactPerson: user.institutionProfile.contactPerson,
+      address: user.institutionProfile.address,
+      googleMapsLink: user.institutionProfile.googleMapsLink,
+      website: user.institutionProfile.website,
+      socialLinks: user.institutionProfile.socialLinks
+    };
+    
+    res.status(200).json({ 
+      success: true, 
+      message: pendingChanges
+        ? 'Profile updated. Changes to identity details are awaiting admin approval'
+        : 'Profile updated successfully',
+      data: responseData,
+      pendingChanges: pendingChanges && formatPendingChanges(pendingChanges)
+    });
+    
+  } catch (error) {
+    console.error('Update institution profile error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error',
+      error: error.message 
+    });
+  }
+};
+
+// @desc    Withdraw pending changes to identity details
+// @route   DELETE /api/auth/institution/profile/pending-changes
+// @access  Private (Institution only)
+exports.cancelInstitutionProfileChanges = async (req, res) => {
+  try {
+    const request = await ProfileChangeRequest.findOneAndUpdate(
+      { institution: req.user.institutionId, status: 'pending' },
+      { status: 'cancelled' },
+      { new: true }
+    );
+    
+    if (!request) {
+      return res.status(404).json({ success: false, message: 'No pending changes to withdraw' });
+    }
+    
+    res.status(200).json({ 
+      success: true, 
+      message: 'Pending changes withdrawn',
+      data: {}
+    });
+  } catch (error) {
+    console.error('Cancel institution profile changes error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error',
+      error: error.message 
+    });
+  }
+};
+
+// @desc    Exchange a refresh token for a new access/refresh token pair
+// @route   POST /api/auth/refresh
+// @access  Public
+exports.refreshToken = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    
+    if (!refreshToken) {
+      return res.status(400).json({ success: false, message: 'Refresh token is required' });
+    }
+    
+    const { session, refreshToken: newRefreshToken, error } = await Session.refresh(refreshToken);
+    
+    if (error) {
+      return res.status(401).json({
+        success: false,
+        message: error === 'reused'
+          ? 'Refresh token has already been used. Please log in again'
+          : 'Invalid or expired refresh token'
+      });
+    }
+    
+    const user = await User.findById(session.user);
+    
+    if (!user || !user.isActive) {
+      await session.revoke('user_inactive');
+      return res.status(401).json({ success: false, message: 'Not authorized' });
+    }
+    
+    res.status(200).json({
+      success: true,
+      token: user.getSignedToken(session._id),
+      refreshToken: newRefreshToken
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error',
+      error: error.message 
+    });
+  }
+};
+
+// @desc    Logout user / revoke current session
+// @route   POST /api/auth/logout
+// @access  Private
+exports.logout = async (req, res) => {
+  try {
+    await Session.updateOne(
+      { _id: req.user.sessionId, revokedAt: { $exists: false } },
+      { revokedAt: Date.now(), revokedReason: 'logout' }
+    );
+    
+    // Logging out of an impersonation session ends the impersonation
+    if (req.user.impersonatedBy) {
+      await ImpersonationLog.record(req, {
+        admin: req.user.impersonatedBy,
+        user: req.user.id,
+        session: req.user.sessionId,
+        action: 'end'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully',
+      data: {}
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error',
+      error: error.message 
+    });
+  }
+};
+
+// @desc    Get active sessions of current user
+// @route   GET /api/auth/sessions
+// @access  Private
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user.id,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() }
+    }).sort('-lastUsedAt');
+    
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map(session => ({
+        id: session._id,
+        ipAddress: session.ipAddress,
+        userAgent: session.userAgent,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        isImpersonation: !!session.impersonatedBy,
+        isCurrent: session._id.toString() === req.user.sessionId
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error',
+      error: error.message 
+    });
+  }
+};
+
+// @desc    Revoke one of the current user's sessions (log out a device)
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+exports.revokeSession = async (req, res) => {
+  try {
+    const session = mongoose.isValidObjectId(req.params.id)
+      ? await Session.findOne({ _id: req.params.id, user: req.user.id })
+      : null;
+    
+    if (!session || !session.isActive) {
+      return res.status(404).json({ success: false, message: 'Session not found' });
+    }
+    
+    await session.revoke('revoked_by_user');
+    
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error',
+      error: error.message 
+    });
+  }
+};
+
+// @desc    Update password
+// @route   PUT /api/auth/updatepassword
+// @access  Private
+exports.updatePassword = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('+password');
+    
+    if (user.isLocked()) {
+      return sendAccountLocked(res, user.lockUntil);
+    }
+    
+    // Check current password
+    if (!(await user.matchPassword(req.body.currentPassword))) {
+      const lockUntil = await user.registerFailedLogin();
+      if (lockUntil) {
+        return sendAccountLocked(res, lockUntil);
+      }
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+    
+    user.password = req.body.newPassword;
+    await user.save();
     
+    // Sign out every other device; the current one keeps working
+    await Session.revokeAllForUser(user._id, 'password_changed', req.user.sessionId);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Password updated successfully'
+    });
   } catch (error) {
-    console.error('Get institution profile error:', error);
+    console.error('Update password error:', error);
     res.status(500).json({ 
       success: false, 
       message: 'Server error',
@@ -452,97 +1559,81 @@ exports.getInstitutionProfile = async (req, res) => {
   }
 };
 
-// @desc    Update institution profile
-// @route   PUT /api/institution/profile
-// @access  Private (Institution only)
-exports.updateInstitutionProfile = async (req, res) => {
+// @desc    Start an email change - sends an OTP to the new address
+// @route   POST /api/auth/email-change
+// @access  Private
+exports.requestEmailChange = async (req, res) => {
   try {
-    const user = await User.findById(req.user.id);
+    const { newEmail, password } = req.body;
     
-    if (!user || user.role !== 'institution') {
-      return res.status(403).json({ 
+    const email = String(newEmail || '').toLowerCase().trim();
+    const user = await User.findById(req.user.id).select('+password');
+    
+    // Accounts created with a phone number have no password to confirm
+    if (!email || (user.password && !password)) {
+      return res.status(400).json({ 
         success: false, 
-        message: 'Access denied. Institution only.' 
+        message: 'Please provide the new email and your password' 
       });
     }
     
-    // Fields that institutions can update
-    const allowedUpdates = [
-      'description',
-      'contactPerson',
-      'address',
-      'googleMapsLink',
-      'website',
-      'socialLinks'
-    ];
-    
-    // Initialize institutionProfile if it doesn't exist
-    if (!user.institutionProfile) {
-      user.institutionProfile = {};
+    if (user.isLocked()) {
+      return sendAccountLocked(res, user.lockUntil);
     }
     
-    // Update only allowed fields
-    const updates = req.body;
-    Object.keys(updates).forEach(update => {
-      if (allowedUpdates.includes(update)) {
-        // Special handling for nested objects
-        if (update === 'contactPerson' && typeof updates[update] === 'object') {
-          // Update contact person fields individually to preserve other fields
-          if (!user.institutionProfile.contactPerson) {
-            user.institutionProfile.contactPerson = {};
-          }
-          Object.keys(updates[update]).forEach(field => {
-            user.institutionProfile.contactPerson[field] = updates[update][field];
-          });
-        } else if (update === 'address' && typeof updates[update] === 'object') {
-          // Update address fields individually
-          if (!user.institutionProfile.address) {
-            user.institutionProfile.address = {};
-          }
-          Object.keys(updates[update]).forEach(field => {
-            user.institutionProfile.address[field] = updates[update][field];
-          });
-        } else if (update === 'socialLinks' && typeof updates[update] === 'object') {
-          // Update social links individually
-          if (!user.institutionProfile.socialLinks) {
-            user.institutionProfile.socialLinks = {};
-          }
-          Object.keys(updates[update]).forEach(field => {
-            user.institutionProfile.socialLinks[field] = updates[update][field];
-          });
-        } else {
-          // Simple field update
-          user.institutionProfile[update] = updates[update];
-        }
+    if (user.password && !(await user.matchPassword(password))) {
+      const lockUntil = await user.registerFailedLogin();
+      if (lockUntil) {
+        return sendAccountLocked(res, lockUntil);
       }
-    });
+      return res.status(401).json({ success: false, message: 'Password is incorrect' });
+    }
     
-    // Mark nested fields as modified for Mongoose
-    user.markModified('institutionProfile');
+    if (email === user.email) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'New email must be different from the current one' 
+      });
+    }
     
-    await user.save();
+    const invalidEmail = new User({ email }).validateSync(['email'])?.errors?.email;
+    if (invalidEmail) {
+      return res.status(400).json({ success: false, message: invalidEmail.message });
+    }
     
-    // Return updated profile data
-    const responseData = {
-      institutionName: user.institutionProfile.institutionName,
-      institutionType: user.institutionProfile.institutionType,
-      description: user.institutionProfile.description,
-      establishedYear: user.institutionProfile.establishedYear,
-      contactPerson: user.institutionProfile.contactPerson,
-      address: user.institutionProfile.address,
-      googleMapsLink: user.institutionProfile.googleMapsLink,
-      website: user.institutionProfile.website,
-      socialLinks: user.institutionProfile.socialLinks
-    };
+    if (await User.findOne({ email })) {
+      return res.status(400).json({ success: false, message: 'Email already registered' });
+    }
     
-    res.status(200).json({ 
-      success: true, 
-      message: 'Profile updated successfully',
-      data: responseData
-    });
+    // One pending change per user; a new request replaces the previous one
+    const { otp, error, retryAfter } = await OtpToken.issue(req.user.id, 'email_change', { newEmail: email });
+    
+    if (error === 'cooldown') {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ 
+        success: false, 
+        message: `Please wait ${retryAfter} seconds before requesting a new OTP`,
+        retryAfter
+      });
+    }
+    
+    const emailSent = await sendEmailChangeOTPEmail(email, otp, user.name);
+    
+    if (!emailSent) {
+      await OtpToken.deleteOne({ identifier: req.user.id, purpose: 'email_change' });
+      return res.status(500).json({ 
+        success: false, 
+        message: 'Failed to send verification email' 
+      });
+    }
     
+    res.status(200).json({
+      success: true,
+      message: 'OTP sent to the new email address',
+      email
+    });
   } catch (error) {
-    console.error('Update institution profile error:', error);
+    console.error('Request email change error:', error);
     res.status(500).json({ 
       success: false, 
       message: 'Server error',
@@ -551,45 +1642,189 @@ exports.updateInstitutionProfile = async (req, res) => {
   }
 };
 
-// @desc    Logout user / clear token
-// @route   POST /api/auth/logout
+// @desc    Confirm an email change with the OTP sent to the new address
+// @route   POST /api/auth/email-change/confirm
 // @access  Private
-exports.logout = async (req, res) => {
-  res.status(200).json({
-    success: true,
-    message: 'Logged out successfully',
-    data: {}
-  });
+exports.confirmEmailChange = async (req, res) => {
+  try {
+    const { otp } = req.body;
+    
+    if (!otp) {
+      return res.status(400).json({ success: false, message: 'OTP is required' });
+    }
+    
+    const { ticket, metadata, error, attemptsLeft } = await OtpToken.verifyCode(req.user.id, 'email_change', otp);
+    
+    if (error === 'expired') {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'OTP expired or invalid' 
+      });
+    }
+    
+    if (error === 'too_many_attempts') {
+      return res.status(429).json({ 
+        success: false, 
+        message: 'Too many incorrect attempts. Please request a new OTP' 
+      });
+    }
+    
+    if (error === 'invalid') {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid OTP',
+        attemptsLeft
+      });
+    }
+    
+    await OtpToken.consumeTicket(req.user.id, 'email_change', ticket);
+    
+    const newEmail = metadata.newEmail;
+    
+    // The address may have been registered since the OTP was sent
+    if (await User.findOne({ email: newEmail })) {
+      return res.status(400).json({ success: false, message: 'Email already registered' });
+    }
+    
+    const user = await User.findById(req.user.id);
+    const oldEmail = user.email;
+    
+    user.email = newEmail;
+    user.isEmailVerified = true;
+    await user.save({ validateModifiedOnly: true });
+    
+    // Sign out every other device; the current one keeps working
+    await Session.revokeAllForUser(user._id, 'email_changed', req.user.sessionId);
+    
+    await sendEmailChangedEmail(oldEmail, user.name, newEmail);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Email updated successfully',
+      email: newEmail
+    });
+  } catch (error) {
+    console.error('Confirm email change error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error',
+      error: error.message 
+    });
+  }
 };
 
-// @desc    Update password
-// @route   PUT /api/auth/updatepassword
-// @access  Private
-exports.updatePassword = async (req, res) => {
+// @desc    Add or change the phone number of an aspirant - sends an OTP to it
+// @route   POST /api/auth/phone
+// @access  Private (Aspirants only)
+exports.requestPhoneVerification = async (req, res) => {
   try {
-    const user = await User.findById(req.user.id).select('+password');
+    const phone = User.normalizePhone(req.body.phone);
     
-    // Check current password
-    if (!(await user.matchPassword(req.body.currentPassword))) {
-      return res.status(401).json({
-        success: false,
-        message: 'Current password is incorrect'
+    if (!phone || new User({ phone }).validateSync(['phone'])) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Please provide a valid phone number' 
       });
     }
     
-    user.password = req.body.newPassword;
-    await user.save();
+    const existingUser = await User.findOne({ phone });
+    if (existingUser && existingUser._id.toString() !== req.user.id) {
+      return res.status(400).json({ success: false, message: 'Phone number already registered' });
+    }
+    
+    const { otp, error, retryAfter } = await OtpToken.issue(req.user.id, 'phone_verify', { phone });
     
-    // Generate new token
-    const token = user.getSignedToken();
+    if (error === 'cooldown') {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ 
+        success: false, 
+        message: `Please wait ${retryAfter} seconds before requesting a new OTP`,
+        retryAfter
+      });
+    }
+    
+    const smsSent = await sendOTPSms(phone, otp);
+    
+    if (!smsSent) {
+      await OtpToken.deleteOne({ identifier: req.user.id, purpose: 'phone_verify' });
+      return res.status(500).json({ 
+        success: false, 
+        message: 'Failed to send OTP' 
+      });
+    }
     
     res.status(200).json({
       success: true,
-      token,
-      message: 'Password updated successfully'
+      message: 'OTP sent successfully',
+      phone
     });
   } catch (error) {
-    console.error('Update password error:', error);
+    console.error('Request phone verification error:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Server error',
+      error: error.message 
+    });
+  }
+};
+
+// @desc    Confirm a phone number with the OTP sent to it
+// @route   POST /api/auth/phone/confirm
+// @access  Private (Aspirants only)
+exports.confirmPhoneVerification = async (req, res) => {
+  try {
+    const { otp } = req.body;
+    
+    if (!otp) {
+      return res.status(400).json({ success: false, message: 'OTP is required' });
+    }
+    
+    const { ticket, metadata, error, attemptsLeft } = await OtpToken.verifyCode(req.user.id, 'phone_verify', otp);
+    
+    if (error === 'expired') {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'OTP expired or invalid' 
+      });
+    }
+    
+    if (error === 'too_many_attempts') {
+      return res.status(429).json({ 
+        success: false, 
+        message: 'Too many incorrect attempts. Please request a new OTP' 
+      });
+    }
+    
+    if (error === 'invalid') {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Invalid OTP',
+        attemptsLeft
+      });
+    }
+    
+    await OtpToken.consumeTicket(req.user.id, 'phone_verify', ticket);
+    
+    const phone = metadata.phone;
+    
+    // The number may have been registered since the OTP was sent
+    const existingUser = await User.findOne({ phone });
+    if (existingUser && existingUser._id.toString() !== req.user.id) {
+      return res.status(400).json({ success: false, message: 'Phone number already registered' });
+    }
+    
+    const user = await User.findById(req.user.id);
+    user.phone = phone;
+    user.isPhoneVerified = true;
+    await user.save({ validateModifiedOnly: true });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Phone number verified successfully',
+      phone
+    });
+  } catch (error) {
+    console.error('Confirm phone verification error:', error);
     res.status(500).json({ 
       success: false, 
       message: 'Server error',
@@ -598,18 +1833,28 @@ exports.updatePassword = async (req, res) => {
   }
 };
 
-// @desc    Forgot password
+// @desc    Forgot password - emails a single-use reset link
 // @route   POST /api/auth/forgotpassword
 // @access  Public
 exports.forgotPassword = async (req, res) => {
+  // Same response whether or not the email is registered, so the endpoint
+  // cannot be used to find out who has an account
+  const genericResponse = {
+    success: true,
+    message: 'If an account exists for that email, a password reset link has been sent'
+  };
+  
   try {
-    const user = await User.findOne({ email: req.body.email });
+    const { email } = req.body;
     
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'No user found with that email'
-      });
+    if (!email) {
+      return res.status(400).json({ success: false, message: 'Email is required' });
+    }
+    
+    const user = await User.findOne({ email });
+    
+    if (!user || !user.isActive) {
+      return res.status(200).json(genericResponse);
     }
     
     // Get reset token
@@ -617,36 +1862,23 @@ exports.forgotPassword = async (req, res) => {
     
     await user.save({ validateBeforeSave: false });
     
-    // Create reset url
-    const resetUrl = `${req.protocol}://${req.get('host')}/api/auth/resetpassword/${resetToken}`;
-    
-    const message = `You are receiving this email because you (or someone else) has requested the reset of a password. Please make a PUT request to: \n\n ${resetUrl}`;
+    const emailSent = await sendPasswordResetEmail(
+      user.email,
+      user.name,
+      getPasswordResetUrl(resetToken),
+      Math.round((user.resetPasswordExpire - Date.now()) / 60000)
+    );
     
-    try {
-      // Here you would send email
-      // await sendEmail({
-      //   email: user.email,
-      //   subject: 'Password reset token',
-      //   message
-      // });
-      
-      res.status(200).json({ 
-        success: true, 
-        message: 'Email sent',
-        resetToken // In production, remove this and only send via email
-      });
-    } catch (err) {
-      console.log(err);
+    if (!emailSent) {
+      // Do not leave a usable token behind that nobody received
       user.resetPasswordToken = undefined;
       user.resetPasswordExpire = undefined;
-      
       await user.save({ validateBeforeSave: false });
       
-      return res.status(500).json({
-        success: false,
-        message: 'Email could not be sent'
-      });
+      console.error(`Password reset email could not be sent to user ${user._id}`);
     }
+    
+    res.status(200).json(genericResponse);
   } catch (error) {
     console.error('Forgot password error:', error);
     res.status(500).json({ 
@@ -662,36 +1894,68 @@ exports.forgotPassword = async (req, res) => {
 // @access  Public
 exports.resetPassword = async (req, res) => {
   try {
+    const { password } = req.body;
+    
+    if (!password || password.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 6 characters'
+      });
+    }
+    
     // Get hashed token
     const resetPasswordToken = crypto
       .createHash('sha256')
       .update(req.params.resettoken)
       .digest('hex');
     
-    const user = await User.findOne({
-      resetPasswordToken,
-      resetPasswordExpire: { $gt: Date.now() }
-    });
+    // Claim the token and clear it in one operation so it can only be used once
+    const user = await User.findOneAndUpdate(
+      {
+        resetPasswordToken,
+        resetPasswordExpire: { $gt: Date.now() }
+      },
+      { $unset: { resetPasswordToken: 1, resetPasswordExpire: 1 } },
+      { new: true }
+    );
     
     if (!user) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid token'
+        message: 'Invalid or expired reset link'
+      });
+    }
+    
+    if (!user.isActive) {
+      return res.status(403).json({ 
+        success: false, 
+        message: 'Your account has been deactivated. Please contact support.',
+        isDeactivated: true
       });
     }
     
     // Set new password
-    user.password = req.body.password;
-    user.resetPasswordToken = undefined;
-    user.resetPasswordExpire = undefined;
+    user.password = password;
     await user.save();
     
-    // Generate token
-    const token = user.getSignedToken();
+    // Whoever knew the old password must not stay signed in
+    await Session.revokeAllForUser(user._id, 'password_reset');
+    
+    await sendPasswordChangedEmail(user.email, user.name);
+    
+    // The reset link only proves access to the mailbox - a second factor is
+    // still needed before a session is issued
+    const twoFactorStep = await getTwoFactorStep(user);
+    if (twoFactorStep) {
+      return sendTwoFactorChallenge(res, user, twoFactorStep);
+    }
+    
+    const { token, refreshToken } = await Session.start(user, req);
     
     res.status(200).json({
       success: true,
       token,
+      refreshToken,
       message: 'Password reset successful'
     });
   } catch (error) {
@@ -0,0 +1,374 @@
+// controllers/bundleController.js - Course bundles: institution management and public listing
+const mongoose = require('mongoose');
+const CourseBundle = require('../models/CourseBundle');
+const Course = require('../models/Course');
+const User = require('../models/User');
+const { sendCourseReviewDecisionEmail } = require('../services/emailServices');
+
+const bundleFields = ['title', 'description', 'coverImage', 'courses', 'price'];
+
+// Changes to a live bundle that send it back to admin review
+const bundleReviewFields = ['title', 'description', 'coverImage', 'courses', 'price'];
+
+const publicCourseFields = 'title courseCategory courseType price effectivePrice pricingTiers currentEnrollments batches startDate endDate duration coverImage averageRating isPublished status';
+
+const getBundleUpdates = (body) => {
+  const updates = {};
+  bundleFields.forEach(field => {
+    if (field in body) updates[field] = body[field];
+  });
+  return updates;
+};
+
+// Bundle courses must be distinct courses of the bundle's institution.
+// Resolves to an error message, or null
+const checkBundleCourses = async (courses, institutionId) => {
+  if (!Array.isArray(courses) || !courses.every(id => mongoose.Types.ObjectId.isValid(id))) {
+    return 'Invalid course ID';
+  }
+
+  const ids = [...new Set(courses.map(String))];
+  if (ids.length !== courses.length) {
+    return 'A course can only be in a bundle once';
+  }
+
+  const found = await Course.countDocuments({ _id: { $in: ids }, institution: institutionId });
+  return found === ids.length ? null : 'Bundles can only contain your own courses';
+};
+
+// Query for bundles that are approved and published and whose courses are
+// all published
+const getLiveBundleQuery = async () => {
+  const bundledCourses = await CourseBundle.distinct('courses', { isPublished: true, status: 'published' });
+  const unavailable = await Course.distinct('_id', {
+    _id: { $in: bundledCourses },
+    $or: [{ isPublished: false }, { status: { $ne: 'published' } }]
+  });
+
+  return { isPublished: true, status: 'published', courses: { $nin: unavailable } };
+};
+
+// Bundles go live only after admin review, like courses: asking to publish
+// submits the bundle, unpublishing takes it back to draft, and material
+// edits to a live bundle resubmit it. Returns a message for the response,
+// or null
+const applyPublication = (bundle, wantsPublished) => {
+  if (wantsPublished === true && !bundle.isPublished && bundle.status !== 'pending_review') {
+    bundle.submitForReview();
+    return 'It will be published once an admin approves it';
+  }
+  if (wantsPublished === false) {
+    bundle.isPublished = false;
+    bundle.status = 'draft';
+    return null;
+  }
+  if (bundle.status === 'published' && bundleReviewFields.some(field => bundle.isModified(field))) {
+    bundle.submitForReview();
+    return 'The changes need admin review, so the bundle is hidden until it is approved';
+  }
+  return null;
+};
+
+// Bundle with its price compared to buying the courses separately
+const formatBundle = (bundle) => {
+  const data = bundle.toObject();
+  const separatePrice = bundle.getSeparatePrice(bundle.courses);
+
+  data.separatePrice = separatePrice;
+  data.savings = Math.max(separatePrice - bundle.price, 0);
+  return data;
+};
+
+const sendValidationError = (res, error) => {
+  const messages = Object.values(error.errors).map(err => err.message);
+  return res.status(400).json({ success: false, message: messages.join(', ') });
+};
+
+// @desc    Get published bundles. Filter with ?institution=
+// @route   GET /api/bundles
+// @access  Public
+exports.getPublishedBundles = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 12, 100);
+    const skip = (page - 1) * limit;
+
+    const query = await getLiveBundleQuery();
+    if (req.query.institution && mongoose.Types.ObjectId.isValid(req.query.institution)) {
+      query.institution = req.query.institution;
+    }
+
+    const [bundles, total] = await Promise.all([
+      CourseBundle.find(query)
+        .populate('institution', 'institutionProfile.institutionName')
+        .populate('courses', publicCourseFields)
+        .sort({ enrollmentCount: -1, createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      CourseBundle.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: bundles.map(formatBundle),
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Error getting bundles:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get a published bundle
+// @route   GET /api/bundles/:id
+// @access  Public
+exports.getBundle = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Bundle not found' });
+    }
+
+    const bundle = await CourseBundle.findOne({ _id: req.params.id, ...(await getLiveBundleQuery()) })
+      .populate('institution', 'institutionProfile.institutionName')
+      .populate('courses', `${publicCourseFields} description highlights courseLanguages city state`);
+
+    if (!bundle) {
+      return res.status(404).json({ success: false, message: 'Bundle not found' });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: formatBundle(bundle)
+    });
+  } catch (error) {
+    console.error('Error getting bundle:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get the institution's bundles
+// @route   GET /api/institution/bundles
+// @access  Private (Institution)
+exports.getInstitutionBundles = async (req, res) => {
+  try {
+    const bundles = await CourseBundle.find({ institution: req.user.institutionId })
+      .populate('courses', publicCourseFields)
+      .sort('-createdAt');
+
+    res.status(200).json({
+      success: true,
+      count: bundles.length,
+      data: bundles.map(formatBundle)
+    });
+  } catch (error) {
+    console.error('Error getting institution bundles:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Create a bundle of the institution's courses
+// @route   POST /api/institution/bundles
+// @access  Private (Institution)
+exports.createBundle = async (req, res) => {
+  try {
+    const updates = getBundleUpdates(req.body);
+
+    const coursesError = await checkBundleCourses(updates.courses || [], req.user.institutionId);
+    if (coursesError) {
+      return res.status(400).json({ success: false, message: coursesError });
+    }
+
+    const bundle = new CourseBundle({
+      ...updates,
+      institution: req.user.institutionId,
+      createdBy: req.user.id
+    });
+    const reviewMessage = applyPublication(bundle, req.body.isPublished);
+    await bundle.save();
+
+    res.status(201).json({
+      success: true,
+      message: reviewMessage ? `Bundle created. ${reviewMessage}` : 'Bundle created successfully',
+      data: bundle
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+    console.error('Error creating bundle:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Update a bundle. Aspirants already enrolled keep their courses
+// @route   PUT /api/institution/bundles/:id
+// @access  Private (Institution)
+exports.updateBundle = async (req, res) => {
+  try {
+    const bundle = mongoose.Types.ObjectId.isValid(req.params.id) &&
+      await CourseBundle.findOne({ _id: req.params.id, institution: req.user.institutionId });
+
+    if (!bundle) {
+      return res.status(404).json({ success: false, message: 'Bundle not found' });
+    }
+
+    const updates = getBundleUpdates(req.body);
+
+    if (updates.courses) {
+      const coursesError = await checkBundleCourses(updates.courses, req.user.institutionId);
+      if (coursesError) {
+        return res.status(400).json({ success: false, message: coursesError });
+      }
+    }
+
+    bundle.set(updates);
+    const reviewMessage = applyPublication(bundle, req.body.isPublished);
+    await bundle.save();
+
+    res.status(200).json({
+      success: true,
+      message: reviewMessage ? `Bundle updated. ${reviewMessage}` : 'Bundle updated successfully',
+      data: bundle
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+    console.error('Error updating bundle:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Delete a bundle nobody has enrolled in
+// @route   DELETE /api/institution/bundles/:id
+// @access  Private (Institution)
+exports.deleteBundle = async (req, res) => {
+  try {
+    const bundle = mongoose.Types.ObjectId.isValid(req.params.id) &&
+      await CourseBundle.findOne({ _id: req.params.id, institution: req.user.institutionId });
+
+    if (!bundle) {
+      return res.status(404).json({ success: false, message: 'Bundle not found' });
+    }
+
+    if (bundle.enrollmentCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Aspirants have enrolled in this bundle. Unpublish it instead to stop new enrollments'
+      });
+    }
+
+    await bundle.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Bundle deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting bundle:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get bundles waiting for review, oldest submission first
+// @route   GET /api/admin/bundles/review-queue
+// @access  Private (Admin)
+exports.getBundleReviewQueue = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const query = { status: 'pending_review' };
+
+    const [bundles, total] = await Promise.all([
+      CourseBundle.find(query)
+        .populate('institution', 'name email institutionProfile.institutionName isVerified')
+        .populate('courses', publicCourseFields)
+        .sort({ reviewSubmittedAt: 1 })
+        .skip(skip)
+        .limit(limit),
+      CourseBundle.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: bundles.map(formatBundle),
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Error getting bundle review queue:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Decide a bundle waiting for review: { action: approve |
+//          request_changes, comments }. Comments are required to request changes
+// @route   PUT /api/admin/bundles/:id/review
+// @access  Private (Admin)
+exports.reviewBundle = async (req, res) => {
+  try {
+    const { action, comments } = req.body;
+
+    if (!['approve', 'request_changes'].includes(action)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Action must be either "approve" or "request_changes"'
+      });
+    }
+
+    if (action === 'request_changes' && !comments) {
+      return res.status(400).json({ success: false, message: 'Please add comments describing the changes needed' });
+    }
+
+    const bundle = mongoose.Types.ObjectId.isValid(req.params.id) && await CourseBundle.findById(req.params.id);
+
+    if (!bundle) {
+      return res.status(404).json({ success: false, message: 'Bundle not found' });
+    }
+
+    if (bundle.status !== 'pending_review') {
+      return res.status(400).json({ success: false, message: 'This bundle is not waiting for review' });
+    }
+
+    const approved = action === 'approve';
+
+    bundle.isPublished = approved;
+    bundle.status = approved ? 'published' : 'changes_requested';
+    bundle.adminAction = {
+      action: approved ? 'approved' : 'changes_requested',
+      reason: comments || '',
+      actionBy: req.user.id,
+      actionAt: new Date()
+    };
+
+    await bundle.save();
+
+    const institution = await User.findById(bundle.institution).select('name email institutionProfile.institutionName');
+    if (institution) {
+      await sendCourseReviewDecisionEmail(institution.email, institution.institutionProfile?.institutionName || institution.name, {
+        courseTitle: bundle.title,
+        approved,
+        note: comments,
+        kind: 'bundle'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: approved ? 'Bundle approved and published' : 'Changes requested from the institution',
+      data: bundle
+    });
+  } catch (error) {
+    console.error('Error reviewing bundle:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
@@ -0,0 +1,248 @@
+// controllers/couponController.js - Coupon codes for institutions (their own courses) and admins (platform-wide)
+const mongoose = require('mongoose');
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const Course = require('../models/Course');
+
+const couponFields = [
+  'code', 'description', 'discountType', 'value', 'maxDiscount',
+  'validFrom', 'validUntil', 'usageLimit', 'perUserLimit',
+  'courses', 'categories', 'isActive'
+];
+
+// Institutions only see and manage their own coupons; admins manage platform
+// coupons and can see every coupon
+const getCouponScope = (req) => {
+  return req.user.role === 'admin' ? {} : { institution: req.user.institutionId };
+};
+
+const findCoupon = (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) return null;
+  return Coupon.findOne({ _id: req.params.id, ...getCouponScope(req) });
+};
+
+// Allowed coupon fields from the request body. A null value clears the field
+const getCouponUpdates = (body) => {
+  const updates = {};
+  couponFields.forEach(field => {
+    if (field in body) {
+      updates[field] = body[field] === null ? undefined : body[field];
+    }
+  });
+  return updates;
+};
+
+// Institution coupons can only be scoped to the issuing institution's own
+// courses. Resolves to an error message, or null
+const checkCourseScope = async (courses, institutionId) => {
+  if (!courses || courses.length === 0) return null;
+
+  if (!Array.isArray(courses) || !courses.every(id => mongoose.Types.ObjectId.isValid(id))) {
+    return 'Invalid course ID';
+  }
+
+  const query = { _id: { $in: courses } };
+  if (institutionId) query.institution = institutionId;
+
+  const found = await Course.countDocuments(query);
+  return found === new Set(courses.map(String)).size ? null : 'Coupons can only apply to the issuing institution\'s courses';
+};
+
+const sendSaveError = (res, error) => {
+  if (error.code === 11000) {
+    return res.status(400).json({ success: false, message: 'A coupon with this code already exists' });
+  }
+  const messages = Object.values(error.errors).map(err => err.message);
+  return res.status(400).json({ success: false, message: messages.join(', ') });
+};
+
+// @desc    Get coupons. Filters: ?status=active|inactive|expired, ?search=
+//          (code); admins also ?issuer=platform|institution
+// @route   GET /api/institution/coupons
+// @route   GET /api/admin/coupons
+// @access  Private (Institution, Admin)
+exports.getCoupons = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+    const { status, search, issuer } = req.query;
+
+    const query = getCouponScope(req);
+    const now = new Date();
+
+    if (status === 'active') {
+      query.isActive = true;
+      query.$or = [{ validUntil: { $exists: false } }, { validUntil: null }, { validUntil: { $gte: now } }];
+    } else if (status === 'inactive') {
+      query.isActive = false;
+    } else if (status === 'expired') {
+      query.validUntil = { $lt: now };
+    }
+
+    if (search) {
+      query.code = { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+    }
+
+    if (req.user.role === 'admin' && issuer === 'platform') {
+      query.institution = { $exists: false };
+    } else if (req.user.role === 'admin' && issuer === 'institution') {
+      query.institution = { $exists: true };
+    }
+
+    const [coupons, total] = await Promise.all([
+      Coupon.find(query)
+        .populate('institution', 'institutionProfile.institutionName')
+        .populate('courses', 'title')
+        .sort('-createdAt')
+        .skip(skip)
+        .limit(limit),
+      Coupon.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: coupons,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Error getting coupons:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get a coupon with its redemptions
+// @route   GET /api/institution/coupons/:id
+// @route   GET /api/admin/coupons/:id
+// @access  Private (Institution, Admin)
+exports.getCoupon = async (req, res) => {
+  try {
+    const coupon = await findCoupon(req)
+      ?.populate('institution', 'institutionProfile.institutionName')
+      .populate('courses', 'title');
+
+    if (!coupon) {
+      return res.status(404).json({ success: false, message: 'Coupon not found' });
+    }
+
+    const redemptions = await CouponRedemption.find({ coupon: coupon._id })
+      .select('-slot')
+      .populate('user', 'name email')
+      .populate('course', 'title')
+      .sort('-redeemedAt');
+
+    res.status(200).json({
+      success: true,
+      data: { ...coupon.toObject(), redemptions }
+    });
+  } catch (error) {
+    console.error('Error getting coupon:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Create a coupon. Institution coupons apply to the institution's
+//          courses only; admin coupons are platform-wide
+// @route   POST /api/institution/coupons
+// @route   POST /api/admin/coupons
+// @access  Private (Institution, Admin)
+exports.createCoupon = async (req, res) => {
+  try {
+    const updates = getCouponUpdates(req.body);
+    const institution = req.user.role === 'admin' ? undefined : req.user.institutionId;
+
+    const scopeError = await checkCourseScope(updates.courses, institution);
+    if (scopeError) {
+      return res.status(400).json({ success: false, message: scopeError });
+    }
+
+    const coupon = await Coupon.create({
+      ...updates,
+      institution,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Coupon created successfully',
+      data: coupon
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.code === 11000) {
+      return sendSaveError(res, error);
+    }
+    console.error('Error creating coupon:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Update a coupon. Send isActive: false to stop further use
+// @route   PUT /api/institution/coupons/:id
+// @route   PUT /api/admin/coupons/:id
+// @access  Private (Institution, Admin)
+exports.updateCoupon = async (req, res) => {
+  try {
+    const coupon = await findCoupon(req);
+
+    if (!coupon) {
+      return res.status(404).json({ success: false, message: 'Coupon not found' });
+    }
+
+    const updates = getCouponUpdates(req.body);
+
+    const scopeError = await checkCourseScope(updates.courses, coupon.institution);
+    if (scopeError) {
+      return res.status(400).json({ success: false, message: scopeError });
+    }
+
+    coupon.set(updates);
+    await coupon.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Coupon updated successfully',
+      data: coupon
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.code === 11000) {
+      return sendSaveError(res, error);
+    }
+    console.error('Error updating coupon:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Delete a coupon that has never been used
+// @route   DELETE /api/institution/coupons/:id
+// @route   DELETE /api/admin/coupons/:id
+// @access  Private (Institution, Admin)
+exports.deleteCoupon = async (req, res) => {
+  try {
+    const coupon = await findCoupon(req);
+
+    if (!coupon) {
+      return res.status(404).json({ success: false, message: 'Coupon not found' });
+    }
+
+    if (coupon.usedCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'This coupon has been used. Deactivate it instead to stop further use'
+      });
+    }
+
+    await coupon.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Coupon deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting coupon:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
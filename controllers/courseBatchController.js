@@ -0,0 +1,198 @@
+// controllers/courseBatchController.js - Batches of a course, each with its own dates, timings and capacity
+const CourseRevision = require('../models/CourseRevision');
+const AdminSettings = require('../models/AdminSettings');
+const { hasPermission } = require('../config/permissions');
+
+const batchFields = [
+  'name', 'startDate', 'endDate', 'enrollmentDeadline', 'timings',
+  'schedule', 'maxStudents', 'price', 'isActive'
+];
+
+// Allowed batch fields from the request body. A null price removes the
+// override so the batch goes back to the course price
+const getBatchUpdates = (body) => {
+  const updates = {};
+
+  batchFields.forEach(field => {
+    if (!(field in body)) return;
+
+    if (field === 'schedule' && typeof body.schedule === 'string') {
+      try {
+        updates.schedule = JSON.parse(body.schedule);
+      } catch (e) {
+        updates.schedule = body.schedule;
+      }
+    } else {
+      updates[field] = body[field] === null ? undefined : body[field];
+    }
+  });
+
+  return updates;
+};
+
+// Pricing a batch needs the same permission as pricing the course
+const checkPricePermission = (req, res, updates) => {
+  if ('price' in updates && !hasPermission(req.user, 'course.pricing')) {
+    res.status(403).json({
+      success: false,
+      message: `Institution role ${req.user.institutionRole} cannot change batch prices`
+    });
+    return false;
+  }
+  return true;
+};
+
+// Save the course and record the batch change as a revision. A changed batch
+// price on a live course needs admin review, like the course price itself
+const saveBatches = async (req, course, before) => {
+  const reviewFields = await AdminSettings.getCourseReviewFields();
+  const previousPrices = new Map((before.batches || []).map(batch => [batch._id, batch.price ?? null]));
+  const priceChanged = course.batches.some(batch =>
+    (batch.price ?? null) !== (previousPrices.get(batch._id.toString()) ?? null)
+  );
+
+  if (course.status === 'published' && reviewFields.includes('price') && priceChanged) {
+    course.submitForReview();
+  }
+
+  await course.save();
+  await CourseRevision.record(course, before, { user: req.user });
+};
+
+const sendValidationError = (res, error) => {
+  const messages = Object.values(error.errors).map(err => err.message);
+  return res.status(400).json({ success: false, message: messages.join(', ') });
+};
+
+// @desc    Get a course's batches
+// @route   GET /api/institution/courses/:id/batches
+// @access  Private (Institution)
+exports.getCourseBatches = async (req, res) => {
+  try {
+    // Loaded and ownership-checked by the loadCourse guard
+    const course = req.course;
+
+    res.status(200).json({
+      success: true,
+      count: course.batches.length,
+      data: course.batches
+    });
+  } catch (error) {
+    console.error('Error getting course batches:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Add a batch to a course. Once a course has batches, aspirants
+//          enroll in a batch rather than in the course as a whole
+// @route   POST /api/institution/courses/:id/batches
+// @access  Private (Institution)
+exports.createCourseBatch = async (req, res) => {
+  try {
+    const course = req.course;
+    const updates = getBatchUpdates(req.body);
+
+    if (!updates.name) {
+      return res.status(400).json({ success: false, message: 'Batch name is required' });
+    }
+
+    if (!checkPricePermission(req, res, updates)) return;
+
+    const before = CourseRevision.snapshot(course, ['batches', 'isPublished', 'status']);
+    course.batches.push(updates);
+    const batch = course.batches[course.batches.length - 1];
+
+    await saveBatches(req, course, before);
+
+    res.status(201).json({
+      success: true,
+      message: 'Batch added successfully',
+      data: batch
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+    console.error('Error creating course batch:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Update a batch. Send isActive: false to close it to new enrollments
+// @route   PUT /api/institution/courses/:id/batches/:batchId
+// @access  Private (Institution)
+exports.updateCourseBatch = async (req, res) => {
+  try {
+    const course = req.course;
+    const batch = course.batches.id(req.params.batchId);
+
+    if (!batch) {
+      return res.status(404).json({ success: false, message: 'Batch not found' });
+    }
+
+    const updates = getBatchUpdates(req.body);
+
+    if (!checkPricePermission(req, res, updates)) return;
+
+    if (updates.maxStudents > 0 && updates.maxStudents < batch.currentEnrollments) {
+      return res.status(400).json({
+        success: false,
+        message: `The batch already has ${batch.currentEnrollments} students enrolled`
+      });
+    }
+
+    const before = CourseRevision.snapshot(course, ['batches', 'isPublished', 'status']);
+    batch.set(updates);
+
+    await saveBatches(req, course, before);
+
+    res.status(200).json({
+      success: true,
+      message: 'Batch updated successfully',
+      data: batch
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+    console.error('Error updating course batch:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Delete a batch nobody has enrolled in
+// @route   DELETE /api/institution/courses/:id/batches/:batchId
+// @access  Private (Institution)
+exports.deleteCourseBatch = async (req, res) => {
+  try {
+    const course = req.course;
+    const batch = course.batches.id(req.params.batchId);
+
+    if (!batch) {
+      return res.status(404).json({ success: false, message: 'Batch not found' });
+    }
+
+    const hasEnrollments = course.enrollments.some(enrollment =>
+      enrollment.batch && enrollment.batch.equals(batch._id)
+    );
+    if (hasEnrollments) {
+      return res.status(400).json({
+        success: false,
+        message: 'This batch has enrollments. Deactivate it instead to stop new enrollments'
+      });
+    }
+
+    const before = CourseRevision.snapshot(course, ['batches', 'isPublished', 'status']);
+    batch.deleteOne();
+
+    await saveBatches(req, course, before);
+
+    res.status(200).json({
+      success: true,
+      message: 'Batch deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting course batch:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
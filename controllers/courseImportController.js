@@ -0,0 +1,170 @@
+// controllers/courseImportController.js - Bulk course import and export for institutions
+const path = require('path');
+const multer = require('multer');
+const Course = require('../models/Course');
+const {
+  MAX_IMPORT_ROWS,
+  readRows,
+  validateRows,
+  applyRows,
+  buildWorkbook,
+  writeWorkbook
+} = require('../services/courseImportService');
+
+const contentTypes = {
+  csv: 'text/csv',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Import files are parsed straight from memory and never stored
+const upload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    if (getFileFormat(file)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV and Excel (.xlsx) files are allowed'), false);
+    }
+  },
+  limits: { fileSize: 5 * 1024 * 1024 } // 5MB limit
+});
+
+const getFileFormat = (file) => {
+  const ext = path.extname(file.originalname).toLowerCase().slice(1);
+  return contentTypes[ext] ? ext : null;
+};
+
+const getRequestedFormat = (req) => (req.query.format === 'csv' ? 'csv' : 'xlsx');
+
+const sendWorkbook = async (res, workbook, format, name) => {
+  const buffer = await writeWorkbook(workbook, format);
+
+  res.setHeader('Content-Type', contentTypes[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${name}.${format}"`);
+  res.status(200).send(Buffer.from(buffer));
+};
+
+// @desc    Download the course import template. ?format=csv|xlsx (default
+//          xlsx, which also lists the allowed values)
+// @route   GET /api/institution/courses/import/template
+// @access  Private (Institution)
+exports.getImportTemplate = async (req, res) => {
+  try {
+    const format = getRequestedFormat(req);
+    await sendWorkbook(res, buildWorkbook([], { template: true }), format, 'course-import-template');
+  } catch (error) {
+    console.error('Error building import template:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Import courses from a CSV or XLSX file (field "file"). Rows are
+//          matched to existing courses by External Code and update them;
+//          other rows create draft courses. With ?dryRun=true only the
+//          per-row validation report is returned. Nothing is saved unless
+//          every row is valid
+// @route   POST /api/institution/courses/import
+// @access  Private (Institution)
+exports.importCourses = async (req, res) => {
+  upload.single('file')(req, res, async function(err) {
+    if (err) {
+      return res.status(400).json({
+        success: false,
+        message: err.message || 'File upload error'
+      });
+    }
+
+    try {
+      if (!req.file) {
+        return res.status(400).json({ success: false, message: 'Please upload a CSV or Excel file' });
+      }
+
+      let rows;
+      try {
+        rows = await readRows(req.file.buffer, getFileFormat(req.file));
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: `Could not read the file: ${error.message}`
+        });
+      }
+
+      if (rows.length === 0) {
+        return res.status(400).json({ success: false, message: 'The file has no course rows' });
+      }
+
+      if (rows.length > MAX_IMPORT_ROWS) {
+        return res.status(400).json({
+          success: false,
+          message: `A file can contain at most ${MAX_IMPORT_ROWS} courses`
+        });
+      }
+
+      const results = await validateRows(rows, req.user.institutionId);
+      const report = results.map(({ row, externalCode, action, errors }) => ({ row, externalCode, action, errors }));
+      const invalid = report.filter(item => item.errors.length > 0).length;
+      const summary = {
+        total: report.length,
+        valid: report.length - invalid,
+        invalid,
+        create: report.filter(item => item.action === 'create').length,
+        update: report.filter(item => item.action === 'update').length
+      };
+
+      if (req.query.dryRun === 'true' || invalid > 0) {
+        return res.status(invalid > 0 ? 400 : 200).json({
+          success: invalid === 0,
+          message: invalid > 0
+            ? `${invalid} row(s) have errors. Fix them and upload the file again`
+            : 'All rows are valid',
+          data: { dryRun: true, summary, rows: report }
+        });
+      }
+
+      let counts;
+      try {
+        counts = await applyRows(results, req.user);
+      } catch (error) {
+        if (error.row === undefined) throw error;
+
+        console.error(`Error importing course row ${error.row}:`, error);
+        const kept = error.notRolledBack;
+        return res.status(error.name === 'ValidationError' || error.code === 11000 ? 400 : 500).json({
+          success: false,
+          message: kept.length > 0
+            ? `Row ${error.row} could not be saved and rows ${kept.join(', ')} could not be undone. Export your courses to check them before importing again`
+            : `Row ${error.row} could not be saved, so no courses were imported. Upload the file again`,
+          error: error.code === 11000 ? 'External Code is already used by another course' : error.message,
+          data: { dryRun: false, summary, failedRow: error.row, appliedRows: kept, rows: report }
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: `Imported ${counts.created} new and ${counts.updated} updated course(s)`,
+        data: { dryRun: false, summary: { ...summary, ...counts }, rows: report }
+      });
+    } catch (error) {
+      console.error('Error importing courses:', error);
+      res.status(500).json({ success: false, message: 'Server error', error: error.message });
+    }
+  });
+};
+
+// @desc    Export the institution's courses in the import format.
+//          ?format=csv|xlsx (default xlsx)
+// @route   GET /api/institution/courses/export
+// @access  Private (Institution)
+exports.exportCourses = async (req, res) => {
+  try {
+    const format = getRequestedFormat(req);
+    const courses = await Course.find({ institution: req.user.institutionId })
+      .select('-enrollments -reviews')
+      .sort('title');
+
+    await sendWorkbook(res, buildWorkbook(courses), format, 'courses');
+  } catch (error) {
+    console.error('Error exporting courses:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
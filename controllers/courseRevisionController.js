@@ -0,0 +1,128 @@
+// controllers/courseRevisionController.js - Course revision history and rollback
+const CourseRevision = require('../models/CourseRevision');
+const AdminSettings = require('../models/AdminSettings');
+const { getMissingCoursePermission } = require('../config/permissions');
+
+// Never restored by a rollback: replaced syllabus files are deleted,
+// publication and promotion have their own flows (an admin suspension must
+// not be undone by the institution), and batches may hold enrollments
+const nonRestorableFields = ['syllabusFile', 'isPublished', 'status', 'promotionLevel', 'isFeatured', 'batches'];
+
+const sendValidationError = (res, error) => {
+  const messages = Object.values(error.errors).map(err => err.message);
+  return res.status(400).json({ success: false, message: messages.join(', ') });
+};
+
+// @desc    Get a course's revisions, newest first, with before/after values
+//          for each changed field. ?field= limits to revisions touching it
+// @route   GET /api/institution/courses/:id/revisions
+// @route   GET /api/admin/courses/:id/revisions
+// @access  Private (Institution, Admin)
+exports.getCourseRevisions = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+    
+    // Course loaded by the loadCourse guard
+    const query = { course: req.course._id };
+    if (req.query.field) query['changes.field'] = req.query.field;
+    
+    const [revisions, total] = await Promise.all([
+      CourseRevision.find(query)
+        .populate('changedBy', 'name email')
+        .sort({ number: -1 })
+        .skip(skip)
+        .limit(limit),
+      CourseRevision.countDocuments(query)
+    ]);
+    
+    res.status(200).json({
+      success: true,
+      data: revisions,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Error getting course revisions:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Roll a course back to how it was right after revision :number
+//          (0 for before its first recorded change). The rollback is itself
+//          stored as a new revision
+// @route   POST /api/institution/courses/:id/revisions/:number/rollback
+// @access  Private (Institution)
+exports.rollbackCourse = async (req, res) => {
+  try {
+    const number = parseInt(req.params.number);
+    const course = req.course;
+    
+    if (isNaN(number) || number < 0) {
+      return res.status(400).json({ success: false, message: 'Invalid revision number' });
+    }
+    
+    if (number > 0 && !(await CourseRevision.exists({ course: course._id, number }))) {
+      return res.status(404).json({ success: false, message: 'Revision not found' });
+    }
+    
+    const values = await CourseRevision.getValuesAt(course._id, number);
+    const skippedFields = Object.keys(values).filter(field => nonRestorableFields.includes(field));
+    const fields = Object.keys(values).filter(field => !nonRestorableFields.includes(field));
+    
+    if (fields.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The course already matches this revision',
+        skippedFields
+      });
+    }
+    
+    const missingPermission = getMissingCoursePermission(req.user, fields);
+    if (missingPermission) {
+      return res.status(403).json({
+        success: false,
+        message: `Rolling back needs the ${missingPermission} permission`
+      });
+    }
+    
+    const before = CourseRevision.snapshot(course, [...fields, 'isPublished', 'status']);
+    fields.forEach(field => {
+      course.set(field, values[field] === null ? undefined : values[field]);
+    });
+    
+    // Like any other edit, rolling back material fields of a live course
+    // sends it back to admin review
+    const reviewFields = await AdminSettings.getCourseReviewFields();
+    if (course.status === 'published' && reviewFields.some(field => course.isModified(field))) {
+      course.submitForReview();
+    }
+    
+    await course.save();
+    
+    const revision = await CourseRevision.record(course, before, {
+      user: req.user,
+      action: 'rollback',
+      rolledBackTo: number
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: `Course rolled back to revision ${number}`,
+      data: course,
+      revision,
+      skippedFields
+    });
+  } catch (error) {
+    // The old values may no longer pass the schema (changed enums, ranges...)
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+    console.error('Error rolling back course:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
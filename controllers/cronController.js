@@ -0,0 +1,56 @@
+// controllers/cronController.js - Scheduled jobs triggered by Vercel Cron (see vercel.json)
+const { purgeDueAccounts } = require('../services/aspirantDataService');
+const { processDueInstallments } = require('../services/installmentService');
+const { refreshEffectivePrices } = require('../services/pricingService');
+
+// @desc    Purge aspirant accounts whose deletion grace period has passed
+// @route   GET /api/cron/purge-deleted-accounts
+// @access  Cron
+exports.purgeDeletedAccounts = async (req, res) => {
+  try {
+    const purged = await purgeDueAccounts();
+    
+    res.status(200).json({
+      success: true,
+      data: { purged }
+    });
+  } catch (error) {
+    console.error('Error purging deleted accounts:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Send installment reminders, mark missed installments overdue and
+//          suspend access once a plan's grace period has passed
+// @route   GET /api/cron/process-installments
+// @access  Cron
+exports.processInstallments = async (req, res) => {
+  try {
+    const stats = await processDueInstallments();
+    
+    res.status(200).json({
+      success: true,
+      data: stats
+    });
+  } catch (error) {
+    console.error('Error processing installments:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Update course prices as pricing tier windows open and close
+// @route   GET /api/cron/refresh-course-prices
+// @access  Cron
+exports.refreshCoursePrices = async (req, res) => {
+  try {
+    const updated = await refreshEffectivePrices();
+    
+    res.status(200).json({
+      success: true,
+      data: { updated }
+    });
+  } catch (error) {
+    console.error('Error refreshing course prices:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
@@ -0,0 +1,195 @@
+// controllers/installmentController.js - Course installment plans and installment payments recorded by institutions
+const CourseRevision = require('../models/CourseRevision');
+const AdminSettings = require('../models/AdminSettings');
+
+const planFields = [
+  'name', 'downPayment', 'installmentCount', 'installmentAmount',
+  'intervalDays', 'suspendAccess', 'graceDays', 'isActive'
+];
+
+const getPlanUpdates = (body) => {
+  const updates = {};
+  planFields.forEach(field => {
+    if (field in body) updates[field] = body[field];
+  });
+  return updates;
+};
+
+// Save the course and record the plan change as a revision. Plans are part
+// of the course's pricing, so changing them on a live course can send it
+// back to admin review
+const savePlans = async (req, course, before) => {
+  const reviewFields = await AdminSettings.getCourseReviewFields();
+  if (course.status === 'published' && reviewFields.some(field => course.isModified(field))) {
+    course.submitForReview();
+  }
+
+  await course.save();
+  await CourseRevision.record(course, before, { user: req.user });
+};
+
+const sendValidationError = (res, error) => {
+  const messages = Object.values(error.errors).map(err => err.message);
+  return res.status(400).json({ success: false, message: messages.join(', ') });
+};
+
+// @desc    Get a course's installment plans
+// @route   GET /api/institution/courses/:id/installment-plans
+// @access  Private (Institution)
+exports.getInstallmentPlans = async (req, res) => {
+  try {
+    // Loaded and ownership-checked by the loadCourse guard
+    const course = req.course;
+
+    res.status(200).json({
+      success: true,
+      count: course.installmentPlans.length,
+      data: course.installmentPlans
+    });
+  } catch (error) {
+    console.error('Error getting installment plans:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Add an installment plan: a down payment plus installmentCount
+//          payments of installmentAmount every intervalDays
+// @route   POST /api/institution/courses/:id/installment-plans
+// @access  Private (Institution)
+exports.createInstallmentPlan = async (req, res) => {
+  try {
+    const course = req.course;
+
+    const before = CourseRevision.snapshot(course, ['installmentPlans', 'isPublished', 'status']);
+    course.installmentPlans.push(getPlanUpdates(req.body));
+    const plan = course.installmentPlans[course.installmentPlans.length - 1];
+
+    await savePlans(req, course, before);
+
+    res.status(201).json({
+      success: true,
+      message: 'Installment plan added successfully',
+      data: plan
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+    console.error('Error creating installment plan:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Update an installment plan. Aspirants already on the plan keep the
+//          schedule and terms they enrolled with
+// @route   PUT /api/institution/courses/:id/installment-plans/:planId
+// @access  Private (Institution)
+exports.updateInstallmentPlan = async (req, res) => {
+  try {
+    const course = req.course;
+    const plan = course.installmentPlans.id(req.params.planId);
+
+    if (!plan) {
+      return res.status(404).json({ success: false, message: 'Installment plan not found' });
+    }
+
+    const before = CourseRevision.snapshot(course, ['installmentPlans', 'isPublished', 'status']);
+    plan.set(getPlanUpdates(req.body));
+
+    await savePlans(req, course, before);
+
+    res.status(200).json({
+      success: true,
+      message: 'Installment plan updated successfully',
+      data: plan
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+    console.error('Error updating installment plan:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Delete an installment plan nobody has enrolled with
+// @route   DELETE /api/institution/courses/:id/installment-plans/:planId
+// @access  Private (Institution)
+exports.deleteInstallmentPlan = async (req, res) => {
+  try {
+    const course = req.course;
+    const plan = course.installmentPlans.id(req.params.planId);
+
+    if (!plan) {
+      return res.status(404).json({ success: false, message: 'Installment plan not found' });
+    }
+
+    const inUse = course.enrollments.some(enrollment =>
+      enrollment.installmentPlan && enrollment.installmentPlan.equals(plan._id)
+    );
+    if (inUse) {
+      return res.status(400).json({
+        success: false,
+        message: 'Aspirants are enrolled with this plan. Deactivate it instead to stop new enrollments'
+      });
+    }
+
+    const before = CourseRevision.snapshot(course, ['installmentPlans', 'isPublished', 'status']);
+    plan.deleteOne();
+
+    await savePlans(req, course, before);
+
+    res.status(200).json({
+      success: true,
+      message: 'Installment plan deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting installment plan:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Record an installment paid outside the platform, or waive it.
+//          Body: { status: 'paid' | 'waived' }. Access suspended for a missed
+//          payment is restored once nothing is overdue
+// @route   PUT /api/institution/courses/:id/enrollments/:enrollmentId/installments/:number
+// @access  Private (Institution)
+exports.updateEnrollmentInstallment = async (req, res) => {
+  try {
+    const { status } = req.body;
+    const course = req.course;
+    const enrollment = course.enrollments.id(req.params.enrollmentId);
+
+    if (!enrollment || !enrollment.installments) {
+      return res.status(404).json({ success: false, message: 'Installment enrollment not found' });
+    }
+
+    if (!['paid', 'waived'].includes(status)) {
+      return res.status(400).json({ success: false, message: 'Status must be paid or waived' });
+    }
+
+    const installment = course.settleInstallment(enrollment, parseInt(req.params.number), {
+      status,
+      by: req.user.id
+    });
+
+    if (!installment) {
+      return res.status(400).json({ success: false, message: 'Installment not found or already settled' });
+    }
+
+    await course.save({ validateModifiedOnly: true });
+
+    res.status(200).json({
+      success: true,
+      message: `Installment marked as ${status}`,
+      data: {
+        installments: enrollment.installments,
+        amount: enrollment.amount,
+        accessStatus: enrollment.accessStatus
+      }
+    });
+  } catch (error) {
+    console.error('Error updating installment:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
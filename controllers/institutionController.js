@@ -1,10 +1,15 @@
 // controllers/institutionController.js
 const User = require('../models/User');
 const Course = require('../models/Course');
+const CourseRevision = require('../models/CourseRevision');
+const AdminSettings = require('../models/AdminSettings');
+const CourseBundle = require('../models/CourseBundle');
 const jwt = require('jsonwebtoken');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const { restrictedCourseFields, getMissingCoursePermission } = require('../config/permissions');
+const { getCloneData } = require('../services/courseCloneService');
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
@@ -106,6 +111,10 @@ exports.getPublicInstitutionProfile = async (req, res) => {
         const requestingUser = await User.findById(requestingUserId);
         if (requestingUser) {
           requestingUserRole = requestingUser.role;
+          // Institution staff see their institution's profile as its owner would
+          if (requestingUser.role === 'institution') {
+            requestingUserId = requestingUser.institutionId;
+          }
         }
       } catch (error) {
         // Invalid token, continue as public request
@@ -116,7 +125,7 @@ exports.getPublicInstitutionProfile = async (req, res) => {
     // Find institution
     const institution = await User.findById(id).select('-password');
     
-    if (!institution || institution.role !== 'institution') {
+    if (!institution || institution.role !== 'institution' || institution.memberOf) {
       return res.status(404).json({ success: false, message: 'Institution not found' });
     }
     
@@ -226,7 +235,7 @@ exports.getPublicInstitutionProfile = async (req, res) => {
 // @access  Private
 exports.getInstitutionProfile = async (req, res) => {
   try {
-    const institution = await User.findById(req.user.id).select('-password');
+    const institution = await User.findById(req.user.institutionId).select('-password');
     
     if (!institution) {
       return res.status(404).json({ success: false, message: 'Institution not found' });
@@ -249,7 +258,7 @@ exports.updateInstitutionContactPerson = async (req, res) => {
   try {
     const { name, designation, phone, email } = req.body;
     
-    const institution = await User.findById(req.user.id);
+    const institution = await User.findById(req.user.institutionId);
     
     if (!institution) {
       return res.status(404).json({ success: false, message: 'Institution not found' });
@@ -281,7 +290,7 @@ exports.updateInstitutionContactPerson = async (req, res) => {
 // @access  Private
 exports.getInstitutionAnalytics = async (req, res) => {
   try {
-    const courses = await Course.find({ institution: req.user.id });
+    const courses = await Course.find({ institution: req.user.institutionId });
     
     // Calculate total views
     const totalViews = courses.reduce((sum, course) => sum + course.views, 0);
@@ -372,7 +381,7 @@ exports.getInstitutionAnalytics = async (req, res) => {
 // @access  Private
 exports.getInstitutionReviews = async (req, res) => {
   try {
-    const courses = await Course.find({ institution: req.user.id })
+    const courses = await Course.find({ institution: req.user.institutionId })
       .populate('reviews.user', 'name')
       .select('title reviews');
     
@@ -407,18 +416,34 @@ exports.getInstitutionReviews = async (req, res) => {
 // @access  Private
 exports.getInstitutionEarnings = async (req, res) => {
   try {
-    const courses = await Course.find({ institution: req.user.id });
-    
-    // Calculate earnings by course
-    const earningsByCourse = courses.map(course => ({
-      courseId: course._id,
-      courseName: course.title,
-      totalEnrollments: course.enrollments.filter(e => e.paymentStatus === 'completed').length,
-      totalEarnings: course.enrollments
-        .filter(e => e.paymentStatus === 'completed')
-        .reduce((sum, enrollment) => sum + (enrollment.amount || course.price), 0),
-      status: course.isPublished ? 'Active' : 'Draft'
-    }));
+    const [courses, bundles] = await Promise.all([
+      Course.find({ institution: req.user.institutionId }),
+      CourseBundle.find({ institution: req.user.institutionId }).select('title price enrollmentCount')
+    ]);
+    
+    // Calculate earnings by course. Bundle enrollments count towards each
+    // course with the share of the bundle price recorded on them
+    const earningsByBundle = new Map();
+    const earningsByCourse = courses.map(course => {
+      const completed = course.enrollments.filter(e => e.paymentStatus === 'completed');
+      const fromBundles = completed.filter(e => e.bundle);
+      const bundleEarnings = fromBundles.reduce((sum, enrollment) => sum + (enrollment.amount || 0), 0);
+      
+      fromBundles.forEach(enrollment => {
+        const key = enrollment.bundle.toString();
+        earningsByBundle.set(key, (earningsByBundle.get(key) || 0) + (enrollment.amount || 0));
+      });
+      
+      return {
+        courseId: course._id,
+        courseName: course.title,
+        totalEnrollments: completed.length,
+        totalEarnings: completed.reduce((sum, enrollment) => sum + (enrollment.amount ?? course.price), 0),
+        bundleEnrollments: fromBundles.length,
+        bundleEarnings,
+        status: course.isPublished ? 'Active' : 'Draft'
+      };
+    });
     
     // Calculate total earnings
     const totalEarnings = earningsByCourse.reduce((sum, course) => sum + course.totalEarnings, 0);
@@ -430,7 +455,13 @@ exports.getInstitutionEarnings = async (req, res) => {
       success: true,
       totalEarnings,
       monthlyEarnings,
-      courses: earningsByCourse
+      courses: earningsByCourse,
+      bundles: bundles.map(bundle => ({
+        bundleId: bundle._id,
+        bundleName: bundle.title,
+        totalEnrollments: bundle.enrollmentCount,
+        totalEarnings: Math.round((earningsByBundle.get(bundle._id.toString()) || 0) * 100) / 100
+      }))
     });
   } catch (error) {
     console.error('Error getting earnings:', error);
@@ -443,9 +474,9 @@ exports.getInstitutionEarnings = async (req, res) => {
 // @access  Private
 exports.getInstitutionEnrollments = async (req, res) => {
   try {
-    const courses = await Course.find({ institution: req.user.id })
+    const courses = await Course.find({ institution: req.user.institutionId })
       .populate('enrollments.user', 'name email')
-      .select('title enrollments');
+      .select('title enrollments batches');
     
     // Flatten all enrollments
     const allEnrollments = [];
@@ -455,7 +486,8 @@ exports.getInstitutionEnrollments = async (req, res) => {
           allEnrollments.push({
             ...enrollment.toObject(),
             courseName: course.title,
-            courseId: course._id
+            courseId: course._id,
+            batchName: enrollment.batch ? course.batches.id(enrollment.batch)?.name : undefined
           });
         }
       });
@@ -516,7 +548,7 @@ exports.createCourse = async (req, res) => {
           tags,
            prerequisites,
           targetAudience,
-          
+          pricingTiers
         } = req.body;
         
         // Parse JSON strings back to arrays/objects
@@ -552,6 +584,16 @@ exports.createCourse = async (req, res) => {
           parsedTags = [];
         }
 
+        let parsedPricingTiers = [];
+        try {
+          if (pricingTiers) {
+            parsedPricingTiers = typeof pricingTiers === 'string' ? JSON.parse(pricingTiers) : pricingTiers;
+          }
+        } catch (parseError) {
+          console.error('Error parsing pricingTiers:', parseError);
+          parsedPricingTiers = [];
+        }
+
          try {
           if (syllabusDetails) {
             parsedSyllabusDetails = typeof syllabusDetails === 'string' ? JSON.parse(syllabusDetails) : syllabusDetails;
@@ -569,7 +611,7 @@ exports.createCourse = async (req, res) => {
           originalPrice: originalPrice ? Number(originalPrice) : Number(price),
           discount: discount ? Number(discount) : 0,
           duration,
-          institution: req.user.id,
+          institution: req.user.institutionId,
           courseCategory,
           courseType: parseArrayField(courseType),
           courseLanguages: parseArrayField(courseLanguages).length > 0 ? parseArrayField(courseLanguages) : ['english'],
@@ -589,6 +631,7 @@ exports.createCourse = async (req, res) => {
           syllabusFile: req.file ? req.file.path : undefined,
           faculty: parsedFaculty,
           tags: parsedTags,
+          pricingTiers: parsedPricingTiers,
           isPublished: false,
           status: 'draft'
         };
@@ -642,15 +685,16 @@ exports.updateCourse = async (req, res) => {
       }
       
       try {
-        const course = await Course.findById(req.params.id);
-        
-        if (!course) {
-          return res.status(404).json({ success: false, message: 'Course not found' });
-        }
+        // Loaded and ownership-checked by the loadCourse guard
+        const course = req.course;
         
-        // Check if this institution owns the course
-        if (course.institution.toString() !== req.user.id) {
-          return res.status(403).json({ success: false, message: 'Not authorized to update this course' });
+        // Pricing and publishing need their own permissions
+        const missingPermission = getMissingCoursePermission(req.user, Object.keys(req.body));
+        if (missingPermission) {
+          return res.status(403).json({ 
+            success: false, 
+            message: `Institution role ${req.user.institutionRole} cannot change ${restrictedCourseFields[missingPermission].join(', ')}` 
+          });
         }
         
         // Build update object
@@ -662,13 +706,13 @@ exports.updateCourse = async (req, res) => {
           'highlights', 'whatYouWillLearn', 'maxStudents', 'schedule',
           'syllabusDetails', 'faculty', 'tags', 'isPublished','prerequisites',
           'targetAudience', 'coordinates',
-          'coverImage', 'galleryImages'
+          'coverImage', 'galleryImages', 'pricingTiers'
         ];
         
         // Process each field
         Object.keys(req.body).forEach(field => {
           if (allowedFields.includes(field)) {
-            if (field === 'schedule' || field === 'faculty' || field === 'tags') {
+            if (field === 'schedule' || field === 'faculty' || field === 'tags' || field === 'pricingTiers') {
               try {
                 updateFields[field] = typeof req.body[field] === 'string' ? JSON.parse(req.body[field]) : req.body[field];
               } catch (e) {
@@ -685,11 +729,12 @@ exports.updateCourse = async (req, res) => {
           }
         });
         
-        // Update status based on isPublished
-        if ('isPublished' in req.body) {
-          updateFields.status = req.body.isPublished === 'true' || req.body.isPublished === true ? 
-            'published' : 'draft';
-        }
+        // Publishing goes through admin review (see below) rather than
+        // setting the flag directly
+        const wantsPublished = 'isPublished' in req.body
+          ? req.body.isPublished === 'true' || req.body.isPublished === true
+          : undefined;
+        delete updateFields.isPublished;
         
         // If there's a new file and an old one exists, delete the old one
         if (req.file) {
@@ -701,17 +746,33 @@ exports.updateCourse = async (req, res) => {
           updateFields.syllabusFile = req.file.path;
         }
         
-        // Update course
-        const updatedCourse = await Course.findByIdAndUpdate(
-          req.params.id,
-          updateFields,
-          { new: true, runValidators: true }
-        );
+        // Update course, keeping a revision of what changed
+        const before = CourseRevision.snapshot(course, [...Object.keys(updateFields), 'isPublished', 'status']);
+        course.set(updateFields);
+        
+        // Courses go live only after admin review: asking to publish submits
+        // the course, and material edits to a live course resubmit it
+        let message = 'Course updated successfully';
+        const reviewFields = await AdminSettings.getCourseReviewFields();
+        
+        if (wantsPublished === true && !course.isPublished && course.status !== 'pending_review') {
+          course.submitForReview();
+          message = 'Course submitted for review. It will be published once an admin approves it';
+        } else if (wantsPublished === false && course.status !== 'suspended') {
+          course.isPublished = false;
+          course.status = 'draft';
+        } else if (course.status === 'published' && reviewFields.some(field => course.isModified(field))) {
+          course.submitForReview();
+          message = 'Course updated. The changes need admin review, so the course is hidden until it is approved';
+        }
+        
+        await course.save({ validateModifiedOnly: true });
+        await CourseRevision.record(course, before, { user: req.user });
         
         res.status(200).json({
           success: true,
-          message: 'Course updated successfully',
-          data: updatedCourse
+          message,
+          data: course
         });
       } catch (error) {
         // Remove uploaded file if course update fails
@@ -744,7 +805,7 @@ exports.updateCourse = async (req, res) => {
 // @access  Private
 exports.getInstitutionCourses = async (req, res) => {
   try {
-    const courses = await Course.find({ institution: req.user.id })
+    const courses = await Course.find({ institution: req.user.institutionId })
       .sort('-createdAt');
     
     res.status(200).json({
@@ -763,16 +824,8 @@ exports.getInstitutionCourses = async (req, res) => {
 // @access  Private
 exports.getCourse = async (req, res) => {
   try {
-    const course = await Course.findById(req.params.id);
-    
-    if (!course) {
-      return res.status(404).json({ success: false, message: 'Course not found' });
-    }
-    
-    // Check if this institution owns the course
-    if (course.institution.toString() !== req.user.id) {
-      return res.status(403).json({ success: false, message: 'Not authorized to view this course' });
-    }
+    // Loaded and ownership-checked by the loadCourse guard
+    const course = req.course;
     
     res.status(200).json({
       success: true,
@@ -789,15 +842,14 @@ exports.getCourse = async (req, res) => {
 // @access  Private
 exports.deleteCourse = async (req, res) => {
   try {
-    const course = await Course.findById(req.params.id);
-    
-    if (!course) {
-      return res.status(404).json({ success: false, message: 'Course not found' });
-    }
+    // Loaded and ownership-checked by the loadCourse guard
+    const course = req.course;
     
-    // Check if this institution owns the course
-    if (course.institution.toString() !== req.user.id) {
-      return res.status(403).json({ success: false, message: 'Not authorized to delete this course' });
+    if (await CourseBundle.exists({ courses: course._id })) {
+      return res.status(400).json({
+        success: false,
+        message: 'This course is part of a bundle. Remove it from the bundle first'
+      });
     }
     
     // Delete syllabus file if exists
@@ -826,21 +878,15 @@ exports.promoteCourse = async (req, res) => {
   try {
     const { promotionLevel } = req.body;
     
-    const course = await Course.findById(req.params.id);
-    
-    if (!course) {
-      return res.status(404).json({ success: false, message: 'Course not found' });
-    }
-    
-    // Check if this institution owns the course
-    if (course.institution.toString() !== req.user.id) {
-      return res.status(403).json({ success: false, message: 'Not authorized to promote this course' });
-    }
+    // Loaded and ownership-checked by the loadCourse guard
+    const course = req.course;
     
+    const before = CourseRevision.snapshot(course, ['promotionLevel', 'isFeatured']);
     course.promotionLevel = promotionLevel;
     course.isFeatured = promotionLevel === 'featured';
     
     await course.save();
+    await CourseRevision.record(course, before, { user: req.user, action: 'promotion' });
     
     res.status(200).json({
       success: true,
@@ -853,6 +899,81 @@ exports.promoteCourse = async (req, res) => {
   }
 };
 
+// @desc    Clone a course as a new draft edition. Body (all optional):
+//          { title, dateOffsetDays } or { title, startDate } - a new start
+//          date shifts every course, batch, schedule and pricing tier date by
+//          the same amount
+// @route   POST /api/institution/courses/:id/clone
+// @access  Private
+exports.cloneCourse = async (req, res) => {
+  try {
+    // Loaded and ownership-checked by the loadCourse guard
+    const source = req.course;
+    const { title, startDate } = req.body;
+    
+    let days = 0;
+    if (startDate !== undefined) {
+      if (!source.startDate || isNaN(new Date(startDate))) {
+        return res.status(400).json({
+          success: false,
+          message: 'startDate must be a valid date, and the course needs a start date to shift from'
+        });
+      }
+      days = Math.round((new Date(startDate) - source.startDate) / (24 * 60 * 60 * 1000));
+    } else if (req.body.dateOffsetDays !== undefined) {
+      days = parseInt(req.body.dateOffsetDays);
+      if (isNaN(days)) {
+        return res.status(400).json({ success: false, message: 'dateOffsetDays must be a whole number of days' });
+      }
+    }
+    
+    const data = getCloneData(source, days);
+    
+    // The clone gets its own copy of the syllabus file, since deleting either
+    // course removes its file
+    if (source.syllabusFile && fs.existsSync(source.syllabusFile)) {
+      const copyPath = path.join(
+        path.dirname(source.syllabusFile),
+        `syllabus-${Date.now()}-${Math.round(Math.random() * 1E9)}${path.extname(source.syllabusFile)}`
+      );
+      await fs.promises.copyFile(source.syllabusFile, copyPath);
+      data.syllabusFile = copyPath;
+    }
+    
+    let clone;
+    try {
+      clone = await Course.create({
+        ...data,
+        title: title || `${source.title} (Copy)`,
+        institution: source.institution,
+        clonedFrom: source._id,
+        isPublished: false,
+        status: 'draft'
+      });
+    } catch (error) {
+      if (data.syllabusFile) {
+        fs.unlink(data.syllabusFile, (err) => {
+          if (err) console.error('Error removing file:', err);
+        });
+      }
+      throw error;
+    }
+    
+    res.status(201).json({
+      success: true,
+      message: 'Course cloned successfully. The copy is a draft until you publish it',
+      data: clone
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const messages = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({ success: false, message: messages.join(', ') });
+    }
+    console.error('Error cloning course:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
 // Export all functions as a module
 module.exports = {
   getPublicInstitutionProfile: exports.getPublicInstitutionProfile,
@@ -867,5 +988,6 @@ module.exports = {
   getInstitutionCourses: exports.getInstitutionCourses,
   getCourse: exports.getCourse,
   deleteCourse: exports.deleteCourse,
-  promoteCourse: exports.promoteCourse
+  promoteCourse: exports.promoteCourse,
+  cloneCourse: exports.cloneCourse
 };
\ No newline at end of file
@@ -0,0 +1,261 @@
+// controllers/institutionMemberController.js - Staff accounts of an institution
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Invitation = require('../models/Invitation');
+const Session = require('../models/Session');
+const { institutionRoles, hasPermission } = require('../config/permissions');
+const { sendInvitationEmail } = require('../services/emailServices');
+
+const roleLabels = {
+  owner: 'Owner',
+  manager: 'Manager',
+  counselor: 'Counselor',
+  faculty: 'Faculty Coordinator'
+};
+
+// Managers can look after counselors and faculty; only the owner can grant or
+// take away the manager role
+const canManageRole = (req, role) => {
+  if (role === 'owner') return false;
+  if (role === 'manager') {
+    return hasPermission(req.user, 'member.manageManagers');
+  }
+  return true;
+};
+
+// @desc    Get institution staff and pending invitations
+// @route   GET /api/institution/members
+// @access  Private
+exports.getInstitutionMembers = async (req, res) => {
+  try {
+    const [owner, members, invitations] = await Promise.all([
+      User.findById(req.user.institutionId).select('name email institutionRole lastLogin createdAt'),
+      User.find({ memberOf: req.user.institutionId })
+        .select('name email institutionRole isActive lastLogin createdAt')
+        .sort('createdAt'),
+      Invitation.find({
+        kind: 'institution_member',
+        institution: req.user.institutionId,
+        status: 'pending',
+        expiresAt: { $gt: new Date() }
+      })
+        .populate('invitedBy', 'name email')
+        .sort('-createdAt')
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        members: [
+          { ...owner.toObject(), institutionRole: 'owner', isActive: true },
+          ...members.map(member => member.toObject())
+        ],
+        invitations: invitations.map(invitation => ({
+          id: invitation._id,
+          email: invitation.email,
+          institutionRole: invitation.institutionRole,
+          invitedBy: invitation.invitedBy,
+          expiresAt: invitation.expiresAt,
+          createdAt: invitation.createdAt
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Error getting institution members:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Invite a staff member by email
+// @route   POST /api/institution/members/invite
+// @access  Private
+exports.inviteInstitutionMember = async (req, res) => {
+  try {
+    const { email, role } = req.body;
+
+    if (!email || !role) {
+      return res.status(400).json({ success: false, message: 'Email and role are required' });
+    }
+
+    if (!institutionRoles.includes(role) || role === 'owner') {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${institutionRoles.filter(r => r !== 'owner').join(', ')}`
+      });
+    }
+
+    if (!canManageRole(req, role)) {
+      return res.status(403).json({ success: false, message: `You cannot invite members with the ${role} role` });
+    }
+
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      return res.status(400).json({ success: false, message: 'Email already registered' });
+    }
+
+    const institution = await User.findById(req.user.institutionId);
+    const inviter = await User.findById(req.user.id).select('name');
+
+    // A new invitation replaces any pending one for the same email
+    await Invitation.updateMany(
+      { kind: 'institution_member', institution: institution._id, email, status: 'pending' },
+      { status: 'revoked', revokedAt: Date.now(), revokedBy: req.user.id }
+    );
+
+    const invitation = await Invitation.create({
+      kind: 'institution_member',
+      email,
+      institution: institution._id,
+      institutionRole: role,
+      invitedBy: req.user.id
+    });
+
+    const emailSent = await sendInvitationEmail(invitation.email, {
+      inviterName: inviter.name,
+      organizationName: institution.institutionProfile?.institutionName || institution.name,
+      roleLabel: roleLabels[role],
+      acceptUrl: invitation.getInviteUrl(),
+      expiresAt: invitation.expiresAt
+    });
+
+    if (!emailSent) {
+      await invitation.deleteOne();
+      return res.status(500).json({ success: false, message: 'Failed to send invitation email' });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation sent successfully',
+      data: {
+        id: invitation._id,
+        email: invitation.email,
+        institutionRole: invitation.institutionRole,
+        expiresAt: invitation.expiresAt
+      }
+    });
+  } catch (error) {
+    console.error('Error inviting institution member:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Revoke a pending invitation
+// @route   DELETE /api/institution/members/invitations/:id
+// @access  Private
+exports.revokeInstitutionInvitation = async (req, res) => {
+  try {
+    const invitation = mongoose.isValidObjectId(req.params.id)
+      ? await Invitation.findOne({
+        _id: req.params.id,
+        kind: 'institution_member',
+        institution: req.user.institutionId,
+        status: 'pending'
+      })
+      : null;
+
+    if (!invitation) {
+      return res.status(404).json({ success: false, message: 'Invitation not found' });
+    }
+
+    if (!canManageRole(req, invitation.institutionRole)) {
+      return res.status(403).json({ success: false, message: 'Not authorized to revoke this invitation' });
+    }
+
+    invitation.status = 'revoked';
+    invitation.revokedAt = new Date();
+    invitation.revokedBy = req.user.id;
+    await invitation.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation revoked successfully'
+    });
+  } catch (error) {
+    console.error('Error revoking invitation:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Change a staff member's role
+// @route   PUT /api/institution/members/:userId
+// @access  Private
+exports.updateInstitutionMember = async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!institutionRoles.includes(role) || role === 'owner') {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${institutionRoles.filter(r => r !== 'owner').join(', ')}`
+      });
+    }
+
+    const member = mongoose.isValidObjectId(req.params.userId)
+      ? await User.findOne({ _id: req.params.userId, memberOf: req.user.institutionId })
+      : null;
+
+    if (!member) {
+      return res.status(404).json({ success: false, message: 'Member not found' });
+    }
+
+    if (member._id.toString() === req.user.id) {
+      return res.status(400).json({ success: false, message: 'You cannot change your own role' });
+    }
+
+    if (!canManageRole(req, member.institutionRole) || !canManageRole(req, role)) {
+      return res.status(403).json({ success: false, message: 'Not authorized to change this member\'s role' });
+    }
+
+    member.institutionRole = role;
+    await member.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Member role updated successfully',
+      data: {
+        id: member._id,
+        name: member.name,
+        email: member.email,
+        institutionRole: member.institutionRole
+      }
+    });
+  } catch (error) {
+    console.error('Error updating institution member:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Remove a staff member (deactivates the account and signs it out)
+// @route   DELETE /api/institution/members/:userId
+// @access  Private
+exports.removeInstitutionMember = async (req, res) => {
+  try {
+    const member = mongoose.isValidObjectId(req.params.userId)
+      ? await User.findOne({ _id: req.params.userId, memberOf: req.user.institutionId })
+      : null;
+
+    if (!member) {
+      return res.status(404).json({ success: false, message: 'Member not found' });
+    }
+
+    if (member._id.toString() === req.user.id) {
+      return res.status(400).json({ success: false, message: 'You cannot remove yourself' });
+    }
+
+    if (!canManageRole(req, member.institutionRole)) {
+      return res.status(403).json({ success: false, message: 'Not authorized to remove this member' });
+    }
+
+    member.isActive = false;
+    await member.save({ validateBeforeSave: false });
+    await Session.revokeAllForUser(member._id, 'removed_from_institution');
+
+    res.status(200).json({
+      success: true,
+      message: 'Member removed successfully'
+    });
+  } catch (error) {
+    console.error('Error removing institution member:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
@@ -0,0 +1,671 @@
+// controllers/verificationController.js - Institution verification cases and held profile changes
+const mongoose = require('mongoose');
+const multer = require('multer');
+const User = require('../models/User');
+const VerificationCase = require('../models/VerificationCase');
+const ProfileChangeRequest = require('../models/ProfileChangeRequest');
+const {
+  sendVerificationSubmittedEmail,
+  sendVerificationChangesRequestedEmail,
+  sendInstitutionVerifiedEmail,
+  sendInstitutionRejectedEmail,
+  sendProfileChangesApprovedEmail,
+  sendProfileChangesRejectedEmail
+} = require('../services/emailServices');
+const { saveDocument, openDocument, removeDocument } = require('../services/documentStorageService');
+
+const allowedMimeTypes = ['application/pdf', 'image/jpeg', 'image/png'];
+
+// Files are kept in memory only until they are written to the private
+// document store
+const upload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    if (allowedMimeTypes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only PDF, JPEG and PNG files are allowed'), false);
+    }
+  },
+  limits: { fileSize: 5 * 1024 * 1024 } // 5MB limit
+});
+
+const getInstitutionName = (institution) => {
+  return institution.institutionProfile?.institutionName || institution.name;
+};
+
+// Case as returned by the API - file ids stay on the server
+const formatCase = (verificationCase) => {
+  const data = verificationCase.toObject();
+
+  return {
+    ...data,
+    documents: data.documents.map(({ fileId, ...document }) => document),
+    isEditable: verificationCase.isEditable,
+    documentTypes: VerificationCase.documentTypes,
+    requiredDocuments: VerificationCase.requiredDocumentTypes,
+    missingDocuments: verificationCase.getMissingDocuments()
+  };
+};
+
+// Send a stored document as a download
+const sendDocument = (res, document) => {
+  if (!document.fileId) {
+    return res.status(404).json({ success: false, message: 'Document file not found' });
+  }
+
+  const stream = openDocument(document.fileId);
+
+  stream.once('file', () => {
+    res.set('Cache-Control', 'private, no-store');
+    res.attachment(document.originalName);
+    res.type(document.mimeType || 'application/octet-stream');
+  });
+  stream.once('error', () => {
+    if (!res.headersSent) {
+      res.status(404).json({ success: false, message: 'Document file not found' });
+    } else {
+      res.end();
+    }
+  });
+  stream.pipe(res);
+};
+
+// Keep the institution account's verification fields in line with its case
+const applyCaseToInstitution = (institution, verificationCase, adminId) => {
+  const isVerified = verificationCase.status === 'verified';
+
+  institution.isVerified = isVerified;
+  institution.verificationStatus = verificationCase.status === 'draft' ? 'pending' : verificationCase.status;
+  institution.verificationNote = verificationCase.decisionNote;
+  institution.verifiedAt = isVerified ? new Date() : undefined;
+  if (adminId) {
+    institution.verifiedBy = adminId;
+  }
+
+  return institution.save({ validateModifiedOnly: true });
+};
+
+// @desc    Get the institution's verification case
+// @route   GET /api/institution/verification
+// @access  Private (Institution)
+exports.getVerificationCase = async (req, res) => {
+  try {
+    const verificationCase = await VerificationCase.forInstitution(req.user.institutionId);
+
+    res.status(200).json({
+      success: true,
+      data: formatCase(verificationCase)
+    });
+  } catch (error) {
+    console.error('Error getting verification case:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Upload (or replace) a verification document. Multipart field "document"
+// @route   PUT /api/institution/verification/documents/:type
+// @access  Private (Institution)
+exports.uploadVerificationDocument = async (req, res) => {
+  try {
+    const { type } = req.params;
+
+    if (!VerificationCase.documentTypes.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Document type must be one of: ${VerificationCase.documentTypes.join(', ')}`
+      });
+    }
+
+    const verificationCase = await VerificationCase.forInstitution(req.user.institutionId);
+
+    if (!verificationCase.isEditable) {
+      return res.status(400).json({
+        success: false,
+        message: verificationCase.status === 'verified'
+          ? 'Your institution is already verified'
+          : 'Documents cannot be changed while your verification is under review'
+      });
+    }
+
+    // Handle file upload
+    upload.single('document')(req, res, async function(err) {
+      if (err) {
+        return res.status(400).json({
+          success: false,
+          message: err.message || 'File upload error'
+        });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({ success: false, message: 'Please attach the document file' });
+      }
+
+      let fileId;
+      try {
+        fileId = await saveDocument(req.file.buffer, {
+          filename: req.file.originalname,
+          contentType: req.file.mimetype,
+          metadata: { institution: verificationCase.institution, type }
+        });
+
+        const existing = verificationCase.getDocument(type);
+        const replacedFileId = existing?.fileId;
+
+        if (existing) {
+          existing.deleteOne();
+        }
+
+        verificationCase.documents.push({
+          type,
+          fileId,
+          originalName: req.file.originalname,
+          mimeType: req.file.mimetype,
+          size: req.file.size
+        });
+
+        await verificationCase.save();
+        await removeDocument(replacedFileId);
+
+        res.status(200).json({
+          success: true,
+          message: 'Document uploaded successfully',
+          data: formatCase(verificationCase)
+        });
+      } catch (error) {
+        await removeDocument(fileId);
+        console.error('Error saving verification document:', error);
+        res.status(500).json({ success: false, message: 'Server error', error: error.message });
+      }
+    });
+  } catch (error) {
+    console.error('Error uploading verification document:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Download one of the institution's own verification documents
+// @route   GET /api/institution/verification/documents/:type
+// @access  Private (Institution)
+exports.downloadVerificationDocument = async (req, res) => {
+  try {
+    const verificationCase = await VerificationCase.findOne({ institution: req.user.institutionId });
+    const document = verificationCase?.getDocument(req.params.type);
+
+    if (!document) {
+      return res.status(404).json({ success: false, message: 'Document not found' });
+    }
+
+    sendDocument(res, document);
+  } catch (error) {
+    console.error('Error downloading verification document:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Submit the verification case for review, or resubmit it after
+//          changes were requested or it was rejected
+// @route   POST /api/institution/verification/submit
+// @access  Private (Institution)
+exports.submitVerification = async (req, res) => {
+  try {
+    const verificationCase = await VerificationCase.forInstitution(req.user.institutionId);
+
+    if (!verificationCase.isEditable) {
+      return res.status(400).json({
+        success: false,
+        message: verificationCase.status === 'verified'
+          ? 'Your institution is already verified'
+          : 'Your verification is already under review'
+      });
+    }
+
+    const missingDocuments = verificationCase.getMissingDocuments();
+    if (missingDocuments.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload all required documents',
+        missingDocuments
+      });
+    }
+
+    const rejectedDocuments = verificationCase.documents
+      .filter(document => document.reviewStatus === 'rejected')
+      .map(document => document.type);
+    if (rejectedDocuments.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please replace the documents that were not accepted',
+        rejectedDocuments
+      });
+    }
+
+    verificationCase.transition('pending', { by: req.user.id });
+    verificationCase.submittedAt = new Date();
+    verificationCase.submissionCount += 1;
+    await verificationCase.save();
+
+    const institution = await User.findById(req.user.institutionId);
+    await applyCaseToInstitution(institution, verificationCase);
+
+    await sendVerificationSubmittedEmail(institution.email, getInstitutionName(institution));
+
+    res.status(200).json({
+      success: true,
+      message: 'Verification submitted for review',
+      data: formatCase(verificationCase)
+    });
+  } catch (error) {
+    console.error('Error submitting verification:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get verification cases, oldest submission first. ?status= defaults
+//          to pending; use "all" for every case
+// @route   GET /api/admin/verification-cases
+// @access  Private (Admin)
+exports.getVerificationCases = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const status = req.query.status || 'pending';
+    const query = status === 'all' ? {} : { status };
+
+    const [cases, total] = await Promise.all([
+      VerificationCase.find(query)
+        .populate('institution', 'name email institutionProfile.institutionName institutionProfile.institutionType createdAt')
+        .sort({ submittedAt: 1, createdAt: 1 })
+        .skip(skip)
+        .limit(limit),
+      VerificationCase.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: cases.map(formatCase),
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Error getting verification cases:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// Load the institution in req.params.id and its case, or send a 404
+const findInstitutionCase = async (req, res) => {
+  const institution = mongoose.Types.ObjectId.isValid(req.params.id) ? await User.findById(req.params.id) : null;
+
+  if (!institution || institution.role !== 'institution' || institution.memberOf) {
+    res.status(404).json({ success: false, message: 'Institution not found' });
+    return {};
+  }
+
+  const verificationCase = await VerificationCase.findOne({ institution: institution._id })
+    .populate('history.by', 'name')
+    .populate('documents.reviewedBy', 'name');
+
+  if (!verificationCase) {
+    res.status(404).json({ success: false, message: 'This institution has not started verification' });
+    return {};
+  }
+
+  return { institution, verificationCase };
+};
+
+// @desc    Get an institution's verification case
+// @route   GET /api/admin/institutions/:id/verification
+// @access  Private (Admin)
+exports.getInstitutionVerification = async (req, res) => {
+  try {
+    const { institution, verificationCase } = await findInstitutionCase(req, res);
+    if (!verificationCase) return;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...formatCase(verificationCase),
+        institution: {
+          _id: institution._id,
+          name: institution.name,
+          email: institution.email,
+          institutionProfile: institution.institutionProfile,
+          createdAt: institution.createdAt
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error getting institution verification:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Download an institution's verification document
+// @route   GET /api/admin/institutions/:id/verification/documents/:type
+// @access  Private (Admin)
+exports.downloadInstitutionDocument = async (req, res) => {
+  try {
+    const { verificationCase } = await findInstitutionCase(req, res);
+    if (!verificationCase) return;
+
+    const document = verificationCase.getDocument(req.params.type);
+
+    if (!document) {
+      return res.status(404).json({ success: false, message: 'Document not found' });
+    }
+
+    sendDocument(res, document);
+  } catch (error) {
+    console.error('Error downloading institution document:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Tick off a document on the checklist: { status: accepted | rejected, note }
+// @route   PUT /api/admin/institutions/:id/verification/documents/:type
+// @access  Private (Admin)
+exports.reviewVerificationDocument = async (req, res) => {
+  try {
+    const { status, note } = req.body;
+
+    if (!['accepted', 'rejected'].includes(status)) {
+      return res.status(400).json({ success: false, message: 'Status must be either "accepted" or "rejected"' });
+    }
+
+    if (status === 'rejected' && !note) {
+      return res.status(400).json({ success: false, message: 'Please explain what is wrong with the document' });
+    }
+
+    const { verificationCase } = await findInstitutionCase(req, res);
+    if (!verificationCase) return;
+
+    if (verificationCase.status !== 'pending') {
+      return res.status(400).json({ success: false, message: 'Only submitted verifications can be reviewed' });
+    }
+
+    const document = verificationCase.getDocument(req.params.type);
+
+    if (!document) {
+      return res.status(404).json({ success: false, message: 'Document not found' });
+    }
+
+    document.reviewStatus = status;
+    document.reviewNote = note;
+    document.reviewedBy = req.user.id;
+    document.reviewedAt = new Date();
+
+    await verificationCase.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Document ${status}`,
+      data: formatCase(verificationCase)
+    });
+  } catch (error) {
+    console.error('Error reviewing verification document:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Decide a submitted verification: { status: verified |
+//          changes_requested | rejected, note }
+// @route   PUT /api/admin/institutions/:id/verify
+// @access  Private (Admin)
+exports.verifyInstitution = async (req, res) => {
+  try {
+    const { status, note } = req.body;
+
+    if (!['verified', 'changes_requested', 'rejected'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status must be one of: verified, changes_requested, rejected'
+      });
+    }
+
+    const { institution, verificationCase } = await findInstitutionCase(req, res);
+    if (!verificationCase) return;
+
+    if (verificationCase.status !== 'pending') {
+      return res.status(400).json({ success: false, message: 'Only submitted verifications can be decided' });
+    }
+
+    const rejectedDocuments = verificationCase.documents.filter(document => document.reviewStatus === 'rejected');
+
+    if (status === 'verified') {
+      const unaccepted = verificationCase.documents
+        .filter(document => document.reviewStatus !== 'accepted')
+        .map(document => document.type);
+
+      if (unaccepted.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Accept every document before verifying the institution',
+          unacceptedDocuments: unaccepted
+        });
+      }
+    }
+
+    if (status === 'changes_requested' && rejectedDocuments.length === 0 && !note) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reject the documents that need changes or add a note explaining what to change'
+      });
+    }
+
+    if (status === 'rejected' && !note) {
+      return res.status(400).json({ success: false, message: 'Please provide a reason for the rejection' });
+    }
+
+    verificationCase.transition(status, { by: req.user.id, note });
+    verificationCase.decisionNote = note;
+    verificationCase.decidedBy = req.user.id;
+    verificationCase.decidedAt = new Date();
+    await verificationCase.save();
+
+    await applyCaseToInstitution(institution, verificationCase, req.user.id);
+
+    const institutionName = getInstitutionName(institution);
+    if (status === 'verified') {
+      await sendInstitutionVerifiedEmail(institution.email, institutionName);
+    } else if (status === 'changes_requested') {
+      await sendVerificationChangesRequestedEmail(institution.email, institutionName, {
+        note,
+        documents: rejectedDocuments.map(document => ({ type: document.type, note: document.reviewNote }))
+      });
+    } else {
+      await sendInstitutionRejectedEmail(institution.email, institutionName, note);
+    }
+
+    const messages = {
+      verified: 'Institution verified successfully',
+      changes_requested: 'Changes requested from the institution',
+      rejected: 'Institution verification rejected'
+    };
+
+    res.status(200).json({
+      success: true,
+      message: messages[status],
+      data: formatCase(verificationCase)
+    });
+  } catch (error) {
+    console.error('Error verifying institution:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+const formatChangeRequest = (request) => ({
+  _id: request._id,
+  institution: request.institution,
+  requestedBy: request.requestedBy,
+  status: request.status,
+  diff: request.getDiff(),
+  reviewedBy: request.reviewedBy,
+  reviewedAt: request.reviewedAt,
+  rejectionReason: request.rejectionReason,
+  createdAt: request.createdAt,
+  updatedAt: request.updatedAt
+});
+
+// @desc    Get held changes to institutions' identity details, oldest first.
+//          ?status= defaults to pending; use "all" for every request
+// @route   GET /api/admin/profile-changes
+// @access  Private (Admin)
+exports.getProfileChangeRequests = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    if (req.query.institutionId && !mongoose.isValidObjectId(req.query.institutionId)) {
+      return res.status(400).json({ success: false, message: 'Invalid institutionId' });
+    }
+
+    const status = req.query.status || 'pending';
+    const query = status === 'all' ? {} : { status };
+    if (req.query.institutionId) query.institution = req.query.institutionId;
+
+    const [requests, total] = await Promise.all([
+      ProfileChangeRequest.find(query)
+        .populate('institution', 'name email institutionProfile.institutionName')
+        .populate('requestedBy', 'name email institutionRole')
+        .sort({ createdAt: 1 })
+        .skip(skip)
+        .limit(limit),
+      ProfileChangeRequest.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: requests.map(formatChangeRequest),
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Error getting profile change requests:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// Load the change request in req.params.id, or send a 404
+const findChangeRequest = async (req, res) => {
+  const request = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await ProfileChangeRequest.findById(req.params.id)
+      .populate('institution')
+      .populate('requestedBy', 'name email institutionRole')
+    : null;
+
+  if (!request || !request.institution) {
+    res.status(404).json({ success: false, message: 'Change request not found' });
+    return null;
+  }
+
+  return request;
+};
+
+// @desc    Get one change request with its field by field diff
+// @route   GET /api/admin/profile-changes/:id
+// @access  Private (Admin)
+exports.getProfileChangeRequest = async (req, res) => {
+  try {
+    const request = await findChangeRequest(req, res);
+    if (!request) return;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...formatChangeRequest(request),
+        institution: {
+          _id: request.institution._id,
+          name: request.institution.name,
+          email: request.institution.email,
+          institutionName: request.institution.institutionProfile?.institutionName
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error getting profile change request:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Approve held changes and apply them to the live profile
+// @route   PUT /api/admin/profile-changes/:id/approve
+// @access  Private (Admin)
+exports.approveProfileChangeRequest = async (req, res) => {
+  try {
+    const request = await findChangeRequest(req, res);
+    if (!request) return;
+
+    if (request.status !== 'pending') {
+      return res.status(400).json({ success: false, message: `This request has already been ${request.status}` });
+    }
+
+    const institution = request.institution;
+    request.applyTo(institution);
+    await institution.save({ validateModifiedOnly: true });
+
+    request.status = 'approved';
+    request.reviewedBy = req.user.id;
+    request.reviewedAt = new Date();
+    await request.save();
+
+    const labels = request.getDiff().map(change => change.label);
+    await sendProfileChangesApprovedEmail(institution.email, getInstitutionName(institution), labels);
+
+    res.status(200).json({
+      success: true,
+      message: 'Profile changes approved',
+      data: formatChangeRequest(request)
+    });
+  } catch (error) {
+    console.error('Error approving profile change request:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Reject held changes; the live profile keeps its values
+// @route   PUT /api/admin/profile-changes/:id/reject
+// @access  Private (Admin)
+exports.rejectProfileChangeRequest = async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason) {
+      return res.status(400).json({ success: false, message: 'Please provide a reason for the rejection' });
+    }
+
+    const request = await findChangeRequest(req, res);
+    if (!request) return;
+
+    if (request.status !== 'pending') {
+      return res.status(400).json({ success: false, message: `This request has already been ${request.status}` });
+    }
+
+    request.status = 'rejected';
+    request.rejectionReason = reason;
+    request.reviewedBy = req.user.id;
+    request.reviewedAt = new Date();
+    await request.save();
+
+    const labels = request.getDiff().map(change => change.label);
+    await sendProfileChangesRejectedEmail(request.institution.email, getInstitutionName(request.institution), labels, reason);
+
+    res.status(200).json({
+      success: true,
+      message: 'Profile changes rejected',
+      data: formatChangeRequest(request)
+    });
+  } catch (error) {
+    console.error('Error rejecting profile change request:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
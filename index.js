@@ -12,6 +12,9 @@ require('dotenv').config();
 // Initialize express app
 const app = express();
 
+// Behind Vercel's proxy - use X-Forwarded-For for req.ip (rate limiting, session info)
+app.set('trust proxy', 1);
+
 // CORS configuration - Allow all origins
 const corsOptions = {
   origin: '*', // Allow all origins
@@ -25,6 +28,7 @@ const corsOptions = {
     'Authorization',
     'Cache-Control'
   ],
+  exposedHeaders: ['X-Impersonated-By'],
   optionsSuccessStatus: 200
 };
 
@@ -38,6 +42,7 @@ app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
   res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, PATCH, OPTIONS');
   res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+  res.header('Access-Control-Expose-Headers', 'X-Impersonated-By');
   if (req.method === 'OPTIONS') {
     return res.sendStatus(200);
   }
@@ -50,6 +55,8 @@ const aspirantRoutes = require('./routes/aspirantRoutes');
 const institutionRoutes = require('./routes/institutionRoutes');
 const adminRoutes = require('./routes/adminRoutes');
 const courseRoutes = require('./routes/courseRoutes');
+const bundleRoutes = require('./routes/bundleRoutes');
+const cronRoutes = require('./routes/cronRoutes');
 
 // Import the getPublicInstitutionProfile function from institutionController
 const { getPublicInstitutionProfile } = require('./controllers/institutionController');
@@ -66,6 +73,8 @@ app.use('/api/aspirant', aspirantRoutes);
 app.use('/api/institution', institutionRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/courses', courseRoutes);
+app.use('/api/bundles', bundleRoutes);
+app.use('/api/cron', cronRoutes);
 
 // Public Institution Profile Route (now using the controller method)
 app.get('/api/institutions/:id/profile', getPublicInstitutionProfile);
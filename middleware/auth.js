@@ -1,14 +1,100 @@
 // middleware/auth.js
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const ImpersonationLog = require('../models/ImpersonationLog');
+const { hasPermission } = require('../config/permissions');
 
-// Protect routes - requires authentication
-exports.protect = async (req, res, next) => {
-  let token;
-
+const getBearerToken = (req) => {
   if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-    token = req.headers.authorization.split(' ')[1];
+    return req.headers.authorization.split(' ')[1];
+  }
+  return null;
+};
+
+// Resolve an access token to req.user. Resolves to null on success, or to
+// { status, message } describing why the token was refused
+const authenticate = async (token, req, res) => {
+  // Verify token
+  const decoded = jwt.verify(token, process.env.JWT_SECRET || 'mysecretkey');
+  
+  // Two-factor challenge tokens only prove the password
+  if (decoded.purpose) {
+    return { status: 401, message: 'Not authorized to access this route' };
+  }
+  
+  // Token must belong to a session that has not been revoked (logout, password change...)
+  const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+  
+  if (!session || !session.isActive || session.user.toString() !== decoded.id) {
+    return { status: 401, message: 'Session has expired or been revoked' };
+  }
+  
+  // Get user from token
+  const user = await User.findById(decoded.id).select('-password');
+  
+  if (!user) {
+    return { status: 401, message: 'User not found' };
+  }
+  
+  // Check if user is active
+  if (!user.isActive) {
+    return { status: 403, message: 'Account has been deactivated' };
+  }
+  
+  // Institution staff lose access when the institution account is deactivated
+  let institution = user;
+  if (user.memberOf) {
+    institution = await User.findById(user.memberOf).select('isActive isVerified');
+    if (!institution || !institution.isActive) {
+      return { status: 403, message: 'Institution account has been deactivated' };
+    }
+  }
+  
+  req.user = {
+    id: user._id.toString(),
+    role: user.role,
+    email: user.email,
+    isVerified: user.isVerified,
+    // Verification belongs to the institution, not to its staff accounts
+    institutionVerified: user.role === 'institution' ? !!institution.isVerified : undefined,
+    adminRole: user.adminRole,
+    institutionId: user.institutionId,
+    institutionRole: user.institutionRole,
+    sessionId: session._id.toString()
+  };
+  
+  // Impersonation - the admin must still be allowed to impersonate, and
+  // every request is logged against both of them
+  if (session.impersonatedBy) {
+    const admin = await User.findById(session.impersonatedBy).select('role adminRole isActive');
+    
+    if (!admin || !admin.isActive || !hasPermission(admin, 'user.impersonate')) {
+      req.user = undefined;
+      return { status: 401, message: 'Session has expired or been revoked' };
+    }
+    
+    req.user.impersonatedBy = admin._id.toString();
+    res.set('X-Impersonated-By', req.user.impersonatedBy);
+    
+    res.on('finish', () => {
+      ImpersonationLog.record(req, {
+        admin: admin._id,
+        user: user._id,
+        session: session._id,
+        action: 'request',
+        statusCode: res.statusCode
+      });
+    });
   }
+  
+  return null;
+};
+
+// Protect routes - requires authentication
+exports.protect = async (req, res, next) => {
+  const token = getBearerToken(req);
 
   if (!token) {
     return res.status(401).json({
@@ -18,24 +104,57 @@ exports.protect = async (req, res, next) => {
   }
 
   try {
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'mysecretkey');
-    
-    // Get user from token
-    const user = await User.findById(decoded.id).select('-password');
+    const failure = await authenticate(token, req, res);
     
-    if (!user) {
-      return res.status(401).json({
+    if (failure) {
+      return res.status(failure.status).json({
         success: false,
-        message: 'User not found'
+        message: failure.message
       });
     }
     
-    // Check if user is active
-    if (!user.isActive) {
-      return res.status(403).json({
+    next();
+  } catch (error) {
+    console.error('Auth middleware error:', error);
+    return res.status(401).json({
+      success: false,
+      message: 'Not authorized to access this route'
+    });
+  }
+};
+
+// Public routes that show more to signed-in users - sets req.user when a
+// valid access token is sent and carries on anonymously otherwise
+exports.optionalAuth = async (req, res, next) => {
+  const token = getBearerToken(req);
+  
+  if (token) {
+    try {
+      await authenticate(token, req, res);
+    } catch (error) {
+      req.user = undefined;
+    }
+  }
+  
+  next();
+};
+
+// Two-factor enrollment routes - accept either a normal session or the
+// enrollment challenge token handed out at login when the role requires 2FA
+exports.protectTwoFactorEnrollment = async (req, res, next) => {
+  const { challengeToken } = req.body || {};
+  
+  if (!challengeToken) {
+    return exports.protect(req, res, next);
+  }
+  
+  try {
+    const user = await User.findByTwoFactorChallenge(challengeToken, '2fa_enroll');
+    
+    if (!user || !user.isActive) {
+      return res.status(401).json({
         success: false,
-        message: 'Account has been deactivated'
+        message: 'Two-factor setup session has expired. Please log in again'
       });
     }
     
@@ -43,12 +162,13 @@ exports.protect = async (req, res, next) => {
       id: user._id.toString(),
       role: user.role,
       email: user.email,
-      isVerified: user.isVerified
+      isVerified: user.isVerified,
+      twoFactorChallenge: true
     };
     
     next();
   } catch (error) {
-    console.error('Auth middleware error:', error);
+    console.error('Two-factor enrollment auth error:', error);
     return res.status(401).json({
       success: false,
       message: 'Not authorized to access this route'
@@ -56,6 +176,32 @@ exports.protect = async (req, res, next) => {
   }
 };
 
+// Institutions can sign in before they are verified, but only to work on
+// their verification case (see routes/institutionRoutes.js). Staff are held
+// to the verification of the institution they belong to
+exports.requireVerifiedInstitution = (req, res, next) => {
+  if (req.user.role === 'institution' && !req.user.institutionVerified) {
+    return res.status(403).json({
+      success: false,
+      message: 'Your institution account is pending verification. Please complete verification to continue.',
+      requiresVerification: true
+    });
+  }
+  next();
+};
+
+// Block the route while an admin is impersonating the user - credentials,
+// sessions and account deletion stay with the real account holder
+exports.denyImpersonation = (req, res, next) => {
+  if (req.user.impersonatedBy) {
+    return res.status(403).json({
+      success: false,
+      message: 'This action is not available while impersonating a user'
+    });
+  }
+  next();
+};
+
 // Grant access to specific roles
 exports.authorize = (...roles) => {
   return (req, res, next) => {
@@ -67,4 +213,22 @@ exports.authorize = (...roles) => {
     }
     next();
   };
-};
\ No newline at end of file
+};
+
+// Scheduled jobs - Vercel Cron sends `Authorization: Bearer <CRON_SECRET>`
+exports.protectCron = (req, res, next) => {
+  const secret = process.env.CRON_SECRET;
+  const provided = (req.headers.authorization || '').replace(/^Bearer /, '');
+  
+  const valid = !!secret &&
+    provided.length === secret.length &&
+    crypto.timingSafeEqual(Buffer.from(provided), Buffer.from(secret));
+  
+  if (!valid) {
+    return res.status(401).json({
+      success: false,
+      message: 'Not authorized to access this route'
+    });
+  }
+  next();
+};
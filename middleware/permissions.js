@@ -0,0 +1,78 @@
+// middleware/permissions.js - Permission checks and resource ownership guards
+const mongoose = require('mongoose');
+const Course = require('../models/Course');
+const { hasPermission, isResourceOwner } = require('../config/permissions');
+
+// Require every listed permission. Use after protect
+exports.requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    const missing = permissions.find(permission => !hasPermission(req.user, permission));
+
+    if (missing) {
+      return res.status(403).json({
+        success: false,
+        message: `Not authorized to access this route (requires ${missing})`
+      });
+    }
+    next();
+  };
+};
+
+// Load the course in req.params[param] into req.course, requiring `permission`
+// on it. Institution staff only pass for their own institution's courses
+exports.loadCourse = (permission, { param = 'id' } = {}) => {
+  return async (req, res, next) => {
+    try {
+      const courseId = req.params[param];
+      const course = mongoose.Types.ObjectId.isValid(courseId) ? await Course.findById(courseId) : null;
+
+      if (!course) {
+        return res.status(404).json({ success: false, message: 'Course not found' });
+      }
+
+      if (!hasPermission(req.user, permission) ||
+          !isResourceOwner(req.user, { institution: course.institution })) {
+        return res.status(403).json({ success: false, message: 'Not authorized to access this course' });
+      }
+
+      req.course = course;
+      next();
+    } catch (error) {
+      console.error('Load course error:', error);
+      res.status(500).json({ success: false, message: 'Server error', error: error.message });
+    }
+  };
+};
+
+// Load a course review into req.review (and its course into req.course),
+// requiring `permission` on it. A review belongs both to its author and to the
+// institution offering the course
+exports.loadReview = (permission, { courseParam = 'courseId', reviewParam = 'reviewId' } = {}) => {
+  return async (req, res, next) => {
+    try {
+      const courseId = req.params[courseParam];
+      const course = mongoose.Types.ObjectId.isValid(courseId) ? await Course.findById(courseId) : null;
+      const review = course?.reviews.id(req.params[reviewParam]);
+
+      if (!course) {
+        return res.status(404).json({ success: false, message: 'Course not found' });
+      }
+
+      if (!review) {
+        return res.status(404).json({ success: false, message: 'Review not found' });
+      }
+
+      if (!hasPermission(req.user, permission) ||
+          !isResourceOwner(req.user, { institution: course.institution, user: review.user })) {
+        return res.status(403).json({ success: false, message: 'Not authorized to access this review' });
+      }
+
+      req.course = course;
+      req.review = review;
+      next();
+    } catch (error) {
+      console.error('Load review error:', error);
+      res.status(500).json({ success: false, message: 'Server error', error: error.message });
+    }
+  };
+};
@@ -0,0 +1,50 @@
+// middleware/rateLimit.js
+const RateLimit = require('../models/RateLimit');
+const User = require('../models/User');
+const { getRateLimit } = require('../config/rateLimits');
+
+// Throttle a route per client IP and per account.
+// `name` selects the limits in config/rateLimits.js; `accountField` is the
+// request body field identifying the account being targeted (null for IP only).
+// The same account can be written several ways (`98765 43210`,
+// `+919876543210`, `Foo@Example.com`), all of which must share one counter
+const getAccountKey = (accountField, account) => {
+  if (accountField === 'phone') return User.normalizePhone(account);
+  return String(account).toLowerCase().trim();
+};
+
+exports.rateLimit = (name, accountField = 'email') => {
+  return async (req, res, next) => {
+    try {
+      const limit = getRateLimit(name);
+      const ip = req.ip || req.connection.remoteAddress;
+      const account = accountField && req.body?.[accountField];
+
+      const checks = [RateLimit.hit(`${name}:ip:${ip}`, limit.windowSeconds)
+        .then(result => ({ ...result, max: limit.ip }))];
+
+      if (account) {
+        checks.push(RateLimit.hit(`${name}:account:${getAccountKey(accountField, account)}`, limit.windowSeconds)
+          .then(result => ({ ...result, max: limit.account })));
+      }
+
+      const exceeded = (await Promise.all(checks)).find(result => result.count > result.max);
+
+      if (exceeded) {
+        const retryAfter = Math.max(1, Math.ceil((exceeded.resetAt - Date.now()) / 1000));
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+          success: false,
+          message: `Too many requests. Please try again in ${Math.ceil(retryAfter / 60)} minute(s)`,
+          retryAfter
+        });
+      }
+
+      next();
+    } catch (error) {
+      // Do not lock everyone out because the counter store is unavailable
+      console.error('Rate limit middleware error:', error);
+      next();
+    }
+  };
+};
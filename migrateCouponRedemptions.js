@@ -0,0 +1,98 @@
+// migrateCouponRedemptions.js
+// One-off migration for coupon redemptions. Moves the redemptions stored
+// inside each coupon document into the couponredemptions collection (see
+// models/CouponRedemption.js) and removes them from the coupon. Safe to run
+// more than once.
+//
+// Usage: node migrateCouponRedemptions.js
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Coupon = require('./models/Coupon');
+const CouponRedemption = require('./models/CouponRedemption');
+
+// Load environment variables
+dotenv.config();
+
+// Connect to MongoDB
+async function connectDB() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI, { autoIndex: false });
+    console.log('MongoDB Connected...');
+  } catch (err) {
+    console.error('Database connection error:', err);
+    process.exit(1);
+  }
+}
+
+async function migrateCouponRedemptions() {
+  try {
+    await CouponRedemption.createIndexes();
+
+    // The field is no longer in the Coupon schema, so read the raw documents
+    const cursor = Coupon.collection.find({ redemptions: { $exists: true } });
+    let coupons = 0;
+    let redemptions = 0;
+
+    for await (const coupon of cursor) {
+      const slotsByUser = new Map();
+      const operations = [...(coupon.redemptions || [])]
+        .sort((a, b) => (a.redeemedAt || 0) - (b.redeemedAt || 0))
+        .map(redemption => {
+          const userKey = String(redemption.user);
+          const slot = slotsByUser.get(userKey) || 0;
+          slotsByUser.set(userKey, slot + 1);
+
+          return {
+            updateOne: {
+              filter: { _id: redemption._id },
+              update: {
+                $setOnInsert: {
+                  coupon: coupon._id,
+                  user: redemption.user,
+                  course: redemption.course,
+                  amount: redemption.amount,
+                  discount: redemption.discount,
+                  slot: coupon.perUserLimit > 0 ? slot : undefined,
+                  redeemedAt: redemption.redeemedAt || coupon.updatedAt
+                }
+              },
+              upsert: true
+            }
+          };
+        });
+
+      if (operations.length > 0) {
+        await CouponRedemption.bulkWrite(operations);
+      }
+      await Coupon.collection.updateOne({ _id: coupon._id }, { $unset: { redemptions: 1 } });
+
+      coupons++;
+      redemptions += operations.length;
+    }
+
+    console.log(`\n✅ Moved ${redemptions} redemption(s) out of ${coupons} coupon(s)`);
+    return true;
+  } catch (error) {
+    console.error('Error migrating coupon redemptions:', error);
+    return false;
+  }
+}
+
+// Main function
+async function main() {
+  await connectDB();
+  const migrated = await migrateCouponRedemptions();
+
+  // Close connection
+  await mongoose.connection.close();
+  console.log('\nDatabase connection closed.');
+  process.exit(migrated ? 0 : 1);
+}
+
+// Run the script
+if (require.main === module) {
+  main();
+}
+
+module.exports = { migrateCouponRedemptions };
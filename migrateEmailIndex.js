@@ -0,0 +1,65 @@
+// migrateEmailIndex.js
+// One-off migration for phone-only accounts. Replaces the old unique email
+// index, which treats every account without an email as a duplicate, with the
+// partial unique index defined on the User model. Safe to run more than once.
+//
+// Usage: node migrateEmailIndex.js
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const User = require('./models/User');
+
+// Load environment variables
+dotenv.config();
+
+// Connect to MongoDB
+async function connectDB() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI, { autoIndex: false });
+    console.log('MongoDB Connected...');
+  } catch (err) {
+    console.error('Database connection error:', err);
+    process.exit(1);
+  }
+}
+
+async function migrateEmailIndex() {
+  try {
+    const indexes = await User.collection.indexes();
+    const oldIndex = indexes.find(index => index.name === 'email_1' && !index.partialFilterExpression);
+
+    if (oldIndex) {
+      await User.collection.dropIndex('email_1');
+      console.log('Dropped the old email_1 index');
+    }
+
+    // Accounts that were saved with an explicit null don't need the field
+    const { modifiedCount } = await User.collection.updateMany({ email: null }, { $unset: { email: 1 } });
+    console.log(`Cleared empty email on ${modifiedCount} account(s)`);
+
+    await User.createIndexes();
+    console.log('\n✅ Email index is up to date');
+    return true;
+  } catch (error) {
+    console.error('Error migrating email index:', error);
+    return false;
+  }
+}
+
+// Main function
+async function main() {
+  await connectDB();
+  const migrated = await migrateEmailIndex();
+
+  // Close connection
+  await mongoose.connection.close();
+  console.log('\nDatabase connection closed.');
+  process.exit(migrated ? 0 : 1);
+}
+
+// Run the script
+if (require.main === module) {
+  main();
+}
+
+module.exports = { migrateEmailIndex };
@@ -1,5 +1,12 @@
 const mongoose = require('mongoose');
 
+// Claims aspirants rely on when choosing a course
+const DEFAULT_COURSE_REVIEW_FIELDS = [
+  'title', 'description', 'price', 'originalPrice', 'discount', 'duration',
+  'courseCategory', 'courseType', 'startDate', 'endDate', 'highlights',
+  'whatYouWillLearn', 'subjects', 'syllabusFile', 'installmentPlans', 'pricingTiers'
+];
+
 const adminSettingsSchema = new mongoose.Schema({
   homepagePromotedCourses: [{
     course: {
@@ -18,10 +25,52 @@ const adminSettingsSchema = new mongoose.Schema({
       default: Date.now
     }
   }],
+  // Per-role two-factor policy. Admins always require 2FA regardless of this setting
+  twoFactorPolicy: {
+    aspirant: {
+      type: String,
+      enum: ['optional', 'required'],
+      default: 'optional'
+    },
+    institution: {
+      type: String,
+      enum: ['optional', 'required'],
+      default: 'optional'
+    },
+    admin: {
+      type: String,
+      enum: ['required'],
+      default: 'required'
+    }
+  },
+  // Course fields whose change sends a published course back to admin review.
+  // Unset means DEFAULT_COURSE_REVIEW_FIELDS
+  courseReviewFields: {
+    type: [String],
+    default: undefined
+  },
   lastUpdatedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }
 }, { timestamps: true });
 
-module.exports = mongoose.model('AdminSettings', adminSettingsSchema);
\ No newline at end of file
+// Whether users of a role must have 2FA enabled to log in
+adminSettingsSchema.statics.isTwoFactorRequired = async function(role) {
+  if (role === 'admin') return true;
+  
+  const settings = await this.findOne().select('twoFactorPolicy').lean();
+  return settings?.twoFactorPolicy?.[role] === 'required';
+};
+
+// Course fields whose change sends a published course back to admin review
+adminSettingsSchema.statics.getCourseReviewFields = async function() {
+  const settings = await this.findOne().select('courseReviewFields').lean();
+  return settings?.courseReviewFields || DEFAULT_COURSE_REVIEW_FIELDS;
+};
+
+const AdminSettings = mongoose.model('AdminSettings', adminSettingsSchema);
+
+AdminSettings.DEFAULT_COURSE_REVIEW_FIELDS = DEFAULT_COURSE_REVIEW_FIELDS;
+
+module.exports = AdminSettings;
\ No newline at end of file
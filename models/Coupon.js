@@ -0,0 +1,183 @@
+// models/Coupon.js - Promo codes issued by the platform or by an institution
+const mongoose = require('mongoose');
+const Course = require('./Course');
+const CouponRedemption = require('./CouponRedemption');
+
+const courseCategories = Course.schema.path('courseCategory').enumValues;
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Coupon code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]{3,30}$/, 'Coupon code must be 3-30 letters, digits, dashes or underscores']
+  },
+  description: String,
+  // Issuing institution - platform coupons have none and can apply to any
+  // institution's courses
+  institution: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  discountType: {
+    type: String,
+    enum: ['percentage', 'flat'],
+    required: true
+  },
+  value: {
+    type: Number,
+    required: [true, 'Discount value is required'],
+    min: [0, 'Discount value cannot be negative'],
+    validate: {
+      validator: function(value) {
+        return this.discountType !== 'percentage' || value <= 100;
+      },
+      message: 'Percentage discount cannot be more than 100'
+    }
+  },
+  // Cap on the amount taken off by a percentage coupon
+  maxDiscount: {
+    type: Number,
+    min: 0
+  },
+  validFrom: Date,
+  validUntil: {
+    type: Date,
+    validate: {
+      validator: function(value) {
+        return !value || !this.validFrom || value > this.validFrom;
+      },
+      message: 'Coupon must end after it starts'
+    }
+  },
+  // 0 means unlimited
+  usageLimit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  perUserLimit: {
+    type: Number,
+    default: 1,
+    min: 0
+  },
+  // Uses so far - each one is a CouponRedemption document
+  usedCount: {
+    type: Number,
+    default: 0
+  },
+  // Scoping - when set, the coupon only applies to these courses / categories
+  courses: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course'
+  }],
+  categories: [{
+    type: String,
+    enum: courseCategories
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, { timestamps: true });
+
+couponSchema.index({ institution: 1, createdAt: -1 });
+
+// Why the coupon cannot be used on `course` by a user who has already used
+// it `userUses` times (see CouponRedemption.countForUser), or null when it can
+couponSchema.methods.getRejectionReason = function(course, userUses = 0) {
+  const now = new Date();
+
+  if (!this.isActive) {
+    return 'This coupon is no longer active';
+  }
+  if (this.validFrom && now < this.validFrom) {
+    return 'This coupon is not valid yet';
+  }
+  if (this.validUntil && now > this.validUntil) {
+    return 'This coupon has expired';
+  }
+
+  const appliesToCourse =
+    (!this.institution || this.institution.equals(course.institution?._id || course.institution)) &&
+    (this.courses.length === 0 || this.courses.some(id => id.equals(course._id))) &&
+    (this.categories.length === 0 || this.categories.includes(course.courseCategory));
+  if (!appliesToCourse) {
+    return 'This coupon is not valid for this course';
+  }
+
+  if (this.usageLimit > 0 && this.usedCount >= this.usageLimit) {
+    return 'This coupon has reached its usage limit';
+  }
+
+  if (this.perUserLimit > 0 && userUses >= this.perUserLimit) {
+    return 'You have already used this coupon';
+  }
+
+  return null;
+};
+
+// Amount taken off `price`, never more than the price itself
+couponSchema.methods.getDiscount = function(price) {
+  let discount = this.discountType === 'percentage'
+    ? price * this.value / 100
+    : this.value;
+
+  if (this.discountType === 'percentage' && this.maxDiscount) {
+    discount = Math.min(discount, this.maxDiscount);
+  }
+
+  return Math.round(Math.min(discount, price) * 100) / 100;
+};
+
+couponSchema.statics.findByCode = function(code) {
+  return this.findOne({ code: String(code).trim().toUpperCase() });
+};
+
+// Count a use of the coupon. The total limit is checked in the same update
+// that takes a use, and the per-user limit by the unique redemption slots, so
+// parallel checkouts cannot go past either. Resolves to
+// { coupon, redemptionId }, or null when a limit has been reached
+couponSchema.statics.redeem = async function(couponId, { user, course, amount, discount }) {
+  const coupon = await this.findOneAndUpdate(
+    {
+      _id: couponId,
+      $or: [{ usageLimit: 0 }, { $expr: { $lt: ['$usedCount', '$usageLimit'] } }]
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true }
+  );
+
+  if (!coupon) return null;
+
+  let redemption;
+  try {
+    redemption = await CouponRedemption.take(coupon, user, { course, amount, discount });
+  } finally {
+    if (!redemption) {
+      await this.updateOne({ _id: couponId }, { $inc: { usedCount: -1 } });
+    }
+  }
+
+  return redemption && { coupon, redemptionId: redemption._id };
+};
+
+// Undo redeem() when the enrollment it was for could not be saved. Only the
+// one redemption is removed, and the count only drops if it was still there
+couponSchema.statics.release = async function(couponId, redemptionId) {
+  const redemption = await CouponRedemption.findOneAndDelete({ _id: redemptionId, coupon: couponId });
+
+  if (redemption) {
+    await this.updateOne({ _id: couponId }, { $inc: { usedCount: -1 } });
+  }
+};
+
+const Coupon = mongoose.model('Coupon', couponSchema);
+
+module.exports = Coupon;
@@ -0,0 +1,74 @@
+// models/CouponRedemption.js - Uses of a coupon, one document per enrollment
+const mongoose = require('mongoose');
+
+const MAX_SLOT_ATTEMPTS = 5;
+
+const couponRedemptionSchema = new mongoose.Schema({
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course'
+  },
+  amount: Number,
+  discount: Number,
+  // Which of the user's perUserLimit uses this is (0, 1...). Unique per coupon
+  // and user, so parallel checkouts cannot take the same use twice. Not set
+  // for coupons without a per-user limit
+  slot: Number,
+  redeemedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+couponRedemptionSchema.index({ coupon: 1, user: 1 });
+couponRedemptionSchema.index(
+  { coupon: 1, user: 1, slot: 1 },
+  { unique: true, partialFilterExpression: { slot: { $type: 'number' } } }
+);
+couponRedemptionSchema.index({ user: 1 });
+
+// How many times `userId` has used the coupon
+couponRedemptionSchema.statics.countForUser = function(couponId, userId) {
+  if (!userId) return Promise.resolve(0);
+  return this.countDocuments({ coupon: couponId, user: userId });
+};
+
+// Record a use of the coupon by `userId`, taking one of the user's free
+// slots when the coupon has a per-user limit. Resolves to the redemption, or
+// null when the user has no use left
+couponRedemptionSchema.statics.take = async function(coupon, userId, details = {}) {
+  for (let attempt = 1; attempt <= MAX_SLOT_ATTEMPTS; attempt++) {
+    let slot;
+
+    if (coupon.perUserLimit > 0) {
+      const taken = await this.find({ coupon: coupon._id, user: userId }).select('slot').lean();
+      const takenSlots = new Set(taken.map(redemption => redemption.slot));
+
+      slot = Array.from({ length: coupon.perUserLimit }, (_, index) => index).find(index => !takenSlots.has(index));
+      if (slot === undefined) return null;
+    }
+
+    try {
+      return await this.create({ ...details, coupon: coupon._id, user: userId, slot });
+    } catch (error) {
+      // A parallel checkout took the same slot - look again
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  return null;
+};
+
+const CouponRedemption = mongoose.model('CouponRedemption', couponRedemptionSchema);
+
+module.exports = CouponRedemption;
@@ -68,6 +68,11 @@ const reviewSchema = new mongoose.Schema({
       enum: ['helpful', 'not_helpful']
     }
   }],
+  // Author deleted their account - `user` no longer points to a real user
+  isAnonymized: {
+    type: Boolean,
+    default: false
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -123,6 +128,150 @@ const scheduleSchema = new mongoose.Schema({
   },
 }, { _id: false }); // Disable automatic _id for subdocuments
 
+// Batch Schema - the same programme run several times (morning/evening,
+// January/June...), each with its own dates, timings, capacity and price
+const batchSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Batch name is required'],
+    trim: true
+  },
+  startDate: Date,
+  endDate: {
+    type: Date,
+    validate: {
+      validator: function(value) {
+        return !value || !this.startDate || value >= this.startDate;
+      },
+      message: 'Batch end date cannot be before its start date'
+    }
+  },
+  enrollmentDeadline: Date,
+  // Short description of the timings, e.g. "Mon-Fri, 7-10 AM"
+  timings: String,
+  schedule: {
+    type: [scheduleSchema],
+    default: []
+  },
+  maxStudents: {
+    type: Number,
+    default: 0, // 0 means unlimited
+    min: 0
+  },
+  currentEnrollments: {
+    type: Number,
+    default: 0
+  },
+  // Overrides the course price when set
+  price: {
+    type: Number,
+    min: [0, 'Price cannot be negative']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, { timestamps: true });
+
+// Pricing Tier Schema - a price that applies within a date window and/or
+// until a number of seats is taken, e.g. "first 50 seats at 40,000"
+const pricingTierSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Tier name is required'],
+    trim: true
+  },
+  price: {
+    type: Number,
+    required: [true, 'Tier price is required'],
+    min: [0, 'Price cannot be negative']
+  },
+  startsAt: Date,
+  endsAt: {
+    type: Date,
+    validate: {
+      validator: function(value) {
+        return !value || !this.startsAt || value > this.startsAt;
+      },
+      message: 'Pricing tier must end after it starts'
+    }
+  },
+  // The tier applies while fewer students than this have enrolled
+  maxSeats: {
+    type: Number,
+    min: [1, 'Seat limit must be at least 1']
+  }
+});
+
+// Installment Plan Schema - a down payment at enrollment, then
+// `installmentCount` payments of `installmentAmount` every `intervalDays`
+const installmentPlanSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Plan name is required'],
+    trim: true
+  },
+  downPayment: {
+    type: Number,
+    required: [true, 'Down payment is required'],
+    min: [0, 'Down payment cannot be negative']
+  },
+  installmentCount: {
+    type: Number,
+    required: [true, 'Number of installments is required'],
+    min: [1, 'A plan needs at least one installment'],
+    max: [24, 'A plan can have at most 24 installments']
+  },
+  installmentAmount: {
+    type: Number,
+    required: [true, 'Installment amount is required'],
+    min: [1, 'Installment amount must be positive']
+  },
+  intervalDays: {
+    type: Number,
+    default: 30,
+    min: [7, 'Installments must be at least 7 days apart']
+  },
+  // Whether a missed installment suspends course access, and how many days
+  // after the due date that happens
+  suspendAccess: {
+    type: Boolean,
+    default: true
+  },
+  graceDays: {
+    type: Number,
+    default: 7,
+    min: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, { timestamps: true });
+
+// An enrolled aspirant's scheduled installment
+const installmentSchema = new mongoose.Schema({
+  number: Number,
+  amount: Number,
+  dueDate: Date,
+  status: {
+    type: String,
+    enum: ['pending', 'overdue', 'paid', 'waived'],
+    default: 'pending'
+  },
+  paidAt: Date,
+  // Institution staff who recorded an offline payment or waived it
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lastReminderAt: Date,
+  reminderCount: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
 // Course Schema
 const courseSchema = new mongoose.Schema({
   title: {
@@ -340,11 +489,25 @@ promotionExpiryDate: {
     type: Boolean,
     default: false
   },
+  // pending_review - waiting in the admin moderation queue; admins approve
+  // (published) or send it back (changes_requested) - see adminAction
   status: {
     type: String,
-    enum: ['draft', 'published', 'archived', 'cancelled', 'suspended'],
+    enum: ['draft', 'pending_review', 'changes_requested', 'published', 'archived', 'cancelled', 'suspended'],
     default: 'draft'
   },
+  reviewSubmittedAt: Date,
+  // The institution's own code for the course, used to match rows of bulk
+  // imports. Unique per institution
+  externalCode: {
+    type: String,
+    trim: true
+  },
+  // Course this one was cloned from (e.g. last year's edition)
+  clonedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course'
+  },
   
   // Delivery Type
   deliveryType: {
@@ -373,11 +536,30 @@ promotionExpiryDate: {
     type: Number,
     default: 0
   },
+  // Early-bird and other temporary prices. The cheapest tier in effect
+  // replaces `price`
+  pricingTiers: [pricingTierSchema],
+  // Price after pricing tiers, stored so listings can filter and sort on it.
+  // Refreshed on save and daily by cron as tier windows open and close
+  effectivePrice: Number,
+  
+  // Courses without batches are enrolled in as a whole
+  batches: [batchSchema],
+  
+  installmentPlans: [installmentPlanSchema],
+  
   enrollments: [{
     user: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
     },
+    batch: mongoose.Schema.Types.ObjectId,
+    // Enrolled through a bundle - `amount` is this course's share of the
+    // bundle price
+    bundle: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CourseBundle'
+    },
     enrolledAt: {
       type: Date,
       default: Date.now
@@ -387,7 +569,40 @@ promotionExpiryDate: {
       enum: ['pending', 'completed', 'failed'],
       default: 'pending'
     },
-    amount: Number
+    // Price charged before any coupon, and the pricing tier it came from
+    basePrice: Number,
+    pricingTier: String,
+    // Amount paid, after any coupon discount
+    amount: Number,
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon'
+    },
+    couponCode: String,
+    discount: Number,
+    // Installment enrollments - `amount` is what has been paid so far and
+    // `totalAmount` what the plan costs in all
+    installmentPlan: mongoose.Schema.Types.ObjectId,
+    totalAmount: Number,
+    installments: {
+      type: [installmentSchema],
+      default: undefined
+    },
+    // Days after a missed due date before access is suspended, fixed at
+    // enrollment from the plan. Unset means access is never suspended
+    suspendAfterDays: Number,
+    accessStatus: {
+      type: String,
+      enum: ['active', 'suspended'],
+      default: 'active'
+    },
+    accessSuspendedAt: Date,
+    // Aspirant deleted their account - `user` is a pseudonymous id kept so
+    // the financial record stays consistent
+    isPseudonymized: {
+      type: Boolean,
+      default: false
+    }
   }],
   
   // Reviews and Ratings
@@ -448,9 +663,15 @@ promotionExpiryDate: {
 // Indexes
 courseSchema.index({ institution: 1, status: 1 });
 courseSchema.index({ courseCategory: 1, status: 1 });
+courseSchema.index({ effectivePrice: 1 });
+courseSchema.index(
+  { institution: 1, externalCode: 1 },
+  { unique: true, partialFilterExpression: { externalCode: { $type: 'string' } } }
+);
 courseSchema.index({ city: 1, state: 1 });
 courseSchema.index({ title: 'text', description: 'text' });
 courseSchema.index({ 'schedule.date': 1 });
+courseSchema.index({ status: 1, reviewSubmittedAt: 1 });
 
 // Pre-save middleware
 courseSchema.pre('save', function(next) {
@@ -481,6 +702,14 @@ courseSchema.pre('save', function(next) {
   
   // Update current enrollments
   this.currentEnrollments = this.enrollments.filter(e => e.paymentStatus === 'completed').length;
+  this.batches.forEach(batch => {
+    batch.currentEnrollments = this.enrollments.filter(e =>
+      e.paymentStatus === 'completed' && e.batch && e.batch.equals(batch._id)
+    ).length;
+  });
+  
+  // Seat-limited tiers depend on the enrollment count just computed
+  this.effectivePrice = this.getPrice();
   
   next();
 });
@@ -520,32 +749,128 @@ courseSchema.methods.removeFromShortlist = function() {
   return this.save();
 };
 
-courseSchema.methods.canEnroll = function() {
-  // Check if course is published
-  if (!this.isPublished) {
-    console.log('Course not published');
-    return false;
+// The user's completed enrollment, or undefined
+courseSchema.methods.getEnrollment = function(userId) {
+  return this.enrollments.find(enrollment =>
+    enrollment.user && enrollment.user.toString() === userId.toString() && enrollment.paymentStatus === 'completed'
+  );
+};
+
+// Whether the user may use the course as an enrolled student. An enrollment
+// suspended for a missed installment gives no access until it is paid
+courseSchema.methods.hasEnrolledAccess = function(userId) {
+  const enrollment = this.getEnrollment(userId);
+  return !!enrollment && enrollment.accessStatus !== 'suspended';
+};
+
+// Take the course off the public listing and queue it for admin review
+courseSchema.methods.submitForReview = function() {
+  this.isPublished = false;
+  this.status = 'pending_review';
+  this.reviewSubmittedAt = new Date();
+};
+
+// Why a new enrollment is not possible, or null when it is. Courses with
+// batches are enrolled in per batch, so `batchId` is required for them
+courseSchema.methods.getEnrollmentBlocker = function(batchId) {
+  if (!this.isPublished || this.status !== 'published') {
+    return 'Course is not available for enrollment';
   }
   
-  // Check if course status is published
-  if (this.status !== 'published') {
-    console.log('Course status not published:', this.status);
-    return false;
-  }
+  const now = new Date();
   
-  // Check if enrollment deadline has passed
-  if (this.enrollmentDeadline && new Date() > this.enrollmentDeadline) {
-    console.log('Enrollment deadline passed');
-    return false;
+  if (this.batches.length > 0) {
+    if (!batchId) {
+      return 'Please choose a batch';
+    }
+    
+    const batch = this.batches.id(batchId);
+    if (!batch || !batch.isActive) {
+      return 'Batch is not available for enrollment';
+    }
+    if (batch.enrollmentDeadline && now > batch.enrollmentDeadline) {
+      return 'Enrollment for this batch has closed';
+    }
+    if (batch.maxStudents > 0 && batch.currentEnrollments >= batch.maxStudents) {
+      return 'This batch is full';
+    }
+    return null;
   }
   
-  // Check if course is full
+  if (this.enrollmentDeadline && now > this.enrollmentDeadline) {
+    return 'Enrollment for this course has closed';
+  }
   if (this.maxStudents > 0 && this.currentEnrollments >= this.maxStudents) {
-    console.log('Course is full');
-    return false;
+    return 'This course is full';
+  }
+  return null;
+};
+
+courseSchema.methods.canEnroll = function(batchId) {
+  return !this.getEnrollmentBlocker(batchId);
+};
+
+// Installments of plan `planId` for an enrollment made on `from`, or null
+// when the plan is not offered
+courseSchema.methods.getInstallmentSchedule = function(planId, from = new Date()) {
+  const plan = planId && this.installmentPlans.id(planId);
+  if (!plan || !plan.isActive) return null;
+  
+  return Array.from({ length: plan.installmentCount }, (_, index) => ({
+    number: index + 1,
+    amount: plan.installmentAmount,
+    dueDate: new Date(from.getTime() + (index + 1) * plan.intervalDays * 24 * 60 * 60 * 1000)
+  }));
+};
+
+// Mark installment `number` of an enrollment as paid or waived. Paid amounts
+// are added to the enrollment, and access suspended for a missed payment is
+// restored once nothing is overdue. Returns the installment, or null
+courseSchema.methods.settleInstallment = function(enrollment, number, { status = 'paid', by } = {}) {
+  const installment = (enrollment.installments || []).find(item => item.number === number);
+  if (!installment || !['pending', 'overdue'].includes(installment.status)) return null;
+  
+  installment.status = status;
+  installment.paidAt = status === 'paid' ? new Date() : undefined;
+  installment.recordedBy = by;
+  
+  if (status === 'paid') {
+    enrollment.amount = (enrollment.amount || 0) + installment.amount;
   }
   
-  return true;
+  if (enrollment.accessStatus === 'suspended' &&
+      !enrollment.installments.some(item => item.status === 'overdue')) {
+    enrollment.accessStatus = 'active';
+    enrollment.accessSuspendedAt = undefined;
+  }
+  
+  return installment;
+};
+
+// The pricing tier that sets the price of a new enrollment (in batch
+// `batchId`) at `now`, or null. Batch price overrides take precedence over
+// tiers, and when several tiers apply the cheapest wins
+courseSchema.methods.getActivePricingTier = function(batchId, now = new Date()) {
+  const batch = batchId && this.batches.id(batchId);
+  if (batch && batch.price !== undefined && batch.price !== null) return null;
+  
+  return (this.pricingTiers || [])
+    .filter(tier =>
+      (!tier.startsAt || now >= tier.startsAt) &&
+      (!tier.endsAt || now <= tier.endsAt) &&
+      (!tier.maxSeats || this.currentEnrollments < tier.maxSeats)
+    )
+    .reduce((cheapest, tier) => (!cheapest || tier.price < cheapest.price ? tier : cheapest), null);
+};
+
+// Price of a new enrollment: the batch override, else the active pricing
+// tier, else the course price
+courseSchema.methods.getPrice = function(batchId, now = new Date()) {
+  const batch = batchId && this.batches.id(batchId);
+  if (batch && batch.price !== undefined && batch.price !== null) return batch.price;
+  
+  const tier = this.getActivePricingTier(null, now);
+  return tier ? tier.price : this.price;
 };
 
 const Course = mongoose.model('Course', courseSchema);
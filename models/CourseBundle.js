@@ -0,0 +1,106 @@
+// models/CourseBundle.js - Several courses from one institution sold together at a bundle price
+const mongoose = require('mongoose');
+
+const courseBundleSchema = new mongoose.Schema({
+  institution: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    required: [true, 'Bundle title is required'],
+    trim: true
+  },
+  description: String,
+  coverImage: String,
+  courses: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Course'
+    }],
+    validate: {
+      validator: function(courses) {
+        return courses.length >= 2;
+      },
+      message: 'A bundle needs at least two courses'
+    }
+  },
+  price: {
+    type: Number,
+    required: [true, 'Bundle price is required'],
+    min: [0, 'Price cannot be negative']
+  },
+  // Shown publicly only while every course in it is published too. Set by
+  // admin approval, as for courses
+  isPublished: {
+    type: Boolean,
+    default: false
+  },
+  // pending_review - waiting in the admin moderation queue; admins approve
+  // (published) or send it back (changes_requested) - see adminAction
+  status: {
+    type: String,
+    enum: ['draft', 'pending_review', 'changes_requested', 'published'],
+    default: 'draft'
+  },
+  reviewSubmittedAt: Date,
+  adminAction: {
+    action: String,
+    reason: String,
+    actionBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    actionAt: Date
+  },
+  enrollmentCount: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+courseBundleSchema.index({ institution: 1, createdAt: -1 });
+courseBundleSchema.index({ isPublished: 1, courses: 1 });
+courseBundleSchema.index({ status: 1, reviewSubmittedAt: 1 });
+
+// Take the bundle off the public listing and queue it for admin review
+courseBundleSchema.methods.submitForReview = function() {
+  this.isPublished = false;
+  this.status = 'pending_review';
+  this.reviewSubmittedAt = new Date();
+};
+
+// Split the bundle price across its courses in proportion to what each
+// would cost alone (in the batch chosen for it - `batchIds` maps course id to
+// batch id), so revenue can be attributed per course. Amounts are rounded to
+// paise and always add up to the bundle price. Returns one amount per course,
+// in the order given
+courseBundleSchema.methods.allocatePrice = function(courses, batchIds = {}) {
+  const prices = courses.map(course => course.getPrice(batchIds[course._id.toString()]) || 0);
+  const total = prices.reduce((sum, price) => sum + price, 0);
+
+  const amounts = prices.map(price => {
+    const share = total > 0 ? price / total : 1 / courses.length;
+    return Math.round(this.price * share * 100) / 100;
+  });
+
+  // Rounding leftovers go to the last course
+  const allocated = amounts.reduce((sum, amount) => sum + amount, 0);
+  amounts[amounts.length - 1] = Math.round((amounts[amounts.length - 1] + this.price - allocated) * 100) / 100;
+
+  return amounts;
+};
+
+// Sum of the courses' individual prices, for showing the saving
+courseBundleSchema.methods.getSeparatePrice = function(courses) {
+  return courses.filter(Boolean).reduce((sum, course) => sum + (course.getPrice() || 0), 0);
+};
+
+const CourseBundle = mongoose.model('CourseBundle', courseBundleSchema);
+
+module.exports = CourseBundle;
@@ -0,0 +1,113 @@
+// models/CourseRevision.js - History of changes made to a course
+const mongoose = require('mongoose');
+
+const courseRevisionSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  // Sequential per course, starting at 1
+  number: {
+    type: Number,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['update', 'rollback', 'publication', 'promotion'],
+    default: 'update'
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changedByRole: String,
+  changes: [{
+    _id: false,
+    field: {
+      type: String,
+      required: true
+    },
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  // Rollbacks - the revision the course was returned to
+  rolledBackTo: Number,
+  note: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+courseRevisionSchema.index({ course: 1, number: -1 }, { unique: true });
+
+// Tries at taking the next revision number when concurrent edits race for it
+const MAX_NUMBER_ATTEMPTS = 5;
+
+// Plain JSON copy of a value, so before/after compare and store the same way
+// whatever the Mongoose type (dates, ObjectIds, subdocuments...)
+const toPlain = (value) => {
+  if (value === undefined || value === null) return null;
+  return JSON.parse(JSON.stringify(value));
+};
+
+// Current values of `fields` on a course, for passing to record() later
+courseRevisionSchema.statics.snapshot = function(course, fields) {
+  return Object.fromEntries(fields.map(field => [field, toPlain(course.get(field))]));
+};
+
+// Store the difference between `before` (a snapshot) and the course as it is
+// now. Resolves to the revision, or null when nothing changed.
+// `details` is { user, action, rolledBackTo, note } with user as in req.user
+courseRevisionSchema.statics.record = async function(course, before, { user, action, rolledBackTo, note } = {}) {
+  const changes = Object.keys(before)
+    .map(field => ({ field, before: before[field], after: toPlain(course.get(field)) }))
+    .filter(change => JSON.stringify(change.before) !== JSON.stringify(change.after));
+
+  if (changes.length === 0) return null;
+
+  // The course is already saved by now, so a concurrent edit taking the same
+  // number must not fail the request - take the next free number instead
+  for (let attempt = 1; ; attempt++) {
+    const last = await this.findOne({ course: course._id }).sort({ number: -1 }).select('number');
+
+    try {
+      return await this.create({
+        course: course._id,
+        number: (last?.number || 0) + 1,
+        action,
+        changedBy: user?.id,
+        changedByRole: user?.role === 'institution' ? user.institutionRole : user?.role,
+        changes,
+        rolledBackTo,
+        note
+      });
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= MAX_NUMBER_ATTEMPTS) throw error;
+    }
+  }
+};
+
+// Field values the course had right after revision `number` (0 for the
+// course as it was before its first recorded change). Only fields changed
+// since then are returned
+courseRevisionSchema.statics.getValuesAt = async function(courseId, number) {
+  const later = await this.find({ course: courseId, number: { $gt: number } }).sort({ number: 1 });
+  const values = {};
+
+  // The first later revision touching a field holds its value at `number`
+  later.forEach(revision => {
+    revision.changes.forEach(change => {
+      if (!(change.field in values)) {
+        values[change.field] = change.before;
+      }
+    });
+  });
+
+  return values;
+};
+
+const CourseRevision = mongoose.model('CourseRevision', courseRevisionSchema);
+
+module.exports = CourseRevision;
@@ -0,0 +1,77 @@
+// models/ImpersonationLog.js - Audit trail of admins acting as other users
+const mongoose = require('mongoose');
+
+const IMPERSONATION_LOG_RETENTION_DAYS = parseInt(process.env.IMPERSONATION_LOG_RETENTION_DAYS) || 365;
+
+const impersonationLogSchema = new mongoose.Schema({
+  // The admin doing the impersonating
+  admin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The user being impersonated
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true
+  },
+  // start/end of the impersonation, or a request made during it
+  action: {
+    type: String,
+    enum: ['start', 'request', 'end'],
+    required: true
+  },
+  reason: String,
+  method: String,
+  path: String,
+  statusCode: Number,
+  ipAddress: String,
+  userAgent: String,
+  // Set when the impersonated aspirant's account was purged; `user` then
+  // holds a random id so the admin's audit trail stays intact
+  isPseudonymized: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+impersonationLogSchema.index({ admin: 1, createdAt: -1 });
+impersonationLogSchema.index({ user: 1, createdAt: -1 });
+impersonationLogSchema.index({ session: 1, createdAt: 1 });
+impersonationLogSchema.index({ createdAt: 1 }, { expireAfterSeconds: IMPERSONATION_LOG_RETENTION_DAYS * 24 * 60 * 60 });
+
+// Record an entry. Never throws - auditing must not break the request itself.
+// `details` is { admin, user, session, action, reason, statusCode }
+impersonationLogSchema.statics.record = async function(req, { admin, user, session, action, reason, statusCode }) {
+  try {
+    return await this.create({
+      admin,
+      user,
+      session,
+      action,
+      reason,
+      method: req.method,
+      path: req.originalUrl,
+      statusCode,
+      ipAddress: req.ip || req.connection?.remoteAddress,
+      userAgent: req.get('user-agent')
+    });
+  } catch (error) {
+    console.error('Error recording impersonation log:', error);
+    return null;
+  }
+};
+
+const ImpersonationLog = mongoose.model('ImpersonationLog', impersonationLogSchema);
+
+module.exports = ImpersonationLog;
@@ -0,0 +1,114 @@
+// models/Invitation.js - Email invitations to join the platform with a given role
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const { adminRoles, institutionRoles } = require('../config/permissions');
+
+const INVITATION_EXPIRE_DAYS = parseInt(process.env.INVITATION_EXPIRE_DAYS) || 7;
+
+const invitationSchema = new mongoose.Schema({
+  // What accepting the invitation creates
+  kind: {
+    type: String,
+    enum: ['institution_member', 'admin'],
+    required: true
+  },
+  email: {
+    type: String,
+    required: [true, 'Please add an email'],
+    lowercase: true,
+    trim: true,
+    match: [
+      /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/,
+      'Please add a valid email'
+    ]
+  },
+
+  // institution_member - the institution account and the staff role offered
+  institution: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: function() { return this.kind === 'institution_member'; }
+  },
+  institutionRole: {
+    type: String,
+    enum: institutionRoles.filter(role => role !== 'owner'),
+    required: function() { return this.kind === 'institution_member'; }
+  },
+
+  // admin - the admin sub-role offered
+  adminRole: {
+    type: String,
+    enum: adminRoles,
+    required: function() { return this.kind === 'admin'; }
+  },
+
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'revoked'],
+    default: 'pending'
+  },
+  expiresAt: {
+    type: Date,
+    default: () => Date.now() + INVITATION_EXPIRE_DAYS * 24 * 60 * 60 * 1000
+  },
+  acceptedAt: Date,
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+invitationSchema.index({ kind: 1, institution: 1, status: 1 });
+invitationSchema.index({ email: 1, status: 1 });
+
+invitationSchema.virtual('isExpired').get(function() {
+  return this.expiresAt < Date.now();
+});
+
+// Signed token for the invitation link. The signature and expiry make the link
+// tamper-proof; the stored status makes it single use and revocable
+invitationSchema.methods.getInviteToken = function() {
+  return jwt.sign(
+    { inv: this._id, kind: this.kind },
+    process.env.JWT_SECRET || 'mysecretkey',
+    { expiresIn: Math.max(1, Math.floor((this.expiresAt - Date.now()) / 1000)) }
+  );
+};
+
+// Link emailed to the invitee. INVITATION_URL is the frontend page that reads
+// the token from its last path segment
+invitationSchema.methods.getInviteUrl = function() {
+  const baseUrl = process.env.INVITATION_URL ||
+    `${process.env.FRONTEND_URL || 'http://localhost:3000'}/invitations`;
+  return `${baseUrl.replace(/\/+$/, '')}/${this.getInviteToken()}`;
+};
+
+// Resolve a pending, unexpired invitation from a link token
+invitationSchema.statics.findByInviteToken = async function(token) {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'mysecretkey');
+
+    return await this.findOne({
+      _id: decoded.inv,
+      kind: decoded.kind,
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    });
+  } catch (error) {
+    return null;
+  }
+};
+
+const Invitation = mongoose.model('Invitation', invitationSchema);
+
+module.exports = Invitation;
@@ -0,0 +1,140 @@
+// models/LoginEvent.js - Audit log of login attempts, successful or not
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const UAParser = require('ua-parser-js');
+
+const LOGIN_EVENT_RETENTION_DAYS = parseInt(process.env.LOGIN_EVENT_RETENTION_DAYS) || 180;
+
+const loginEventSchema = new mongoose.Schema({
+  // Unset when the attempt did not match any account
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  role: String,
+  // Email or phone number the attempt was made with
+  identifier: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  method: {
+    type: String,
+    enum: ['password', 'phone_otp', 'two_factor', 'invitation'],
+    required: true
+  },
+  outcome: {
+    type: String,
+    enum: ['success', 'failure'],
+    required: true
+  },
+  // Why the attempt failed
+  reason: {
+    type: String,
+    enum: [
+      'unknown_account',
+      'invalid_credentials',
+      'role_mismatch',
+      'account_locked',
+      'account_deactivated',
+      'institution_deactivated',
+      'institution_unverified',
+      'invalid_two_factor_code',
+      'phone_login_not_allowed'
+    ]
+  },
+  ipAddress: String,
+  userAgent: String,
+  device: {
+    browser: String,
+    os: String,
+    type: {
+      type: String,
+      default: 'desktop'
+    },
+    vendor: String,
+    model: String
+  },
+  // Stable key for "the same device" - browser, OS and device type
+  deviceKey: String,
+  // Successful login from a device the user has not signed in from before
+  suspicious: {
+    type: Boolean,
+    default: false
+  },
+  suspiciousReasons: [{
+    type: String,
+    enum: ['new_device']
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+loginEventSchema.index({ createdAt: -1 });
+loginEventSchema.index({ user: 1, createdAt: -1 });
+loginEventSchema.index({ user: 1, outcome: 1, deviceKey: 1 });
+loginEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: LOGIN_EVENT_RETENTION_DAYS * 24 * 60 * 60 });
+
+const parseDevice = (userAgent) => {
+  const { browser, os, device } = new UAParser(userAgent || '').getResult();
+
+  return {
+    browser: [browser.name, browser.major].filter(Boolean).join(' ') || undefined,
+    os: [os.name, os.version].filter(Boolean).join(' ') || undefined,
+    // ua-parser leaves the type empty for desktop browsers
+    type: device.type || 'desktop',
+    vendor: device.vendor,
+    model: device.model,
+    key: crypto
+      .createHash('sha256')
+      .update([browser.name, os.name, device.type || 'desktop', device.model].join('|'))
+      .digest('hex')
+  };
+};
+
+// Record a login attempt. Never throws - a failure to log must not block the
+// login itself. `details` is { user, identifier, method, outcome, reason }
+loginEventSchema.statics.record = async function(req, { user, identifier, method, outcome, reason }) {
+  try {
+    const userAgent = req.get('user-agent');
+    const { key, ...device } = parseDevice(userAgent);
+
+    const event = new this({
+      user: user?._id,
+      role: user?.role,
+      identifier: identifier || user?.email || user?.phone,
+      method,
+      outcome,
+      reason,
+      ipAddress: req.ip || req.connection?.remoteAddress,
+      userAgent,
+      device,
+      deviceKey: key
+    });
+
+    // A device is new when the user has logged in successfully before, but
+    // never from it
+    if (user && outcome === 'success') {
+      const [hasLoggedIn, knownDevice] = await Promise.all([
+        this.exists({ user: user._id, outcome: 'success' }),
+        this.exists({ user: user._id, outcome: 'success', deviceKey: key })
+      ]);
+
+      if (hasLoggedIn && !knownDevice) {
+        event.suspicious = true;
+        event.suspiciousReasons = ['new_device'];
+      }
+    }
+
+    return await event.save();
+  } catch (error) {
+    console.error('Error recording login event:', error);
+    return null;
+  }
+};
+
+const LoginEvent = mongoose.model('LoginEvent', loginEventSchema);
+
+module.exports = LoginEvent;
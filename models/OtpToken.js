@@ -0,0 +1,171 @@
+// models/OtpToken.js - One-time codes persisted in Mongo so they survive cold starts
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const OTP_EXPIRE_MINUTES = parseInt(process.env.OTP_EXPIRE_MINUTES) || 10;
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS) || 5;
+const OTP_RESEND_COOLDOWN_SECONDS = parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS) || 60;
+const OTP_TICKET_EXPIRE_MINUTES = parseInt(process.env.OTP_TICKET_EXPIRE_MINUTES) || 30;
+
+const hash = (value) => crypto.createHash('sha256').update(String(value)).digest('hex');
+
+const otpTokenSchema = new mongoose.Schema({
+  // Email address or phone number the code was sent to, or the user id for
+  // changes to an existing account
+  identifier: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  purpose: {
+    type: String,
+    enum: ['signup', 'email_change', 'phone_login', 'phone_verify'],
+    required: true
+  },
+  codeHash: {
+    type: String,
+    required: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: OTP_MAX_ATTEMPTS
+  },
+  lastSentAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Set once the code has been verified; the ticket is what the next step consumes
+  verifiedAt: Date,
+  ticketHash: String,
+  // Extra data captured when the code was requested (name, role, new email...)
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // TTL - Mongo removes the document once this date passes
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, { timestamps: true });
+
+otpTokenSchema.index({ identifier: 1, purpose: 1 }, { unique: true });
+otpTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Generate a fresh code for identifier/purpose, respecting the resend cooldown.
+// Resolves to { otp } or { error: 'cooldown', retryAfter } (seconds)
+otpTokenSchema.statics.issue = async function(identifier, purpose, metadata = {}) {
+  identifier = String(identifier).toLowerCase().trim();
+
+  const existing = await this.findOne({ identifier, purpose });
+  if (existing && existing.expiresAt > Date.now()) {
+    const nextAllowedAt = existing.lastSentAt.getTime() + OTP_RESEND_COOLDOWN_SECONDS * 1000;
+    if (nextAllowedAt > Date.now()) {
+      return {
+        error: 'cooldown',
+        retryAfter: Math.ceil((nextAllowedAt - Date.now()) / 1000)
+      };
+    }
+  }
+
+  // Generate 6 digit OTP
+  const otp = crypto.randomInt(100000, 1000000).toString();
+
+  // Replacing the document resets attempts and any previous verification
+  await this.findOneAndReplace(
+    { identifier, purpose },
+    {
+      identifier,
+      purpose,
+      codeHash: hash(otp),
+      attempts: 0,
+      maxAttempts: OTP_MAX_ATTEMPTS,
+      lastSentAt: new Date(),
+      metadata,
+      expiresAt: new Date(Date.now() + OTP_EXPIRE_MINUTES * 60 * 1000)
+    },
+    { upsert: true }
+  );
+
+  return { otp };
+};
+
+// Check a code. Each call counts as an attempt; the code is discarded once
+// maxAttempts is reached. Resolves to { ticket, metadata } on success or
+// { error: 'invalid' | 'expired' | 'too_many_attempts', attemptsLeft }
+otpTokenSchema.statics.verifyCode = async function(identifier, purpose, otp) {
+  identifier = String(identifier).toLowerCase().trim();
+
+  // Count the attempt atomically so parallel guesses cannot bypass the limit
+  const record = await this.findOneAndUpdate(
+    { identifier, purpose, verifiedAt: { $exists: false } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+
+  if (!record || record.expiresAt < Date.now()) {
+    return { error: 'expired' };
+  }
+
+  if (record.attempts > record.maxAttempts) {
+    await record.deleteOne();
+    return { error: 'too_many_attempts' };
+  }
+
+  const isMatch = crypto.timingSafeEqual(
+    Buffer.from(hash(otp), 'hex'),
+    Buffer.from(record.codeHash, 'hex')
+  );
+
+  if (!isMatch) {
+    const attemptsLeft = record.maxAttempts - record.attempts;
+    if (attemptsLeft <= 0) {
+      await record.deleteOne();
+      return { error: 'too_many_attempts' };
+    }
+    return { error: 'invalid', attemptsLeft };
+  }
+
+  // Code is valid - swap it for a short-lived ticket the next step must present
+  const ticket = crypto.randomBytes(32).toString('hex');
+  record.verifiedAt = new Date();
+  record.ticketHash = hash(ticket);
+  record.expiresAt = new Date(Date.now() + OTP_TICKET_EXPIRE_MINUTES * 60 * 1000);
+  await record.save();
+
+  return { ticket, metadata: record.metadata };
+};
+
+const getTicketQuery = (identifier, purpose, ticket) => ({
+  identifier: String(identifier).toLowerCase().trim(),
+  purpose,
+  ticketHash: hash(ticket),
+  verifiedAt: { $exists: true },
+  expiresAt: { $gt: new Date() }
+});
+
+// Look up a ticket issued by verifyCode without using it up, for steps that
+// must only consume it once their own work has succeeded. Resolves to the
+// record or null
+otpTokenSchema.statics.findTicket = async function(identifier, purpose, ticket) {
+  if (!identifier || !ticket) return null;
+
+  return this.findOne(getTicketQuery(identifier, purpose, ticket));
+};
+
+// Consume a ticket issued by verifyCode. The document is removed in the same
+// operation, so a ticket can only be used once. Resolves to the record or null
+otpTokenSchema.statics.consumeTicket = async function(identifier, purpose, ticket) {
+  if (!identifier || !ticket) return null;
+
+  return this.findOneAndDelete(getTicketQuery(identifier, purpose, ticket));
+};
+
+const OtpToken = mongoose.model('OtpToken', otpTokenSchema);
+
+module.exports = OtpToken;
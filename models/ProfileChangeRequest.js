@@ -0,0 +1,117 @@
+// models/ProfileChangeRequest.js - Held edits to identity-critical institution profile fields
+const mongoose = require('mongoose');
+
+// Fields that identify the institution. Once it is verified, edits to these
+// wait for an admin while the live profile keeps the old values
+const criticalFields = ['institutionName', 'address', 'googleMapsLink', 'owner'];
+
+const fieldLabels = {
+  institutionName: 'Institution name',
+  address: 'Address',
+  googleMapsLink: 'Google Maps link',
+  owner: 'Owner'
+};
+
+const profileChangeRequestSchema = new mongoose.Schema({
+  institution: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'cancelled'],
+    default: 'pending'
+  },
+  // One entry per field; `from` is the live value when the change was
+  // requested (refreshed on approval), `to` the proposed value
+  changes: [{
+    _id: false,
+    field: {
+      type: String,
+      enum: criticalFields,
+      required: true
+    },
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  rejectionReason: String
+}, { timestamps: true });
+
+profileChangeRequestSchema.index({ institution: 1, status: 1 });
+profileChangeRequestSchema.index({ status: 1, createdAt: 1 });
+
+// Plain copy of a live profile value, for storing and comparing
+const currentValue = (institution, field) => {
+  const value = institution.institutionProfile?.[field];
+  return value?.toObject ? value.toObject() : value;
+};
+
+// Field by field comparison for the admin review screen
+profileChangeRequestSchema.methods.getDiff = function() {
+  return this.changes.map(change => ({
+    field: change.field,
+    label: fieldLabels[change.field],
+    from: change.from,
+    to: change.to
+  }));
+};
+
+// Copy the proposed values onto the institution document (not saved)
+profileChangeRequestSchema.methods.applyTo = function(institution) {
+  this.changes.forEach(change => {
+    change.from = currentValue(institution, change.field);
+    institution.institutionProfile[change.field] = change.to;
+  });
+  this.markModified('changes');
+  institution.markModified('institutionProfile');
+};
+
+// Hold `proposed` ({ field: value }) for review. Values equal to the live
+// profile are dropped, and an existing pending request for the institution
+// is updated rather than a second one opened. Resolves to the pending
+// request, or null when nothing differs from the live profile
+profileChangeRequestSchema.statics.submit = async function(institution, proposed, requestedBy) {
+  const request = await this.findOne({ institution: institution._id, status: 'pending' }) ||
+    new this({ institution: institution._id });
+
+  const changes = request.changes.filter(change => !(change.field in proposed));
+
+  Object.keys(proposed).forEach(field => {
+    const from = currentValue(institution, field);
+    const to = proposed[field];
+
+    // Proposing the live value again withdraws the change
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ field, from, to });
+    }
+  });
+
+  request.changes = changes;
+  request.requestedBy = requestedBy;
+
+  if (request.changes.length === 0) {
+    if (!request.isNew) {
+      request.status = 'cancelled';
+      await request.save();
+    }
+    return null;
+  }
+
+  return request.save();
+};
+
+const ProfileChangeRequest = mongoose.model('ProfileChangeRequest', profileChangeRequestSchema);
+
+ProfileChangeRequest.criticalFields = criticalFields;
+
+module.exports = ProfileChangeRequest;
@@ -0,0 +1,51 @@
+// models/RateLimit.js - Fixed-window request counters shared by all server instances
+const mongoose = require('mongoose');
+
+const rateLimitSchema = new mongoose.Schema({
+  // e.g. "login:ip:203.0.113.7:1938472"
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  // TTL - the counter disappears when its window ends
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+rateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Count one hit against a key in the current window.
+// Resolves to { count, resetAt }
+rateLimitSchema.statics.hit = async function(key, windowSeconds) {
+  const windowMs = windowSeconds * 1000;
+  const windowIndex = Math.floor(Date.now() / windowMs);
+  const resetAt = new Date((windowIndex + 1) * windowMs);
+
+  const increment = () => this.findOneAndUpdate(
+    { key: `${key}:${windowIndex}` },
+    { $inc: { count: 1 }, $setOnInsert: { expiresAt: resetAt } },
+    { upsert: true, new: true }
+  );
+
+  let counter;
+  try {
+    counter = await increment();
+  } catch (error) {
+    // Two first hits raced on the upsert - the document exists now
+    if (error.code !== 11000) throw error;
+    counter = await increment();
+  }
+
+  return { count: counter.count, resetAt };
+};
+
+const RateLimit = mongoose.model('RateLimit', rateLimitSchema);
+
+module.exports = RateLimit;
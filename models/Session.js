@@ -0,0 +1,179 @@
+// models/Session.js - Login sessions backing access tokens and rotating refresh tokens
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const REFRESH_TOKEN_EXPIRE_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+const IMPERSONATION_EXPIRE_MINUTES = parseInt(process.env.IMPERSONATION_EXPIRE_MINUTES) || 30;
+
+const hash = (value) => crypto.createHash('sha256').update(String(value)).digest('hex');
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    select: false
+  },
+  // Hash of the refresh token that was rotated out last; seeing it again means
+  // the token was stolen and replayed, so the whole session is revoked
+  previousRefreshTokenHash: {
+    type: String,
+    select: false
+  },
+  // Set when an admin is viewing the platform as this user. Such sessions
+  // have no refresh token and end when their access token expires
+  impersonatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  impersonationReason: String,
+  ipAddress: String,
+  userAgent: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  revokedAt: Date,
+  revokedReason: String,
+  // TTL - expired sessions are removed by Mongo
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, { timestamps: true });
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ impersonatedBy: 1 }, { sparse: true });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const newRefreshSecret = () => crypto.randomBytes(40).toString('hex');
+
+// Fields set when a refresh token replaces the one hashed as `previousHash`
+const getRotation = (secret, previousHash) => ({
+  previousRefreshTokenHash: previousHash,
+  refreshTokenHash: hash(secret),
+  lastUsedAt: Date.now(),
+  expiresAt: Date.now() + REFRESH_TOKEN_EXPIRE_DAYS * 24 * 60 * 60 * 1000
+});
+
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > Date.now();
+});
+
+// Generate a new refresh token for this session. The token carries the session
+// id so it can be looked up without scanning; only its hash is stored
+sessionSchema.methods.rotateRefreshToken = function() {
+  const secret = newRefreshSecret();
+
+  this.set(getRotation(secret, this.refreshTokenHash));
+
+  return `${this._id}.${secret}`;
+};
+
+sessionSchema.methods.revoke = function(reason) {
+  this.revokedAt = Date.now();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+// Start a session for a user and issue its first token pair
+sessionSchema.statics.start = async function(user, req) {
+  const session = new this({
+    user: user._id,
+    ipAddress: req.ip || req.connection?.remoteAddress,
+    userAgent: req.get('user-agent'),
+    expiresAt: Date.now()
+  });
+
+  const refreshToken = session.rotateRefreshToken();
+  await session.save();
+
+  return {
+    session,
+    token: user.getSignedToken(session._id),
+    refreshToken
+  };
+};
+
+// Start an impersonation session for `admin` acting as `user`. Only an access
+// token is issued, expiring together with the session
+sessionSchema.statics.startImpersonation = async function(user, admin, req, reason) {
+  const session = await this.create({
+    user: user._id,
+    impersonatedBy: admin._id,
+    impersonationReason: reason,
+    ipAddress: req.ip || req.connection?.remoteAddress,
+    userAgent: req.get('user-agent'),
+    expiresAt: Date.now() + IMPERSONATION_EXPIRE_MINUTES * 60 * 1000
+  });
+
+  return {
+    session,
+    token: user.getSignedToken(session._id, {
+      impersonatedBy: admin._id,
+      expiresIn: `${IMPERSONATION_EXPIRE_MINUTES}m`
+    })
+  };
+};
+
+// Exchange a refresh token for a new token pair.
+// Resolves to { session, refreshToken } or { error: 'invalid' | 'reused' }
+sessionSchema.statics.refresh = async function(refreshToken) {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+
+  if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) {
+    return { error: 'invalid' };
+  }
+
+  const session = await this.findById(sessionId).select('+refreshTokenHash +previousRefreshTokenHash');
+
+  if (!session || !session.isActive) {
+    return { error: 'invalid' };
+  }
+
+  const presentedHash = hash(secret);
+
+  if (presentedHash !== session.refreshTokenHash) {
+    if (presentedHash === session.previousRefreshTokenHash) {
+      await session.revoke('refresh_token_reuse');
+      return { error: 'reused' };
+    }
+    return { error: 'invalid' };
+  }
+
+  // Rotate only if the token is still the current one, so that of two
+  // requests presenting it at the same time just one gets a new pair
+  const newSecret = newRefreshSecret();
+  const rotated = await this.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: presentedHash, revokedAt: { $exists: false } },
+    { $set: getRotation(newSecret, presentedHash) },
+    { new: true }
+  );
+
+  if (!rotated) {
+    await this.updateOne(
+      { _id: session._id, revokedAt: { $exists: false } },
+      { revokedAt: Date.now(), revokedReason: 'refresh_token_reuse' }
+    );
+    return { error: 'reused' };
+  }
+
+  return { session: rotated, refreshToken: `${rotated._id}.${newSecret}` };
+};
+
+// Revoke every active session of a user, optionally keeping one (the current device)
+sessionSchema.statics.revokeAllForUser = function(userId, reason, exceptSessionId) {
+  const query = { user: userId, revokedAt: { $exists: false } };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+
+  return this.updateMany(query, { revokedAt: Date.now(), revokedReason: reason });
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
@@ -2,6 +2,42 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const { adminRoles, institutionRoles } = require('../config/permissions');
+const totp = require('../services/totpService');
+
+const RESET_PASSWORD_EXPIRE_MINUTES = parseInt(process.env.RESET_PASSWORD_EXPIRE_MINUTES) || 30;
+
+// Progressive lockout: after LOGIN_LOCK_THRESHOLD consecutive failures the account
+// is locked for LOGIN_LOCK_BASE_MINUTES, doubling with every further failure
+const LOGIN_LOCK_THRESHOLD = parseInt(process.env.LOGIN_LOCK_THRESHOLD) || 5;
+const LOGIN_LOCK_BASE_MINUTES = parseInt(process.env.LOGIN_LOCK_BASE_MINUTES) || 5;
+const LOGIN_LOCK_MAX_MINUTES = parseInt(process.env.LOGIN_LOCK_MAX_MINUTES) || 24 * 60;
+
+// Days between an account deletion request and the purge, during which the
+// user can change their mind
+const ACCOUNT_DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+
+// Normalize phone numbers to E.164. Bare ten-digit numbers (optionally with a
+// leading 0 or 91) are Indian mobiles
+const normalizePhone = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+
+  const digits = String(value).replace(/[\s\-().]/g, '');
+  if (/^0?[6-9]\d{9}$/.test(digits)) return `+91${digits.slice(-10)}`;
+  if (/^91[6-9]\d{9}$/.test(digits)) return `+${digits}`;
+  return digits;
+};
+
+// Aspirants who signed up with their phone have no email or password
+function isPhoneOnlyAccount() {
+  return this.role === 'aspirant' && !!this.phone;
+}
+
+// Institution profile fields are required on the institution's own account,
+// not on staff members who belong to it
+function isInstitutionAccount() {
+  return this.role === 'institution' && !this.memberOf;
+}
 
 const userSchema = new mongoose.Schema({
   // Basic fields
@@ -11,8 +47,7 @@ const userSchema = new mongoose.Schema({
   },
   email: {
     type: String,
-    required: [true, 'Please add an email'],
-    unique: true,
+    required: [function() { return !isPhoneOnlyAccount.call(this); }, 'Please add an email'],
     lowercase: true,
     match: [
       /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/,
@@ -21,7 +56,7 @@ const userSchema = new mongoose.Schema({
   },
   password: {
     type: String,
-    required: [true, 'Please add a password'],
+    required: [function() { return !isPhoneOnlyAccount.call(this); }, 'Please add a password'],
     minlength: 6,
     select: false
   },
@@ -30,8 +65,22 @@ const userSchema = new mongoose.Schema({
     enum: ['aspirant', 'institution', 'admin'],
     default: 'aspirant'
   },
-  resetPasswordToken: String,
-  resetPasswordExpire: Date,
+  // Admin sub-role deciding which admin permissions apply (see config/permissions.js)
+  adminRole: {
+    type: String,
+    enum: adminRoles,
+    default: function() {
+      return this.role === 'admin' ? 'super_admin' : undefined;
+    }
+  },
+  resetPasswordToken: {
+    type: String,
+    select: false
+  },
+  resetPasswordExpire: {
+    type: Date,
+    select: false
+  },
   emailVerificationOTP: {
     type: String,
     select: false
@@ -45,27 +94,112 @@ const userSchema = new mongoose.Schema({
     default: false
   },
   
+  // Aspirant mobile number (E.164) - used for OTP login
+  phone: {
+    type: String,
+    set: normalizePhone,
+    match: [/^\+[1-9]\d{7,14}$/, 'Please add a valid phone number']
+  },
+  isPhoneVerified: {
+    type: Boolean,
+    default: false
+  },
+  
+  // Institution staff - the institution account this user works for and their
+  // role there (see config/permissions.js). Unset memberOf means the user
+  // is the institution account itself, i.e. its owner
+  memberOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  institutionRole: {
+    type: String,
+    enum: institutionRoles,
+    default: function() {
+      return this.role === 'institution' ? 'owner' : undefined;
+    }
+  },
+  
+  // Aspirant exam goals and course preferences - used for recommendations
+  // (see services/recommendationService.js)
+  aspirantProfile: {
+    targetExamYear: {
+      type: Number,
+      validate: {
+        validator: function(v) {
+          return v === undefined || v === null ||
+            (Number.isInteger(v) && v >= new Date().getFullYear() && v <= new Date().getFullYear() + 10);
+        },
+        message: 'Please add a valid target exam year'
+      }
+    },
+    attemptNumber: {
+      type: Number,
+      min: [1, 'Attempt number must be at least 1'],
+      validate: {
+        validator: function(v) {
+          return v === undefined || v === null || Number.isInteger(v);
+        },
+        message: 'Attempt number must be a whole number'
+      }
+    },
+    optionalSubject: {
+      type: String,
+      trim: true
+    },
+    preferredLanguages: [{
+      type: String,
+      lowercase: true,
+      trim: true
+    }],
+    preferredCities: [{
+      type: String,
+      trim: true
+    }],
+    studyMode: {
+      type: String,
+      enum: ['online', 'offline', 'hybrid']
+    },
+    budget: {
+      min: {
+        type: Number,
+        min: [0, 'Budget cannot be negative']
+      },
+      max: {
+        type: Number,
+        min: [0, 'Budget cannot be negative'],
+        validate: {
+          validator: function(v) {
+            const min = this.aspirantProfile?.budget?.min;
+            return v === undefined || v === null || min === undefined || min === null || v >= min;
+          },
+          message: 'Maximum budget cannot be less than the minimum'
+        }
+      }
+    }
+  },
+  
   // Institution-specific embedded profile
   institutionProfile: {
     institutionName: {
       type: String,
-      required: function() { return this.role === 'institution'; }
+      required: isInstitutionAccount
     },
     institutionType: {
       type: String,
       enum: ['university', 'college', 'training_center', 'coaching_institute', 'online_academy', 'other'],
-      required: function() { return this.role === 'institution'; }
+      required: isInstitutionAccount
     },
     
     // Owner details
     owner: {
       name: {
         type: String,
-        required: function() { return this.role === 'institution'; }
+        required: isInstitutionAccount
       },
       email: {
         type: String,
-        required: function() { return this.role === 'institution'; },
+        required: isInstitutionAccount,
         match: [
           /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/,
           'Please add a valid owner email'
@@ -77,15 +211,15 @@ const userSchema = new mongoose.Schema({
     contactPerson: {
       name: {
         type: String,
-        required: function() { return this.role === 'institution'; }
+        required: isInstitutionAccount
       },
       designation: {
         type: String,
-        required: function() { return this.role === 'institution'; }
+        required: isInstitutionAccount
       },
       phone: {
         type: String,
-        required: function() { return this.role === 'institution'; },
+        required: isInstitutionAccount,
         validate: {
           validator: function(v) {
             // More flexible phone validation - allow various formats
@@ -96,7 +230,7 @@ const userSchema = new mongoose.Schema({
       },
       email: {
         type: String,
-        required: function() { return this.role === 'institution'; },
+        required: isInstitutionAccount,
         match: [
           /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/,
           'Please add a valid contact email'
@@ -113,18 +247,18 @@ const userSchema = new mongoose.Schema({
       zipCode: String,
       fullAddress: {
         type: String,
-        required: function() { return this.role === 'institution'; }
+        required: isInstitutionAccount
       }
     },
     
     // Google Maps link - More flexible validation
     googleMapsLink: {
       type: String,
-      required: function() { return this.role === 'institution'; },
+      required: isInstitutionAccount,
       validate: {
         validator: function(v) {
-          // Allow empty string for non-institutions
-          if (this.role !== 'institution') return true;
+          // Allow empty string for non-institutions and institution staff
+          if (!isInstitutionAccount.call(this)) return true;
           
           // More flexible validation - accept various Google Maps URL formats
           return v && (
@@ -166,7 +300,8 @@ const userSchema = new mongoose.Schema({
   },
   verificationStatus: {
     type: String,
-    enum: ['pending', 'verified', 'rejected'],
+    // Mirrors the institution's verification case (models/VerificationCase.js)
+    enum: ['pending', 'changes_requested', 'verified', 'rejected'],
     default: function() {
       return this.role === 'institution' ? 'pending' : 'verified';
     }
@@ -178,17 +313,52 @@ const userSchema = new mongoose.Schema({
   },
   verifiedAt: Date,
   
+  // TOTP two-factor authentication (see services/totpService.js)
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    // Encrypted secrets - pendingSecret holds a secret until enrollment is confirmed
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    backupCodes: {
+      type: [{
+        codeHash: String,
+        usedAt: Date
+      }],
+      select: false
+    },
+    // Last accepted time step, so a code cannot be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: Date
+  },
+  
   // Login tracking
   lastLogin: Date,
   loginCount: {
     type: Number,
     default: 0
   },
-  loginHistory: [{
-    timestamp: { type: Date, default: Date.now },
-    ipAddress: String,
-    userAgent: String
-  }],
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: Date,
+  
+  // Account deletion - the account is purged once deletionScheduledFor passes
+  // unless the user cancels (see services/aspirantDataService.js)
+  deletionRequestedAt: Date,
+  deletionScheduledFor: Date,
   
   // Timestamps
   createdAt: {
@@ -201,6 +371,13 @@ const userSchema = new mongoose.Schema({
   }
 });
 
+// Unique among accounts that have an email. Partial rather than sparse, so
+// phone-only accounts with an explicit null don't collide either. Existing
+// databases need migrateEmailIndex.js to replace the old index
+userSchema.index({ email: 1 }, { unique: true, partialFilterExpression: { email: { $type: 'string' } } });
+userSchema.index({ phone: 1 }, { unique: true, sparse: true });
+userSchema.index({ deletionScheduledFor: 1 }, { sparse: true });
+
 // Update timestamps on save
 userSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
@@ -210,26 +387,120 @@ userSchema.pre('save', function(next) {
 // Encrypt password
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) {
-    next();
+    return next();
   }
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
 });
 
-// Generate JWT token
-userSchema.methods.getSignedToken = function() {
+// Institution account whose data this user works on (own id for the owner)
+userSchema.virtual('institutionId').get(function() {
+  if (this.role !== 'institution') return undefined;
+  return (this.memberOf || this._id).toString();
+});
+
+// Generate short-lived JWT access token bound to a login session (see models/Session.js)
+// Impersonation tokens carry the admin's id in `imp` so they can be told
+// apart from the user's own tokens
+userSchema.methods.getSignedToken = function(sessionId, { impersonatedBy, expiresIn } = {}) {
+  const payload = { id: this._id, role: this.role, inst: this.institutionId, sid: sessionId };
+  if (impersonatedBy) {
+    payload.imp = impersonatedBy;
+  }
+
   return jwt.sign(
-    { id: this._id, role: this.role },
-    process.env.JWT_SECRET || 'your-secret-key',
-    { expiresIn: process.env.JWT_EXPIRE || '30d' }
+    payload,
+    process.env.JWT_SECRET || 'mysecretkey',
+    { expiresIn: expiresIn || process.env.JWT_EXPIRE || '15m' }
   );
 };
 
 // Match password
 userSchema.methods.matchPassword = async function(password) {
+  if (!this.password || !password) return false;
   return await bcrypt.compare(password, this.password);
 };
 
+// Short-lived token for the second login step ('2fa_login') or for enrolling
+// in 2FA when the role policy requires it before login ('2fa_enroll')
+userSchema.methods.getTwoFactorChallengeToken = function(purpose) {
+  return jwt.sign(
+    { id: this._id, purpose },
+    process.env.JWT_SECRET || 'mysecretkey',
+    { expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '10m' }
+  );
+};
+
+// Resolve the user a challenge token was issued to, or null if the token is
+// invalid, expired or was issued for another purpose
+userSchema.statics.findByTwoFactorChallenge = async function(token, purpose, projection) {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'mysecretkey');
+    if (decoded.purpose !== purpose) return null;
+    
+    return await this.findById(decoded.id).select(projection);
+  } catch (error) {
+    return null;
+  }
+};
+
+// Check whether the account is temporarily locked after failed logins
+userSchema.methods.isLocked = function() {
+  return !!(this.lockUntil && this.lockUntil > Date.now());
+};
+
+// Record a failed password check, locking the account once the threshold is
+// reached. Resolves to the lock expiry date, or null if not locked
+userSchema.methods.registerFailedLogin = async function() {
+  const updated = await this.constructor.findByIdAndUpdate(
+    this._id,
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  ).select('failedLoginAttempts');
+  
+  this.failedLoginAttempts = updated.failedLoginAttempts;
+  
+  const failuresOverThreshold = updated.failedLoginAttempts - LOGIN_LOCK_THRESHOLD;
+  if (failuresOverThreshold < 0) {
+    return null;
+  }
+  
+  const lockMinutes = Math.min(
+    LOGIN_LOCK_BASE_MINUTES * Math.pow(2, failuresOverThreshold),
+    LOGIN_LOCK_MAX_MINUTES
+  );
+  this.lockUntil = new Date(Date.now() + lockMinutes * 60 * 1000);
+  await this.constructor.updateOne({ _id: this._id }, { lockUntil: this.lockUntil });
+  
+  return this.lockUntil;
+};
+
+// Check a TOTP code or an unused backup code. A TOTP code is only accepted
+// once (its time step must be newer than the last one used). Marks what was
+// used on the document; the caller saves it
+userSchema.methods.checkSecondFactor = function(code, backupCode) {
+  if (code) {
+    const step = totp.verifyCode(totp.decryptSecret(this.twoFactor.secret), code);
+    if (step === null || step <= (this.twoFactor.lastUsedStep || 0)) {
+      return false;
+    }
+    this.twoFactor.lastUsedStep = step;
+    return true;
+  }
+  
+  if (backupCode) {
+    const codeHash = totp.hashBackupCode(backupCode);
+    const entry = this.twoFactor.backupCodes.find(c => c.codeHash === codeHash && !c.usedAt);
+    if (!entry) {
+      return false;
+    }
+    entry.usedAt = new Date();
+    return true;
+  }
+  
+  return false;
+};
+
 // Generate OTP for email verification
 userSchema.methods.generateEmailOTP = function() {
   // Generate 6 digit OTP
@@ -247,7 +518,8 @@ userSchema.methods.generateEmailOTP = function() {
   return otp;
 };
 
-// Get reset password token (if you don't have this already)
+// Get reset password token. Only the hash is stored; issuing a new token
+// replaces any previous one
 userSchema.methods.getResetPasswordToken = function() {
   // Generate token
   const resetToken = require('crypto').randomBytes(20).toString('hex');
@@ -259,29 +531,34 @@ userSchema.methods.getResetPasswordToken = function() {
     .digest('hex');
   
   // Set expire
-  this.resetPasswordExpire = Date.now() + 10 * 60 * 1000; // 10 minutes
+  this.resetPasswordExpire = Date.now() + RESET_PASSWORD_EXPIRE_MINUTES * 60 * 1000;
   
   return resetToken;
 };
 
-// Update login info
-userSchema.methods.updateLoginInfo = async function(ipAddress, userAgent) {
+// Update login info (individual attempts are kept in LoginEvent)
+userSchema.methods.updateLoginInfo = async function() {
   this.lastLogin = Date.now();
   this.loginCount = (this.loginCount || 0) + 1;
-  
-  // Add to login history
-  this.loginHistory.push({
-    timestamp: Date.now(),
-    ipAddress,
-    userAgent
-  });
-  
-  // Keep only last 10 login records
-  if (this.loginHistory.length > 10) {
-    this.loginHistory = this.loginHistory.slice(-10);
-  }
+  this.failedLoginAttempts = 0;
+  this.lockUntil = undefined;
   
   await this.save();
 };
 
+// Schedule the account for deletion after the grace period
+userSchema.methods.scheduleDeletion = function() {
+  this.deletionRequestedAt = Date.now();
+  this.deletionScheduledFor = Date.now() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000;
+  return this.save({ validateBeforeSave: false });
+};
+
+userSchema.methods.cancelDeletion = function() {
+  this.deletionRequestedAt = undefined;
+  this.deletionScheduledFor = undefined;
+  return this.save({ validateBeforeSave: false });
+};
+
+userSchema.statics.normalizePhone = normalizePhone;
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
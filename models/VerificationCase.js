@@ -0,0 +1,118 @@
+// models/VerificationCase.js - An institution's verification documents and their review
+const mongoose = require('mongoose');
+
+const documentTypes = ['registration_certificate', 'gst_certificate', 'address_proof', 'owner_id'];
+
+// GST registration is only mandatory above the turnover threshold, so a GST
+// certificate is checked when provided but not required
+const requiredDocumentTypes = ['registration_certificate', 'address_proof', 'owner_id'];
+
+// Statuses in which the institution can upload documents and (re)submit
+const editableStatuses = ['draft', 'changes_requested', 'rejected'];
+
+const documentSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: documentTypes,
+    required: true
+  },
+  // File in the private document store (services/documentStorageService.js) -
+  // documents are never served publicly
+  fileId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  originalName: String,
+  mimeType: String,
+  size: Number,
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Admin checklist - a replaced document goes back to pending
+  reviewStatus: {
+    type: String,
+    enum: ['pending', 'accepted', 'rejected'],
+    default: 'pending'
+  },
+  reviewNote: String,
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date
+});
+
+const verificationCaseSchema = new mongoose.Schema({
+  institution: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  // draft -> pending -> verified | changes_requested | rejected; the last two
+  // go back to pending when the institution resubmits
+  status: {
+    type: String,
+    enum: ['draft', 'pending', 'changes_requested', 'verified', 'rejected'],
+    default: 'draft'
+  },
+  documents: [documentSchema],
+  submittedAt: Date,
+  submissionCount: {
+    type: Number,
+    default: 0
+  },
+  // Latest admin decision
+  decisionNote: String,
+  decidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  decidedAt: Date,
+  history: [{
+    status: String,
+    note: String,
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, { timestamps: true });
+
+verificationCaseSchema.index({ status: 1, submittedAt: 1 });
+
+verificationCaseSchema.virtual('isEditable').get(function() {
+  return editableStatuses.includes(this.status);
+});
+
+verificationCaseSchema.methods.getDocument = function(type) {
+  return this.documents.find(document => document.type === type);
+};
+
+// Required documents that have not been uploaded yet
+verificationCaseSchema.methods.getMissingDocuments = function() {
+  return requiredDocumentTypes.filter(type => !this.getDocument(type));
+};
+
+// Move to a new status and record it in the history
+verificationCaseSchema.methods.transition = function(status, { by, note } = {}) {
+  this.status = status;
+  this.history.push({ status, note, by });
+};
+
+// The institution's case, started as a draft the first time it is needed
+verificationCaseSchema.statics.forInstitution = async function(institutionId) {
+  return await this.findOne({ institution: institutionId }) ||
+    await this.create({ institution: institutionId, history: [{ status: 'draft' }] });
+};
+
+const VerificationCase = mongoose.model('VerificationCase', verificationCaseSchema);
+
+VerificationCase.documentTypes = documentTypes;
+VerificationCase.requiredDocumentTypes = requiredDocumentTypes;
+
+module.exports = VerificationCase;
@@ -2,14 +2,16 @@
 const express = require('express');
 const router = express.Router();
 const { protect, authorize } = require('../middleware/auth');
+const { requirePermission, loadCourse, loadReview } = require('../middleware/permissions');
 const {
   getAdminStats,
   getAllUsers,
   getInstitutions,
-  verifyInstitution,
   updateInstitutionStatus,
   getAllCourses,
   toggleCoursePublication,
+  getCourseReviewQueue,
+  reviewCourse,
   getPendingReviews,
   getAllReviews,
   verifyReview,
@@ -17,38 +19,107 @@ const {
   getSystemOverview,
   updateUserStatus,
   getHomepagePromotedCourses,
-  updateHomepagePromotedCourses
+  updateHomepagePromotedCourses,
+  getTwoFactorPolicy,
+  updateTwoFactorPolicy,
+  getCourseReviewSettings,
+  updateCourseReviewSettings,
+  getAdminInvitations,
+  inviteAdmin,
+  revokeAdminInvitation,
+  updateAdminRole,
+  impersonateUser,
+  getImpersonationLogs
 } = require('../controllers/adminController');
+const {
+  getVerificationCases,
+  getInstitutionVerification,
+  downloadInstitutionDocument,
+  reviewVerificationDocument,
+  verifyInstitution,
+  getProfileChangeRequests,
+  getProfileChangeRequest,
+  approveProfileChangeRequest,
+  rejectProfileChangeRequest
+} = require('../controllers/verificationController');
+const { getCourseRevisions } = require('../controllers/courseRevisionController');
+const {
+  getCoupons,
+  getCoupon,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon
+} = require('../controllers/couponController');
+const { getBundleReviewQueue, reviewBundle } = require('../controllers/bundleController');
 
 // Apply auth middleware to all routes
+// (each route also checks the admin's permissions)
 router.use(protect);
 router.use(authorize('admin'));
 
 // Dashboard & Overview
-router.get('/stats', getAdminStats);
-router.get('/system/overview', getSystemOverview);
+router.get('/stats', requirePermission('dashboard.view'), getAdminStats);
+router.get('/system/overview', requirePermission('dashboard.view'), getSystemOverview);
 
 // User Management
-router.get('/users', getAllUsers);
-router.put('/users/:id/status', updateUserStatus);
-router.get('/activity/logins', getLoginActivity);
+router.get('/users', requirePermission('user.view'), getAllUsers);
+router.put('/users/:id/status', requirePermission('user.manage'), updateUserStatus);
+router.post('/users/:id/impersonate', requirePermission('user.impersonate'), impersonateUser);
+router.get('/activity/logins', requirePermission('security.audit'), getLoginActivity);
+router.get('/activity/impersonations', requirePermission('security.audit'), getImpersonationLogs);
+
+// Admin Management
+router.get('/invitations', requirePermission('admin.manage'), getAdminInvitations);
+router.post('/invitations', requirePermission('admin.manage'), inviteAdmin);
+router.delete('/invitations/:id', requirePermission('admin.manage'), revokeAdminInvitation);
+router.put('/admins/:id/role', requirePermission('admin.manage'), updateAdminRole);
 
 // Institution Management
-router.get('/institutions', getInstitutions);
-router.put('/institutions/:id/verify', verifyInstitution);
-router.put('/institutions/:id/status', updateInstitutionStatus);
+router.get('/institutions', requirePermission('institution.view'), getInstitutions);
+router.put('/institutions/:id/status', requirePermission('institution.manage'), updateInstitutionStatus);
+
+// Institution Verification
+router.get('/verification-cases', requirePermission('institution.view'), getVerificationCases);
+router.get('/institutions/:id/verification', requirePermission('institution.view'), getInstitutionVerification);
+router.get('/institutions/:id/verification/documents/:type', requirePermission('institution.verify'), downloadInstitutionDocument);
+router.put('/institutions/:id/verification/documents/:type', requirePermission('institution.verify'), reviewVerificationDocument);
+router.put('/institutions/:id/verify', requirePermission('institution.verify'), verifyInstitution);
+router.get('/profile-changes', requirePermission('institution.view'), getProfileChangeRequests);
+router.get('/profile-changes/:id', requirePermission('institution.view'), getProfileChangeRequest);
+router.put('/profile-changes/:id/approve', requirePermission('institution.verify'), approveProfileChangeRequest);
+router.put('/profile-changes/:id/reject', requirePermission('institution.verify'), rejectProfileChangeRequest);
 
 // Course Management
-router.get('/courses', getAllCourses);
-router.put('/courses/:id/publish', toggleCoursePublication);
+router.get('/courses', requirePermission('course.view'), getAllCourses);
+router.get('/courses/review-queue', requirePermission('course.view'), getCourseReviewQueue);
+router.put('/courses/:id/publish', loadCourse('course.publish'), toggleCoursePublication);
+router.put('/courses/:id/review', loadCourse('course.publish'), reviewCourse);
+router.get('/courses/:id/revisions', loadCourse('course.view'), getCourseRevisions);
+
+// Course Bundles
+router.get('/bundles/review-queue', requirePermission('course.view'), getBundleReviewQueue);
+router.put('/bundles/:id/review', requirePermission('course.publish'), reviewBundle);
+
+// Coupons
+router.get('/coupons', requirePermission('coupon.view'), getCoupons);
+router.post('/coupons', requirePermission('coupon.manage'), createCoupon);
+router.get('/coupons/:id', requirePermission('coupon.view'), getCoupon);
+router.put('/coupons/:id', requirePermission('coupon.manage'), updateCoupon);
+router.delete('/coupons/:id', requirePermission('coupon.manage'), deleteCoupon);
 
 // Promoted Courses Management
-router.get('/promoted-courses/homepage', getHomepagePromotedCourses);
-router.put('/promoted-courses/homepage', updateHomepagePromotedCourses);
+router.get('/promoted-courses/homepage', requirePermission('course.view'), getHomepagePromotedCourses);
+router.put('/promoted-courses/homepage', requirePermission('course.feature'), updateHomepagePromotedCourses);
+
+// Security Settings
+router.get('/settings/two-factor', requirePermission('settings.manage'), getTwoFactorPolicy);
+router.put('/settings/two-factor', requirePermission('settings.manage'), updateTwoFactorPolicy);
+router.get('/settings/course-review', requirePermission('settings.manage'), getCourseReviewSettings);
+router.put('/settings/course-review', requirePermission('settings.manage'), updateCourseReviewSettings);
 
 // Review Management
-router.get('/reviews/pending', getPendingReviews);
-router.get('/reviews/all', getAllReviews); // NEW ROUTE
-router.put('/reviews/:courseId/:reviewId/verify', verifyReview);
+router.get('/reviews/pending', requirePermission('review.view'), getPendingReviews);
+router.get('/reviews/all', requirePermission('review.view'), getAllReviews); // NEW ROUTE
+router.put('/reviews/:courseId/:reviewId/verify', loadReview('review.moderate'), verifyReview);
 
 module.exports = router;
\ No newline at end of file
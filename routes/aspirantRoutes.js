@@ -1,10 +1,46 @@
 // routes/aspirantRoutes.js - Enhanced version with shortlist and enrollment features
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
-const { protect, authorize } = require('../middleware/auth');
+const { protect, authorize, denyImpersonation } = require('../middleware/auth');
 const User = require('../models/User');
 const Course = require('../models/Course');
 const Shortlist = require('../models/Shortlist');
+const Session = require('../models/Session');
+const {
+  exportAccountData,
+  getAccountDeletion,
+  requestAccountDeletion,
+  cancelAccountDeletion
+} = require('../controllers/aspirantController');
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const CourseBundle = require('../models/CourseBundle');
+const { getRecommendations } = require('../services/recommendationService');
+const { getPriceQuote } = require('../services/pricingService');
+
+// Exam goals and preferences editable through PUT /profile
+const aspirantPreferenceFields = [
+  'targetExamYear',
+  'attemptNumber',
+  'optionalSubject',
+  'preferredLanguages',
+  'preferredCities',
+  'studyMode',
+  'budget'
+];
+const aspirantProfilePaths = Object.keys(User.schema.paths).filter(path => path.startsWith('aspirantProfile.'));
+
+// What a student whose access is suspended still sees of an enrolled course
+const getSuspendedCourseSummary = (course) => ({
+  _id: course._id,
+  title: course.title,
+  institution: course.institution,
+  courseCategory: course.courseCategory,
+  coverImage: course.coverImage,
+  startDate: course.startDate,
+  endDate: course.endDate
+});
 
 // Apply auth middleware to all routes
 router.use(protect);
@@ -25,7 +61,10 @@ router.get('/profile', async (req, res) => {
       success: true,
       name: user.name,
       email: user.email,
+      phone: user.phone,
+      isPhoneVerified: user.isPhoneVerified,
       role: user.role,
+      aspirantProfile: user.aspirantProfile,
       createdAt: user.createdAt
     });
   } catch (error) {
@@ -39,38 +78,59 @@ router.get('/profile', async (req, res) => {
 // @access  Private
 router.put('/profile', async (req, res) => {
   try {
-    const { name, email } = req.body;
-    
-    // Build update object
-    const updateFields = {};
-    if (name) updateFields.name = name;
-    if (email) updateFields.email = email;
-    
-    // Check if email is already used by another user
-    if (email) {
-      const existingUser = await User.findOne({ email });
-      if (existingUser && existingUser._id.toString() !== req.user.id) {
-        return res.status(400).json({ success: false, message: 'Email already in use' });
-      }
+    const { name, email, aspirantProfile } = req.body;
+    
+    // The email can only be changed through the verified flow
+    if (email && email.toLowerCase().trim() !== req.user.email) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Use /api/auth/email-change to change your email address' 
+      });
     }
     
-    // Update user
-    const user = await User.findByIdAndUpdate(
-      req.user.id,
-      updateFields,
-      { new: true, runValidators: true }
-    );
+    const user = await User.findById(req.user.id);
     
     if (!user) {
       return res.status(404).json({ success: false, message: 'User not found' });
     }
     
+    if (name) user.name = name;
+    
+    // Preferences are updated field by field; null clears a field
+    if (aspirantProfile && typeof aspirantProfile === 'object') {
+      aspirantPreferenceFields.forEach(field => {
+        if (aspirantProfile[field] !== undefined) {
+          user.set(`aspirantProfile.${field}`, aspirantProfile[field] === null ? undefined : aspirantProfile[field]);
+        }
+      });
+    }
+    
+    // Only what this request changes is checked, so a stored value that has
+    // since gone stale (e.g. a past target year) does not block other edits.
+    // The budget bounds are checked together as max depends on min
+    const changedPaths = ['name', ...aspirantProfilePaths].filter(path => user.isModified(path));
+    if (changedPaths.some(path => path.startsWith('aspirantProfile.budget.'))) {
+      changedPaths.push('aspirantProfile.budget.min', 'aspirantProfile.budget.max');
+    }
+    
+    const validationError = changedPaths.length > 0 && user.validateSync([...new Set(changedPaths)]);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.fromEntries(Object.entries(validationError.errors).map(([path, err]) => [path, err.message]))
+      });
+    }
+    
+    await user.save({ validateModifiedOnly: true });
+    
     res.status(200).json({
       success: true,
       message: 'Profile updated successfully',
       data: {
         name: user.name,
-        email: user.email
+        email: user.email,
+        aspirantProfile: user.aspirantProfile
       }
     });
   } catch (error) {
@@ -222,12 +282,14 @@ router.put('/shortlist/:courseId/notes', async (req, res) => {
   }
 });
 
-// @desc    Enroll in a course
+// @desc    Enroll in a course. Body: { batchId, couponCode, installmentPlanId }
+//          - the amount is the quoted price (see POST /api/courses/:id/price-quote),
+//          or the plan's down payment when paying in installments
 // @route   POST /api/aspirant/enroll/:courseId
 // @access  Private
 router.post('/enroll/:courseId', async (req, res) => {
   try {
-    const { amount } = req.body;
+    const { batchId, couponCode, installmentPlanId } = req.body;
     
     const course = await Course.findById(req.params.courseId);
     
@@ -235,11 +297,12 @@ router.post('/enroll/:courseId', async (req, res) => {
       return res.status(404).json({ success: false, message: 'Course not found' });
     }
     
-    // Check if course can be enrolled
-    if (!course.canEnroll()) {
+    // Check if course (or the chosen batch) can be enrolled
+    const blocker = course.getEnrollmentBlocker(batchId);
+    if (blocker) {
       return res.status(400).json({
         success: false,
-        message: 'Course is not available for enrollment'
+        message: blocker
       });
     }
     
@@ -255,19 +318,89 @@ router.post('/enroll/:courseId', async (req, res) => {
       });
     }
     
+    let plan;
+    let installments;
+    if (installmentPlanId) {
+      if (couponCode) {
+        return res.status(400).json({ success: false, message: 'Coupons cannot be combined with installment plans' });
+      }
+      
+      installments = course.getInstallmentSchedule(installmentPlanId);
+      if (!installments) {
+        return res.status(400).json({ success: false, message: 'Installment plan is not available' });
+      }
+      plan = course.installmentPlans.id(installmentPlanId);
+    }
+    
+    const quote = await getPriceQuote(course, { batchId, couponCode, userId: req.user.id });
+    
+    if (quote.couponError) {
+      return res.status(400).json({ success: false, message: quote.couponError });
+    }
+    
+    // Take a use of the coupon before enrolling, so the usage limits hold
+    // when several checkouts run at once
+    let redeemed = null;
+    if (quote.coupon) {
+      redeemed = await Coupon.redeem(quote.coupon.id, {
+        user: req.user.id,
+        course: course._id,
+        amount: quote.finalAmount,
+        discount: quote.discount
+      });
+      
+      if (!redeemed) {
+        const [coupon, userUses] = await Promise.all([
+          Coupon.findById(quote.coupon.id),
+          CouponRedemption.countForUser(quote.coupon.id, req.user.id)
+        ]);
+        return res.status(400).json({
+          success: false,
+          message: coupon?.getRejectionReason(course, userUses) || 'This coupon has reached its usage limit'
+        });
+      }
+    }
+    
     // Add enrollment to course
     course.enrollments.push({
       user: req.user.id,
       enrolledAt: new Date(),
       paymentStatus: 'completed', // In real app, this would be 'pending' until payment is confirmed
-      amount: amount || course.price
+      basePrice: quote.basePrice,
+      pricingTier: quote.pricingTier?.name,
+      amount: plan ? plan.downPayment : quote.finalAmount,
+      coupon: quote.coupon?.id,
+      couponCode: quote.coupon?.code,
+      discount: quote.coupon ? quote.discount : undefined,
+      batch: course.batches.length > 0 ? batchId : undefined,
+      ...(plan && {
+        installmentPlan: plan._id,
+        totalAmount: plan.downPayment + plan.installmentCount * plan.installmentAmount,
+        installments,
+        suspendAfterDays: plan.suspendAccess ? plan.graceDays : undefined
+      })
     });
+    const enrollment = course.enrollments[course.enrollments.length - 1];
     
-    await course.save();
+    try {
+      await course.save();
+    } catch (error) {
+      if (redeemed) {
+        await Coupon.release(quote.coupon.id, redeemed.redemptionId);
+      }
+      throw error;
+    }
     
     res.status(200).json({
       success: true,
-      message: 'Successfully enrolled in course'
+      message: 'Successfully enrolled in course',
+      data: {
+        amount: enrollment.amount,
+        discount: quote.discount,
+        couponCode: quote.coupon?.code,
+        totalAmount: enrollment.totalAmount,
+        installments: enrollment.installments
+      }
     });
   } catch (error) {
     console.error('Error enrolling in course:', error);
@@ -275,6 +408,131 @@ router.post('/enroll/:courseId', async (req, res) => {
   }
 });
 
+// @desc    Enroll in a bundle - one enrollment in every course of the bundle,
+//          each recording its share of the bundle price. Body: { batches }
+//          mapping course id to batch id for courses that have batches
+// @route   POST /api/aspirant/bundles/:bundleId/enroll
+// @access  Private
+router.post('/bundles/:bundleId/enroll', async (req, res) => {
+  try {
+    const batchIds = req.body.batches || {};
+    
+    const bundle = mongoose.Types.ObjectId.isValid(req.params.bundleId) &&
+      await CourseBundle.findOne({ _id: req.params.bundleId, isPublished: true, status: 'published' });
+    
+    if (!bundle) {
+      return res.status(404).json({ success: false, message: 'Bundle not found' });
+    }
+    
+    const courses = await Course.find({ _id: { $in: bundle.courses } });
+    
+    if (courses.length !== bundle.courses.length) {
+      return res.status(400).json({ success: false, message: 'Bundle is not available for enrollment' });
+    }
+    
+    // Every course must be open, and new to the aspirant
+    for (const course of courses) {
+      const blocker = course.getEnrollmentBlocker(batchIds[course._id.toString()]);
+      if (blocker) {
+        return res.status(400).json({ success: false, message: `${course.title}: ${blocker}` });
+      }
+      
+      if (course.enrollments.some(enrollment => enrollment.user.toString() === req.user.id)) {
+        return res.status(400).json({
+          success: false,
+          message: `You are already enrolled in ${course.title}`
+        });
+      }
+    }
+    
+    const amounts = bundle.allocatePrice(courses, batchIds);
+    const enrolledAt = new Date();
+    const saved = [];
+    
+    try {
+      for (const [index, course] of courses.entries()) {
+        const batchId = batchIds[course._id.toString()];
+        
+        course.enrollments.push({
+          user: req.user.id,
+          enrolledAt,
+          paymentStatus: 'completed', // In real app, this would be 'pending' until payment is confirmed
+          basePrice: course.getPrice(batchId),
+          amount: amounts[index],
+          bundle: bundle._id,
+          batch: course.batches.length > 0 ? batchId : undefined
+        });
+        
+        await course.save();
+        saved.push(course);
+      }
+    } catch (error) {
+      // Undo the enrollments already saved so the bundle is all or nothing
+      for (const course of saved) {
+        course.enrollments = course.enrollments.filter(enrollment =>
+          !(enrollment.bundle && enrollment.bundle.equals(bundle._id) && enrollment.user.toString() === req.user.id)
+        );
+        await course.save();
+      }
+      throw error;
+    }
+    
+    await CourseBundle.updateOne({ _id: bundle._id }, { $inc: { enrollmentCount: 1 } });
+    
+    res.status(200).json({
+      success: true,
+      message: `Successfully enrolled in ${bundle.title}`,
+      data: {
+        amount: bundle.price,
+        courses: courses.map((course, index) => ({ course: course._id, title: course.title, amount: amounts[index] }))
+      }
+    });
+  } catch (error) {
+    console.error('Error enrolling in bundle:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+});
+
+// @desc    Pay an installment of an installment enrollment
+// @route   POST /api/aspirant/enrollments/:courseId/installments/:number/pay
+// @access  Private
+router.post('/enrollments/:courseId/installments/:number/pay', async (req, res) => {
+  try {
+    const course = mongoose.Types.ObjectId.isValid(req.params.courseId)
+      ? await Course.findById(req.params.courseId)
+      : null;
+    const enrollment = course?.enrollments.find(
+      e => e.user.toString() === req.user.id && e.paymentStatus === 'completed'
+    );
+    
+    if (!enrollment || !enrollment.installments) {
+      return res.status(404).json({ success: false, message: 'Installment enrollment not found' });
+    }
+    
+    // In real app, this would wait for the payment to be confirmed
+    const installment = course.settleInstallment(enrollment, parseInt(req.params.number));
+    
+    if (!installment) {
+      return res.status(400).json({ success: false, message: 'Installment not found or already paid' });
+    }
+    
+    await course.save({ validateModifiedOnly: true });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Installment paid successfully',
+      data: {
+        installments: enrollment.installments,
+        amount: enrollment.amount,
+        accessStatus: enrollment.accessStatus
+      }
+    });
+  } catch (error) {
+    console.error('Error paying installment:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+});
+
 // @desc    Get enrolled courses
 // @route   GET /api/aspirant/enrolled
 // @access  Private
@@ -293,14 +551,29 @@ router.get('/enrolled', async (req, res) => {
         e => e.user.toString() === req.user.id
       );
       
+      const batch = enrollment.batch &&
+        (course.batches || []).find(b => b._id.toString() === enrollment.batch.toString());
+      
+      // Suspended for a missed installment - the course stays listed so the
+      // installment can be paid, without its content or batchmates
+      const isSuspended = enrollment.accessStatus === 'suspended';
+      const batchmates = course.enrollments.filter(e =>
+        e.paymentStatus === 'completed' && e.accessStatus !== 'suspended' &&
+        (!batch || (e.batch && e.batch.toString() === batch._id.toString()))
+      ).length;
+      
       return {
         _id: `enrollment_${course._id}`,
-        course: course,
+        course: isSuspended ? getSuspendedCourseSummary(course) : course,
+        batch: batch || null,
         enrolledAt: enrollment.enrolledAt,
         paymentStatus: enrollment.paymentStatus,
         amount: enrollment.amount,
+        totalAmount: enrollment.totalAmount,
+        installments: enrollment.installments,
+        accessStatus: enrollment.accessStatus,
         progress: Math.floor(Math.random() * 100), // Mock progress - would be calculated based on actual completion
-        batchmates: course.currentEnrollments
+        batchmates: isSuspended ? null : batchmates
       };
     });
     
@@ -341,7 +614,7 @@ router.get('/past-enrollments', async (req, res) => {
         completedAt: course.endDate,
         paymentStatus: enrollment.paymentStatus,
         amount: enrollment.amount,
-        certificateEarned: true
+        certificateEarned: enrollment.accessStatus !== 'suspended'
       };
     });
     
@@ -405,7 +678,7 @@ router.get('/reviews', async (req, res) => {
 // @desc    Change aspirant password
 // @route   PUT /api/aspirant/change-password
 // @access  Private
-router.put('/change-password', async (req, res) => {
+router.put('/change-password', denyImpersonation, async (req, res) => {
   try {
     const { currentPassword, newPassword } = req.body;
     
@@ -433,6 +706,9 @@ router.put('/change-password', async (req, res) => {
     user.password = newPassword;
     await user.save();
     
+    // Sign out every other device
+    await Session.revokeAllForUser(user._id, 'password_changed', req.user.sessionId);
+    
     res.status(200).json({
       success: true,
       message: 'Password updated successfully'
@@ -443,61 +719,12 @@ router.put('/change-password', async (req, res) => {
   }
 });
 
-// @desc    Get course recommendations based on user activity
+// @desc    Get course recommendations based on preferences and activity
 // @route   GET /api/aspirant/recommendations
 // @access  Private
 router.get('/recommendations', async (req, res) => {
   try {
-    // Get user's shortlisted and enrolled courses to understand preferences
-    const shortlist = await Shortlist.findOne({ user: req.user.id })
-      .populate('courses.course', 'courseCategory tags city language');
-    
-    const enrolledCourses = await Course.find({
-      'enrollments.user': req.user.id,
-      'enrollments.paymentStatus': 'completed'
-    }).select('courseCategory tags city language');
-    
-    let recommendations = [];
-    
-    // Extract preferences
-    const allCourses = [
-      ...(shortlist?.courses.map(c => c.course) || []),
-      ...enrolledCourses
-    ];
-    
-    if (allCourses.length > 0) {
-      const categories = [...new Set(allCourses.map(c => c.courseCategory))];
-      const tags = [...new Set(allCourses.flatMap(c => c.tags))];
-      const cities = [...new Set(allCourses.map(c => c.city))];
-      const languages = [...new Set(allCourses.flatMap(c => c.language))];
-      
-      // Find similar courses not already in shortlist or enrolled
-      const excludeCourseIds = allCourses.map(c => c._id);
-      
-      recommendations = await Course.find({
-        _id: { $nin: excludeCourseIds },
-        isPublished: true,
-        status: 'published',
-        $or: [
-          { courseCategory: { $in: categories } },
-          { tags: { $in: tags } },
-          { city: { $in: cities } },
-          { language: { $in: languages } }
-        ]
-      })
-      .limit(10)
-      .sort({ 'averageRating.overall': -1, views: -1 })
-      .populate('institution', 'institutionName');
-    } else {
-      // Return popular courses for new users
-      recommendations = await Course.find({
-        isPublished: true,
-        status: 'published'
-      })
-      .limit(10)
-      .sort({ 'averageRating.overall': -1, totalReviews: -1 })
-      .populate('institution', 'institutionName');
-    }
+    const recommendations = await getRecommendations(req.user.id);
     
     res.status(200).json({
       success: true,
@@ -510,4 +737,10 @@ router.get('/recommendations', async (req, res) => {
   }
 });
 
+// Personal data & account deletion
+router.get('/export', denyImpersonation, exportAccountData);
+router.get('/account/deletion', getAccountDeletion);
+router.post('/account/deletion', denyImpersonation, requestAccountDeletion);
+router.delete('/account/deletion', denyImpersonation, cancelAccountDeletion);
+
 module.exports = router;
\ No newline at end of file
@@ -1,37 +1,75 @@
 // routes/authRoutes.js - Updated with institution profile routes
 const express = require('express');
 const router = express.Router();
-const { protect, authorize } = require('../middleware/auth');
+const { protect, protectTwoFactorEnrollment, authorize, denyImpersonation } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { rateLimit } = require('../middleware/rateLimit');
 const { 
   signup, 
   login, 
+  logout,
+  refreshToken,
+  getSessions,
+  revokeSession,
+  verifyTwoFactorLogin,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+  getInvitation,
+  acceptInvitation,
   getMe,
   sendOTP,
   verifyOTP,
+  sendPhoneOTP,
+  verifyPhoneOTP,
+  phoneSignup,
+  requestPhoneVerification,
+  confirmPhoneVerification,
   forgotPassword,
   resetPassword,
   updatePassword,
+  requestEmailChange,
+  confirmEmailChange,
   getInstitutionProfile,
-  updateInstitutionProfile
+  updateInstitutionProfile,
+  cancelInstitutionProfileChanges
 } = require('../controllers/authController');
 
-router.post('/send-otp', sendOTP);
-router.post('/verify-otp', verifyOTP);
+// Public routes
+router.post('/send-otp', rateLimit('sendOtp'), sendOTP);
+router.post('/verify-otp', rateLimit('verifyOtp'), verifyOTP);
 router.post('/signup', signup);
-router.post('/login', login);
-router.post('/forgotpassword', forgotPassword);
+router.post('/phone/send-otp', rateLimit('sendOtp', 'phone'), sendPhoneOTP);
+router.post('/phone/verify-otp', rateLimit('verifyOtp', 'phone'), verifyPhoneOTP);
+router.post('/phone/signup', phoneSignup);
+router.post('/login', rateLimit('login'), login);
+router.post('/forgotpassword', rateLimit('forgotPassword'), forgotPassword);
 router.put('/resetpassword/:resettoken', resetPassword);
+router.post('/refresh', refreshToken);
+router.post('/2fa/login', rateLimit('twoFactor', null), verifyTwoFactorLogin);
+router.get('/invitations/:token', getInvitation);
+router.post('/invitations/:token/accept', acceptInvitation);
 
-
-// Public routes
-router.post('/signup', signup);
-router.post('/login', login);
+// Two-factor enrollment (session or enrollment challenge token)
+router.post('/2fa/setup', protectTwoFactorEnrollment, denyImpersonation, setupTwoFactor);
+router.post('/2fa/enable', protectTwoFactorEnrollment, denyImpersonation, enableTwoFactor);
 
 // Protected routes
 router.get('/me', protect, getMe);
-router.put('/updatepassword', protect, updatePassword);
+router.post('/logout', protect, logout);
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions/:id', protect, denyImpersonation, revokeSession);
+router.put('/updatepassword', protect, denyImpersonation, updatePassword);
+router.post('/email-change', protect, denyImpersonation, rateLimit('sendOtp', 'newEmail'), requestEmailChange);
+router.post('/email-change/confirm', protect, denyImpersonation, rateLimit('verifyOtp', null), confirmEmailChange);
+router.post('/phone', protect, authorize('aspirant'), denyImpersonation, rateLimit('sendOtp', 'phone'), requestPhoneVerification);
+router.post('/phone/confirm', protect, authorize('aspirant'), denyImpersonation, rateLimit('verifyOtp', null), confirmPhoneVerification);
+router.post('/2fa/disable', protect, denyImpersonation, disableTwoFactor);
+router.post('/2fa/backup-codes', protect, denyImpersonation, regenerateBackupCodes);
 // Institution specific routes (these can also be in institutionRoutes.js)
-router.get('/institution/profile', protect, authorize('institution'), getInstitutionProfile);
-router.put('/institution/profile', protect, authorize('institution'), updateInstitutionProfile);
+router.get('/institution/profile', protect, authorize('institution'), requirePermission('institution.view'), getInstitutionProfile);
+router.put('/institution/profile', protect, authorize('institution'), requirePermission('institution.update'), updateInstitutionProfile);
+router.delete('/institution/profile/pending-changes', protect, authorize('institution'), requirePermission('institution.update'), cancelInstitutionProfileChanges);
 
 module.exports = router;
\ No newline at end of file
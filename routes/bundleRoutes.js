@@ -0,0 +1,9 @@
+// routes/bundleRoutes.js - Public course bundle listing
+const express = require('express');
+const router = express.Router();
+const { getPublishedBundles, getBundle } = require('../controllers/bundleController');
+
+router.get('/', getPublishedBundles);
+router.get('/:id', getBundle);
+
+module.exports = router;
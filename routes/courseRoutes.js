@@ -2,9 +2,11 @@
 const express = require('express');
 const router = express.Router();
 const Course = require('../models/Course');
-const Shortlist = require('../models/Shortlist');
-const { protect, authorize } = require('../middleware/auth');
-const jwt = require('jsonwebtoken');
+const { protect, authorize, optionalAuth } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const { canAccessResource } = require('../config/permissions');
+const { getRecommendations } = require('../services/recommendationService');
+const { getPriceQuote } = require('../services/pricingService');
 
 // @desc    Get all published courses with advanced filters
 // @route   GET /api/courses/published
@@ -64,11 +66,11 @@ router.get('/published', async (req, res) => {
     data: courses
   });
 }
-    // Price range filters
+    // Price range filters - on the price after pricing tiers
     if (req.query.minPrice || req.query.maxPrice) {
-      query.price = {};
-      if (req.query.minPrice) query.price.$gte = parseInt(req.query.minPrice);
-      if (req.query.maxPrice) query.price.$lte = parseInt(req.query.maxPrice);
+      query.effectivePrice = {};
+      if (req.query.minPrice) query.effectivePrice.$gte = parseInt(req.query.minPrice);
+      if (req.query.maxPrice) query.effectivePrice.$lte = parseInt(req.query.maxPrice);
     }
     
     // Price range preset filter
@@ -76,9 +78,9 @@ router.get('/published', async (req, res) => {
       const [min, max] = req.query.priceRange.split('-');
       if (max === undefined) {
         // Handle "50000+" format
-        query.price = { $gte: parseInt(min.replace('+', '')) };
+        query.effectivePrice = { $gte: parseInt(min.replace('+', '')) };
       } else {
-        query.price = { $gte: parseInt(min), $lte: parseInt(max) };
+        query.effectivePrice = { $gte: parseInt(min), $lte: parseInt(max) };
       }
     }
     
@@ -104,10 +106,10 @@ router.get('/published', async (req, res) => {
     let sort = {};
     switch (req.query.sort) {
       case 'price-low':
-        sort.price = 1;
+        sort.effectivePrice = 1;
         break;
       case 'price-high':
-        sort.price = -1;
+        sort.effectivePrice = -1;
         break;
       case 'rating':
         sort['averageRating.overall'] = -1;
@@ -156,10 +158,28 @@ router.get('/published', async (req, res) => {
   }
 });
 
+// @desc    Get course recommendations based on user preferences
+//          (declared before /:id so it is not taken for a course id)
+// @route   GET /api/courses/recommendations
+// @access  Private
+router.get('/recommendations', protect, async (req, res) => {
+  try {
+    const recommendations = await getRecommendations(req.user.id);
+    
+    res.status(200).json({
+      success: true,
+      count: recommendations.length,
+      data: recommendations
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+});
+
 // @desc    Get single course by ID - Only show approved reviews
 // @route   GET /api/courses/:id
 // @access  Public
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const course = await Course.findById(req.params.id)
       .populate('institution', 'institutionName email')
@@ -172,19 +192,10 @@ router.get('/:id', async (req, res) => {
       return res.status(404).json({ success: false, message: 'Course not found' });
     }
     
-    // For unpublished courses, only show to the institution that owns it
+    // For unpublished courses, only show to users who may view it (the
+    // institution that owns it, admins)
     if (!course.isPublished || course.status !== 'published') {
-      const token = req.headers.authorization?.split(' ')[1];
-      if (!token) {
-        return res.status(404).json({ success: false, message: 'Course not found' });
-      }
-      
-      try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'mysecretkey');
-        if (decoded.id !== course.institution._id.toString()) {
-          return res.status(404).json({ success: false, message: 'Course not found' });
-        }
-      } catch (err) {
+      if (!req.user || !canAccessResource(req.user, 'course.view', { institution: course.institution })) {
         return res.status(404).json({ success: false, message: 'Course not found' });
       }
     }
@@ -193,6 +204,11 @@ router.get('/:id', async (req, res) => {
     const courseData = course.toObject();
     courseData.reviews = courseData.reviews.filter(review => review.verificationStatus === 'approved');
     
+    // Resolve the price now rather than trusting the stored copy, which the
+    // cron only refreshes daily
+    courseData.effectivePrice = course.getPrice();
+    courseData.activePricingTier = course.getActivePricingTier();
+    
     res.status(200).json({
       success: true,
       data: courseData
@@ -202,6 +218,45 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// @desc    Quote the price of a course for the current user, applying a
+//          coupon code when one is given. Body: { couponCode, batchId }
+// @route   POST /api/courses/:id/price-quote
+// @access  Private
+router.post('/:id/price-quote', protect, async (req, res) => {
+  try {
+    const { couponCode, batchId } = req.body;
+    
+    const course = await Course.findById(req.params.id).select('-enrollments -reviews');
+    
+    if (!course) {
+      return res.status(404).json({ success: false, message: 'Course not found' });
+    }
+    
+    const blocker = course.getEnrollmentBlocker(batchId);
+    if (blocker) {
+      return res.status(400).json({ success: false, message: blocker });
+    }
+    
+    const quote = await getPriceQuote(course, { batchId, couponCode, userId: req.user.id });
+    
+    if (quote.couponError) {
+      return res.status(400).json({
+        success: false,
+        message: quote.couponError,
+        data: quote
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: quote
+    });
+  } catch (error) {
+    console.error('Error quoting course price:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+});
+
 // @desc    Increment course view count
 // @route   POST /api/courses/:id/view
 // @access  Public
@@ -227,7 +282,7 @@ router.post('/:id/view', async (req, res) => {
 // @desc    Add review to course (Only aspirants can review)
 // @route   POST /api/courses/:id/reviews
 // @access  Private (Aspirants only)
-router.post('/:id/reviews', protect, authorize('aspirant'), async (req, res) => {
+router.post('/:id/reviews', protect, requirePermission('review.create'), async (req, res) => {
   try {
     const { courseRating, instituteRating, facultyRating, reviewText } = req.body;
     
@@ -256,11 +311,18 @@ router.post('/:id/reviews', protect, authorize('aspirant'), async (req, res) =>
       });
     }
     
+    // Students whose access is suspended for a missed installment cannot
+    // review until it is paid
+    const enrollment = course.getEnrollment(req.user.id);
+    if (enrollment && !course.hasEnrolledAccess(req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your access to this course is suspended because an installment is overdue'
+      });
+    }
+    
     // Check if user is enrolled in the course (for verification badge)
-    const isEnrolled = course.enrollments.some(
-      enrollment => enrollment.user.toString() === req.user.id && 
-                   enrollment.paymentStatus === 'completed'
-    );
+    const isEnrolled = !!enrollment;
     
     const newReview = {
       user: req.user.id,
@@ -415,59 +477,6 @@ router.get('/search/nearby', async (req, res) => {
   }
 });
 
-// @desc    Get course recommendations based on user preferences
-// @route   GET /api/courses/recommendations
-// @access  Private
-router.get('/recommendations', protect, async (req, res) => {
-  try {
-    // Get user's shortlisted courses to understand preferences
-    const shortlist = await Shortlist.findOne({ user: req.user.id })
-      .populate('courses.course', 'courseCategory tags city courseLanguages');
-    
-    let recommendations = [];
-    
-    if (shortlist && shortlist.courses.length > 0) {
-      // Extract preferences from shortlisted courses
-      const categories = [...new Set(shortlist.courses.map(c => c.course.courseCategory))];
-      const tags = [...new Set(shortlist.courses.flatMap(c => c.course.tags))];
-      const cities = [...new Set(shortlist.courses.map(c => c.course.city))];
-      const languages = [...new Set(shortlist.courses.flatMap(c => c.course.courseLanguages))];
-      
-      // Find similar courses
-      recommendations = await Course.find({
-        isPublished: true,
-        status: 'published',
-        $or: [
-          { courseCategory: { $in: categories } },
-          { tags: { $in: tags } },
-          { city: { $in: cities } },
-          { courseLanguages: { $in: languages } }
-        ]
-      })
-      .limit(10)
-      .sort({ 'averageRating.overall': -1, views: -1 })
-      .populate('institution', 'institutionName');
-    } else {
-      // If no preferences available, return top-rated courses
-      recommendations = await Course.find({
-        isPublished: true,
-        status: 'published'
-      })
-      .limit(10)
-      .sort({ 'averageRating.overall': -1, totalReviews: -1 })
-      .populate('institution', 'institutionName');
-    }
-    
-    res.status(200).json({
-      success: true,
-      count: recommendations.length,
-      data: recommendations
-    });
-  } catch (error) {
-    res.status(500).json({ success: false, message: 'Server error', error: error.message });
-  }
-});
-
 // @desc    Get trending courses
 // @route   GET /api/courses/trending
 // @access  Public
@@ -495,7 +504,7 @@ router.get('/trending', async (req, res) => {
 // @desc    Get course statistics for admin
 // @route   GET /api/courses/admin/stats
 // @access  Private (Admin only)
-router.get('/admin/stats', protect, authorize('admin'), async (req, res) => {
+router.get('/admin/stats', protect, authorize('admin'), requirePermission('finance.view'), async (req, res) => {
   try {
     const totalCourses = await Course.countDocuments();
     const publishedCourses = await Course.countDocuments({ isPublished: true });
@@ -520,19 +529,12 @@ router.get('/admin/stats', protect, authorize('admin'), async (req, res) => {
   }
 });
 
-// @desc    Get single course with proper review filtering
-// @route   GET /api/courses/:id
-// @access  Public
-router.get('/:id', async (req, res) => {
+router.get('/:id/complete', protect, async (req, res) => {
   try {
     const course = await Course.findById(req.params.id)
       .populate('institution', 'institutionName email')
       .populate({
         path: 'reviews.user',
-        select: 'name email'
-      })
-      .populate({
-        path: 'reviews.verifiedBy',
         select: 'name'
       });
     
@@ -540,76 +542,11 @@ router.get('/:id', async (req, res) => {
       return res.status(404).json({ success: false, message: 'Course not found' });
     }
     
-    // Check user authorization
-    let userRole = 'public';
-    let userId = null;
-    
-    const token = req.headers.authorization?.split(' ')[1];
-    if (token) {
-      try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'mysecretkey');
-        userRole = decoded.role;
-        userId = decoded.id;
-      } catch (err) {
-        // Invalid token, treat as public user
-      }
-    }
-    
-    // For unpublished courses, only show to the institution that owns it or admins
-    if (!course.isPublished || course.status !== 'published') {
-      if (userRole === 'admin') {
-        // Admins can see everything
-      } else if (userRole === 'institution' && userId === course.institution._id.toString()) {
-        // Institution can see their own courses
-      } else {
-        return res.status(404).json({ success: false, message: 'Course not found' });
-      }
-    }
-    
-    // Filter reviews based on user role
-    const courseData = course.toObject();
-    
-    if (userRole === 'admin') {
-      // Admins see all reviews with full details
-      courseData.reviews = courseData.reviews.map(review => ({
-        ...review,
-        canModerate: true
-      }));
-    } else if (userRole === 'institution' && userId === course.institution._id.toString()) {
-      // Institutions see all reviews for their courses
-      courseData.reviews = courseData.reviews;
-    } else {
-      // Public users and aspirants only see approved reviews
-      courseData.reviews = courseData.reviews.filter(
-        review => review.verificationStatus === 'approved' && review.isVisible
-      );
-    }
-    
-    res.status(200).json({
-      success: true,
-      data: courseData,
-      userPermissions: {
-        canModerateReviews: userRole === 'admin',
-        canEditCourse: userRole === 'institution' && userId === course.institution._id.toString(),
-        isOwner: userRole === 'institution' && userId === course.institution._id.toString()
-      }
-    });
-  } catch (error) {
-    res.status(500).json({ success: false, message: 'Server error', error: error.message });
-  }
-});
-
-router.get('/:id/complete', protect, async (req, res) => {
-  try {
-    const course = await Course.findById(req.params.id)
-      .populate('institution', 'institutionName email')
-      .populate({
-        path: 'reviews.user',
-        select: 'name'
+    if (course.getEnrollment(req.user.id) && !course.hasEnrolledAccess(req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your access to this course is suspended because an installment is overdue'
       });
-    
-    if (!course) {
-      return res.status(404).json({ success: false, message: 'Course not found' });
     }
     
     // Return all reviews without filtering for logged-in users
@@ -676,7 +613,7 @@ exports.createCourse = async (req, res) => {
       maxStudents: maxStudents || 0,
       schedule: schedule || [], // Include schedule
       syllabusDetails: syllabusDetails || [],
-      isPublished: req.user.isVerified // Auto-publish if institution is verified
+      isPublished: req.user.institutionVerified // Auto-publish if institution is verified
     };
     
     const course = await Course.create(courseData);
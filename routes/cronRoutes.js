@@ -0,0 +1,17 @@
+// routes/cronRoutes.js - Scheduled jobs
+const express = require('express');
+const router = express.Router();
+const { protectCron } = require('../middleware/auth');
+const {
+  purgeDeletedAccounts,
+  processInstallments,
+  refreshCoursePrices
+} = require('../controllers/cronController');
+
+router.use(protectCron);
+
+router.get('/purge-deleted-accounts', purgeDeletedAccounts);
+router.get('/process-installments', processInstallments);
+router.get('/refresh-course-prices', refreshCoursePrices);
+
+module.exports = router;
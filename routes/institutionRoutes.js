@@ -1,7 +1,8 @@
 // routes/institutionRoutes.js
 const express = require('express');
 const router = express.Router();
-const { protect, authorize } = require('../middleware/auth');
+const { protect, authorize, denyImpersonation, requireVerifiedInstitution } = require('../middleware/auth');
+const { requirePermission, loadCourse } = require('../middleware/permissions');
 const Course = require('../models/Course');
 const { 
   getInstitutionProfile,
@@ -13,37 +14,128 @@ const {
   updateCourse,
   deleteCourse,
   promoteCourse,
+  cloneCourse,
   getInstitutionEnrollments,
   updateInstitutionContactPerson,
   getCourse
 } = require('../controllers/institutionController');
+const {
+  getInstitutionMembers,
+  inviteInstitutionMember,
+  revokeInstitutionInvitation,
+  updateInstitutionMember,
+  removeInstitutionMember
+} = require('../controllers/institutionMemberController');
+const {
+  getVerificationCase,
+  uploadVerificationDocument,
+  downloadVerificationDocument,
+  submitVerification
+} = require('../controllers/verificationController');
+const { getCourseRevisions, rollbackCourse } = require('../controllers/courseRevisionController');
+const {
+  getCourseBatches,
+  createCourseBatch,
+  updateCourseBatch,
+  deleteCourseBatch
+} = require('../controllers/courseBatchController');
+const {
+  getInstallmentPlans,
+  createInstallmentPlan,
+  updateInstallmentPlan,
+  deleteInstallmentPlan,
+  updateEnrollmentInstallment
+} = require('../controllers/installmentController');
+const {
+  getInstitutionBundles,
+  createBundle,
+  updateBundle,
+  deleteBundle
+} = require('../controllers/bundleController');
+const {
+  getCoupons,
+  getCoupon,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon
+} = require('../controllers/couponController');
+const {
+  getImportTemplate,
+  importCourses,
+  exportCourses
+} = require('../controllers/courseImportController');
 
 // Apply authentication middleware to all routes
+// (each route also checks the staff member's permissions)
 router.use(protect);
 router.use(authorize('institution'));
 
+// Verification routes - open to institutions that are not verified yet
+router.get('/verification', requirePermission('institution.view'), getVerificationCase);
+router.put('/verification/documents/:type', requirePermission('institution.update'), uploadVerificationDocument);
+router.get('/verification/documents/:type', requirePermission('institution.view'), downloadVerificationDocument);
+router.post('/verification/submit', requirePermission('institution.update'), submitVerification);
+
+// Everything below requires a verified institution
+router.use(requireVerifiedInstitution);
+
 // Profile routes
-router.get('/profile', getInstitutionProfile);
-router.put('/profile/contact', updateInstitutionContactPerson); // NEW ROUTE
+router.get('/profile', requirePermission('institution.view'), getInstitutionProfile);
+router.put('/profile/contact', requirePermission('institution.update'), updateInstitutionContactPerson); // NEW ROUTE
 
 // Analytics route
-router.get('/analytics', getInstitutionAnalytics);
+router.get('/analytics', requirePermission('institution.analytics'), getInstitutionAnalytics);
 
 // Reviews route
-router.get('/reviews', getInstitutionReviews);
+router.get('/reviews', requirePermission('review.view'), getInstitutionReviews);
 
 // Earnings route
-router.get('/earnings', getInstitutionEarnings);
+router.get('/earnings', requirePermission('finance.view'), getInstitutionEarnings);
 
 // Enrollments route
-router.get('/enrollments', getInstitutionEnrollments);
+router.get('/enrollments', requirePermission('enrollment.view'), getInstitutionEnrollments);
+
+// Staff Management Routes
+router.get('/members', requirePermission('member.view'), getInstitutionMembers);
+router.post('/members/invite', denyImpersonation, requirePermission('member.manage'), inviteInstitutionMember);
+router.delete('/members/invitations/:id', denyImpersonation, requirePermission('member.manage'), revokeInstitutionInvitation);
+router.put('/members/:userId', denyImpersonation, requirePermission('member.manage'), updateInstitutionMember);
+router.delete('/members/:userId', denyImpersonation, requirePermission('member.manage'), removeInstitutionMember);
 
 // Course Management Routes
-router.get('/courses', getInstitutionCourses);
-router.post('/courses', createCourse);
-router.get('/courses/:id', getCourse);
-router.put('/courses/:id', updateCourse);
-router.delete('/courses/:id', deleteCourse);
-router.post('/courses/:id/promote', promoteCourse);
+router.get('/courses', requirePermission('course.view'), getInstitutionCourses);
+router.post('/courses', requirePermission('course.create'), createCourse);
+router.get('/courses/import/template', requirePermission('course.create'), getImportTemplate);
+router.post('/courses/import', requirePermission('course.create', 'course.update', 'course.pricing'), importCourses);
+router.get('/courses/export', requirePermission('course.view'), exportCourses);
+router.get('/courses/:id', loadCourse('course.view'), getCourse);
+router.put('/courses/:id', loadCourse('course.update'), updateCourse);
+router.delete('/courses/:id', loadCourse('course.delete'), deleteCourse);
+router.post('/courses/:id/promote', loadCourse('course.promote'), promoteCourse);
+router.post('/courses/:id/clone', loadCourse('course.create'), cloneCourse);
+router.get('/courses/:id/revisions', loadCourse('course.view'), getCourseRevisions);
+router.post('/courses/:id/revisions/:number/rollback', loadCourse('course.update'), rollbackCourse);
+router.get('/courses/:id/batches', loadCourse('course.view'), getCourseBatches);
+router.post('/courses/:id/batches', loadCourse('course.update'), createCourseBatch);
+router.put('/courses/:id/batches/:batchId', loadCourse('course.update'), updateCourseBatch);
+router.delete('/courses/:id/batches/:batchId', loadCourse('course.update'), deleteCourseBatch);
+router.get('/courses/:id/installment-plans', loadCourse('course.view'), getInstallmentPlans);
+router.post('/courses/:id/installment-plans', loadCourse('course.pricing'), createInstallmentPlan);
+router.put('/courses/:id/installment-plans/:planId', loadCourse('course.pricing'), updateInstallmentPlan);
+router.delete('/courses/:id/installment-plans/:planId', loadCourse('course.pricing'), deleteInstallmentPlan);
+router.put('/courses/:id/enrollments/:enrollmentId/installments/:number', loadCourse('enrollment.manage'), updateEnrollmentInstallment);
+
+// Bundle Routes
+router.get('/bundles', requirePermission('course.view'), getInstitutionBundles);
+router.post('/bundles', requirePermission('course.pricing'), createBundle);
+router.put('/bundles/:id', requirePermission('course.pricing'), updateBundle);
+router.delete('/bundles/:id', requirePermission('course.pricing'), deleteBundle);
+
+// Coupon Routes
+router.get('/coupons', requirePermission('coupon.view'), getCoupons);
+router.post('/coupons', requirePermission('coupon.manage'), createCoupon);
+router.get('/coupons/:id', requirePermission('coupon.view'), getCoupon);
+router.put('/coupons/:id', requirePermission('coupon.manage'), updateCoupon);
+router.delete('/coupons/:id', requirePermission('coupon.manage'), deleteCoupon);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,79 @@
+// seedAdmin.js
+// Script to create the first admin account. Further admins are invited from
+// the admin panel; this script refuses to run once any admin exists.
+//
+// Usage: ADMIN_NAME="..." ADMIN_EMAIL="..." ADMIN_PASSWORD="..." node seedAdmin.js
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const User = require('./models/User');
+
+// Load environment variables
+dotenv.config();
+
+// Connect to MongoDB
+async function connectDB() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('MongoDB Connected...');
+  } catch (err) {
+    console.error('Database connection error:', err);
+    process.exit(1);
+  }
+}
+
+async function seedAdmin() {
+  const { ADMIN_NAME, ADMIN_EMAIL, ADMIN_PASSWORD } = process.env;
+
+  if (!ADMIN_EMAIL || !ADMIN_PASSWORD) {
+    console.error('ADMIN_EMAIL and ADMIN_PASSWORD must be set');
+    return false;
+  }
+
+  try {
+    const existingAdmin = await User.findOne({ role: 'admin' });
+    if (existingAdmin) {
+      console.log('An admin already exists. Invite new admins from the admin panel instead.');
+      return false;
+    }
+
+    if (await User.findOne({ email: ADMIN_EMAIL })) {
+      console.error(`Email ${ADMIN_EMAIL} is already registered`);
+      return false;
+    }
+
+    // Two-factor setup is enforced for admins on first login
+    const admin = await User.create({
+      name: ADMIN_NAME || 'Administrator',
+      email: ADMIN_EMAIL,
+      password: ADMIN_PASSWORD,
+      role: 'admin',
+      adminRole: 'super_admin',
+      isEmailVerified: true
+    });
+
+    console.log(`\n✅ Created admin: ${admin.email}`);
+    return true;
+  } catch (error) {
+    console.error('Error seeding admin:', error);
+    return false;
+  }
+}
+
+// Main function
+async function main() {
+  await connectDB();
+  const created = await seedAdmin();
+
+  // Close connection
+  await mongoose.connection.close();
+  console.log('\nDatabase connection closed.');
+  process.exit(created ? 0 : 1);
+}
+
+// Run the script
+if (require.main === module) {
+  main();
+}
+
+module.exports = { seedAdmin };
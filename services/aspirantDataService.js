@@ -0,0 +1,206 @@
+// services/aspirantDataService.js - Personal data export and account purge for aspirants
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Course = require('../models/Course');
+const Shortlist = require('../models/Shortlist');
+const CouponRedemption = require('../models/CouponRedemption');
+const Session = require('../models/Session');
+const OtpToken = require('../models/OtpToken');
+const LoginEvent = require('../models/LoginEvent');
+const ImpersonationLog = require('../models/ImpersonationLog');
+const { sendAccountDeletedEmail } = require('./emailServices');
+
+// Everything we hold about an aspirant, grouped by section. Each section
+// becomes its own file in the ZIP export
+const buildExport = async (userId) => {
+  const [user, shortlist, courses, sessions, loginEvents] = await Promise.all([
+    User.findById(userId),
+    Shortlist.findOne({ user: userId }).populate('courses.course', 'title'),
+    Course.find({
+      $or: [
+        { 'enrollments.user': userId },
+        { 'reviews.user': userId },
+        { 'reviews.votedBy.user': userId }
+      ]
+    })
+      .select('title institution enrollments batches reviews')
+      .populate('institution', 'name institutionProfile.institutionName')
+      .lean(),
+    Session.find({ user: userId }).sort('-createdAt').lean(),
+    LoginEvent.find({ user: userId }).sort('-createdAt').lean()
+  ]);
+
+  if (!user) return null;
+
+  const isMine = (id) => id && id.toString() === userId.toString();
+  const courseSummary = (course) => ({
+    id: course._id,
+    title: course.title,
+    institution: course.institution?.institutionProfile?.institutionName || course.institution?.name
+  });
+
+  const enrollments = [];
+  const reviews = [];
+  const reviewVotes = [];
+
+  courses.forEach(course => {
+    course.enrollments.filter(enrollment => isMine(enrollment.user)).forEach(enrollment => {
+      enrollments.push({
+        course: courseSummary(course),
+        batch: enrollment.batch
+          ? (course.batches || []).find(batch => batch._id.toString() === enrollment.batch.toString())?.name
+          : undefined,
+        enrolledAt: enrollment.enrolledAt,
+        paymentStatus: enrollment.paymentStatus,
+        amount: enrollment.amount,
+        couponCode: enrollment.couponCode,
+        discount: enrollment.discount,
+        totalAmount: enrollment.totalAmount,
+        installments: enrollment.installments
+      });
+    });
+
+    course.reviews.forEach(review => {
+      if (isMine(review.user)) {
+        reviews.push({
+          course: courseSummary(course),
+          courseRating: review.courseRating,
+          instituteRating: review.instituteRating,
+          facultyRating: review.facultyRating,
+          reviewText: review.reviewText,
+          verificationStatus: review.verificationStatus,
+          rejectionReason: review.rejectionReason,
+          helpfulVotes: review.helpfulVotes,
+          notHelpfulVotes: review.notHelpfulVotes,
+          createdAt: review.createdAt
+        });
+      }
+
+      (review.votedBy || []).filter(vote => isMine(vote.user)).forEach(vote => {
+        reviewVotes.push({ course: courseSummary(course), reviewId: review._id, vote: vote.vote });
+      });
+    });
+  });
+
+  return {
+    exportedAt: new Date(),
+    profile: {
+      name: user.name,
+      email: user.email,
+      phone: user.phone,
+      role: user.role,
+      isEmailVerified: user.isEmailVerified,
+      isPhoneVerified: user.isPhoneVerified,
+      twoFactorEnabled: !!user.twoFactor?.enabled,
+      aspirantProfile: user.aspirantProfile,
+      createdAt: user.createdAt,
+      lastLogin: user.lastLogin,
+      loginCount: user.loginCount,
+      deletionScheduledFor: user.deletionScheduledFor
+    },
+    shortlist: (shortlist?.courses || []).map(item => ({
+      course: item.course ? { id: item.course._id, title: item.course.title } : null,
+      notes: item.notes,
+      addedAt: item.addedAt
+    })),
+    enrollments,
+    reviews,
+    reviewVotes,
+    sessions: sessions.map(session => ({
+      ipAddress: session.ipAddress,
+      userAgent: session.userAgent,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      revokedAt: session.revokedAt
+    })),
+    loginActivity: loginEvents.map(event => ({
+      method: event.method,
+      outcome: event.outcome,
+      reason: event.reason,
+      ipAddress: event.ipAddress,
+      device: event.device,
+      createdAt: event.createdAt
+    }))
+  };
+};
+
+// Remove an aspirant's personal data. Reviews stay up without their author,
+// enrollments keep their amounts under a pseudonymous id so institution
+// earnings and payment records still add up, everything else is deleted
+const purgeAspirant = async (user) => {
+  const userId = user._id;
+
+  await Course.updateMany(
+    { 'reviews.user': userId },
+    { $set: { 'reviews.$[review].user': new mongoose.Types.ObjectId(), 'reviews.$[review].isAnonymized': true } },
+    { arrayFilters: [{ 'review.user': userId }] }
+  );
+
+  await Course.updateMany(
+    { 'reviews.votedBy.user': userId },
+    { $pull: { 'reviews.$[].votedBy': { user: userId } } }
+  );
+
+  await Course.updateMany(
+    { 'enrollments.user': userId },
+    { $set: { 'enrollments.$[enrollment].user': new mongoose.Types.ObjectId(), 'enrollments.$[enrollment].isPseudonymized': true } },
+    { arrayFilters: [{ 'enrollment.user': userId }] }
+  );
+
+  // Coupon usage still counts towards the coupon's limits
+  await CouponRedemption.updateMany(
+    { user: userId },
+    { $set: { user: new mongoose.Types.ObjectId() } }
+  );
+
+  const shortlist = await Shortlist.findOne({ user: userId });
+  if (shortlist) {
+    await Course.updateMany(
+      { _id: { $in: shortlist.courses.map(item => item.course) }, shortlisted: { $gt: 0 } },
+      { $inc: { shortlisted: -1 } }
+    );
+    await shortlist.deleteOne();
+  }
+
+  await Session.deleteMany({ user: userId });
+  await LoginEvent.deleteMany({
+    $or: [{ user: userId }, { identifier: { $in: [user.email, user.phone].filter(Boolean) } }]
+  });
+  await OtpToken.deleteMany({
+    identifier: { $in: [user.email, user.phone, userId.toString()].filter(Boolean) }
+  });
+  // Admins' impersonation audit trail is kept, without pointing at the account
+  await ImpersonationLog.updateMany(
+    { user: userId },
+    { $set: { user: new mongoose.Types.ObjectId(), isPseudonymized: true } }
+  );
+  await User.deleteOne({ _id: userId });
+};
+
+// Purge aspirants whose deletion grace period has passed. Returns how many
+// accounts were purged
+const purgeDueAccounts = async (limit = 50) => {
+  const users = await User.find({
+    role: 'aspirant',
+    deletionScheduledFor: { $lte: new Date() }
+  }).limit(limit);
+
+  let purged = 0;
+  for (const user of users) {
+    try {
+      await purgeAspirant(user);
+      purged++;
+      await sendAccountDeletedEmail(user.email, user.name);
+    } catch (error) {
+      console.error(`Error purging account ${user._id}:`, error);
+    }
+  }
+
+  return purged;
+};
+
+module.exports = {
+  buildExport,
+  purgeAspirant,
+  purgeDueAccounts
+};
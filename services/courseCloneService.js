@@ -0,0 +1,75 @@
+// services/courseCloneService.js - Copying a course as a new edition
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Course content, pricing and settings carried over to a clone. Enrollments,
+// reviews, ratings, counters, promotion and publication start afresh
+const cloneableCourseFields = [
+  'description', 'price', 'originalPrice', 'discount', 'duration',
+  'courseCategory', 'courseType', 'courseLanguages', 'city', 'state',
+  'address', 'coordinates', 'subjects', 'highlights', 'whatYouWillLearn',
+  'prerequisites', 'targetAudience', 'startDate', 'endDate',
+  'enrollmentDeadline', 'syllabusDetails', 'schedule', 'weeklySchedule',
+  'modules', 'coverImage', 'galleryImages', 'tags', 'searchKeywords',
+  'deliveryType', 'maxStudents', 'faculty', 'pricingTiers', 'batches',
+  'installmentPlans'
+];
+
+// Plain copy of a value without subdocument ids or timestamps, so the clone
+// gets its own
+const copyWithoutIds = (value) => {
+  if (Array.isArray(value)) return value.map(copyWithoutIds);
+  if (value && value.constructor === Object) {
+    return Object.fromEntries(Object.entries(value)
+      .filter(([key]) => !['_id', 'createdAt', 'updatedAt'].includes(key))
+      .map(([key, item]) => [key, copyWithoutIds(item)]));
+  }
+  return value;
+};
+
+// Move the dates of a cloned course `days` days later (earlier when negative)
+const shiftCourseDates = (data, days) => {
+  const shift = (value) => value ? new Date(new Date(value).getTime() + days * DAY_MS) : value;
+  // Schedule entries hold "YYYY-MM-DD" strings. The field is free text, so
+  // anything else (legacy entries like "Every Monday") is copied unchanged
+  const shiftDay = (value) => {
+    const day = /^\d{4}-\d{2}-\d{2}$/.test(value) && new Date(`${value}T00:00:00Z`);
+    return day && !isNaN(day) ? shift(day).toISOString().slice(0, 10) : value;
+  };
+  const shiftSchedule = (schedule = []) => schedule.forEach(item => { item.date = shiftDay(item.date); });
+
+  ['startDate', 'endDate', 'enrollmentDeadline'].forEach(field => {
+    data[field] = shift(data[field]);
+  });
+  shiftSchedule(data.schedule);
+
+  (data.batches || []).forEach(batch => {
+    ['startDate', 'endDate', 'enrollmentDeadline'].forEach(field => {
+      batch[field] = shift(batch[field]);
+    });
+    shiftSchedule(batch.schedule);
+  });
+
+  (data.pricingTiers || []).forEach(tier => {
+    tier.startsAt = shift(tier.startsAt);
+    tier.endsAt = shift(tier.endsAt);
+  });
+};
+
+// Fields for a new course copied from `source`, with every date moved
+// `days` days
+const getCloneData = (source, days = 0) => {
+  const sourceData = source.toObject();
+  const data = {};
+
+  cloneableCourseFields.forEach(field => {
+    if (sourceData[field] !== undefined) data[field] = copyWithoutIds(sourceData[field]);
+  });
+
+  if (days !== 0) shiftCourseDates(data, days);
+
+  return data;
+};
+
+module.exports = {
+  getCloneData
+};
@@ -0,0 +1,369 @@
+// services/courseImportService.js - Bulk course import and export as CSV or Excel
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+const Course = require('../models/Course');
+const CourseRevision = require('../models/CourseRevision');
+const AdminSettings = require('../models/AdminSettings');
+
+// Rows accepted in one import
+const MAX_IMPORT_ROWS = parseInt(process.env.COURSE_IMPORT_MAX_ROWS) || 500;
+
+// Spreadsheet columns, in order. `type` decides how cells are read and written:
+// list cells hold several values separated by semicolons
+const columns = [
+  { field: 'courseId', header: 'Course ID', type: 'id' },
+  { field: 'externalCode', header: 'External Code', type: 'string' },
+  { field: 'title', header: 'Title', type: 'string' },
+  { field: 'description', header: 'Description', type: 'string' },
+  { field: 'courseCategory', header: 'Category', type: 'string' },
+  { field: 'courseType', header: 'Course Type', type: 'list' },
+  { field: 'courseLanguages', header: 'Languages', type: 'list' },
+  { field: 'price', header: 'Price', type: 'number' },
+  { field: 'originalPrice', header: 'Original Price', type: 'number' },
+  { field: 'discount', header: 'Discount', type: 'number' },
+  { field: 'duration', header: 'Duration', type: 'string' },
+  { field: 'startDate', header: 'Start Date', type: 'date' },
+  { field: 'endDate', header: 'End Date', type: 'date' },
+  { field: 'enrollmentDeadline', header: 'Enrollment Deadline', type: 'date' },
+  { field: 'maxStudents', header: 'Max Students', type: 'number' },
+  { field: 'deliveryType', header: 'Delivery Type', type: 'string' },
+  { field: 'city', header: 'City', type: 'string' },
+  { field: 'state', header: 'State', type: 'string' },
+  { field: 'address', header: 'Address', type: 'string' },
+  { field: 'subjects', header: 'Subjects', type: 'list' },
+  { field: 'highlights', header: 'Highlights', type: 'list' },
+  { field: 'whatYouWillLearn', header: 'What You Will Learn', type: 'list' },
+  { field: 'prerequisites', header: 'Prerequisites', type: 'list' },
+  { field: 'targetAudience', header: 'Target Audience', type: 'string' },
+  { field: 'tags', header: 'Tags', type: 'list' }
+];
+
+// Allowed values, checked before the schema so errors can list them
+const enumFields = {
+  courseCategory: Course.schema.path('courseCategory').enumValues,
+  courseType: Course.schema.path('courseType').caster.enumValues,
+  courseLanguages: Course.schema.path('courseLanguages').caster.enumValues,
+  deliveryType: Course.schema.path('deliveryType').enumValues
+};
+
+const exampleRow = {
+  externalCode: 'GS-FOUND-2026',
+  title: 'GS Foundation 2026',
+  description: 'Complete prelims and mains preparation for UPSC CSE 2026',
+  courseCategory: 'foundation',
+  courseType: ['offline', 'hybrid'],
+  courseLanguages: ['english', 'hindi'],
+  price: 120000,
+  originalPrice: 150000,
+  discount: 20,
+  duration: '12 months',
+  startDate: new Date('2026-06-01'),
+  endDate: new Date('2027-05-31'),
+  maxStudents: 120,
+  deliveryType: 'live',
+  city: 'New Delhi',
+  state: 'Delhi',
+  subjects: ['Polity', 'History', 'Geography'],
+  highlights: ['Weekly tests', 'Mentorship'],
+  tags: ['upsc', 'foundation']
+};
+
+// Plain value of an ExcelJS cell (rich text, hyperlinks and formulas are
+// objects)
+const getCellValue = (value) => {
+  if (value === null || value === undefined) return undefined;
+  if (value instanceof Date) return value;
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if ('result' in value) return getCellValue(value.result);
+    if ('text' in value) return getCellValue(value.text);
+    return undefined;
+  }
+  if (typeof value === 'string') {
+    const trimmed = value.trim();
+    return trimmed === '' ? undefined : trimmed;
+  }
+  return value;
+};
+
+// Read one cell as its column's type. Returns { value } or { error }
+const readCell = (column, raw) => {
+  if (raw === undefined) return {};
+
+  switch (column.type) {
+    case 'number': {
+      const value = Number(raw);
+      return isNaN(value) ? { error: `${column.header} must be a number` } : { value };
+    }
+    case 'date': {
+      const value = raw instanceof Date ? raw : new Date(String(raw));
+      return isNaN(value) ? { error: `${column.header} must be a date (YYYY-MM-DD)` } : { value };
+    }
+    case 'list': {
+      // Enum lists also accept commas, free text only semicolons
+      const separator = enumFields[column.field] ? /[;,]/ : /;/;
+      const value = String(raw).split(separator).map(item => item.trim()).filter(Boolean);
+      return { value: enumFields[column.field] ? value.map(item => item.toLowerCase()) : value };
+    }
+    default:
+      return { value: enumFields[column.field] ? String(raw).toLowerCase() : String(raw) };
+  }
+};
+
+// Rows of an uploaded CSV or XLSX file as [{ row, values }], `values` keyed
+// by field. Throws when the file cannot be read or has no known columns
+const readRows = async (buffer, format) => {
+  const workbook = new ExcelJS.Workbook();
+  let worksheet;
+
+  if (format === 'csv') {
+    // Keep cells as text - codes and ids must not be turned into numbers
+    worksheet = await workbook.csv.read(Readable.from([buffer.toString('utf8')]), { map: value => value });
+  } else {
+    await workbook.xlsx.load(buffer);
+    worksheet = workbook.worksheets[0];
+  }
+
+  if (!worksheet || worksheet.rowCount < 1) {
+    throw new Error('The file is empty');
+  }
+
+  // Map columns by header, so they can come in any order
+  const fieldsByColumn = {};
+  worksheet.getRow(1).eachCell((cell, columnNumber) => {
+    const header = String(getCellValue(cell.value) || '').toLowerCase();
+    const column = columns.find(item => item.header.toLowerCase() === header || item.field.toLowerCase() === header);
+    if (column) fieldsByColumn[columnNumber] = column.field;
+  });
+
+  if (!Object.values(fieldsByColumn).includes('externalCode')) {
+    throw new Error('The file has no External Code column. Start from the import template');
+  }
+
+  const rows = [];
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+
+    const values = {};
+    row.eachCell((cell, columnNumber) => {
+      const field = fieldsByColumn[columnNumber];
+      if (field) values[field] = getCellValue(cell.value);
+    });
+
+    if (Object.values(values).some(value => value !== undefined)) {
+      rows.push({ row: rowNumber, values });
+    }
+  });
+
+  return rows;
+};
+
+// Check every row and prepare the change it makes, without saving anything.
+// Existing courses are matched by external code, or by Course ID (from an
+// export) for courses that do not have a code yet. Returns
+// [{ row, externalCode, action: 'create' | 'update', course, before, errors, paths }]
+// where `course` is the new or updated (unsaved) document and `before` a
+// revision snapshot of an updated course, whose changed fields are `paths`
+const validateRows = async (rows, institutionId) => {
+  const existing = await Course.find({ institution: institutionId });
+  const byCode = new Map(existing.filter(course => course.externalCode).map(course => [course.externalCode, course]));
+  const byId = new Map(existing.map(course => [course._id.toString(), course]));
+  const seenCodes = new Set();
+
+  const results = rows.map(({ row, values }) => {
+    const errors = [];
+    const data = {};
+
+    columns.forEach(column => {
+      if (column.type === 'id') return;
+      const { value, error } = readCell(column, values[column.field]);
+      if (error) errors.push({ field: column.field, message: error });
+      else if (value !== undefined) data[column.field] = value;
+    });
+
+    const externalCode = data.externalCode;
+    if (!externalCode) {
+      errors.push({ field: 'externalCode', message: 'External Code is required' });
+    } else if (seenCodes.has(externalCode)) {
+      errors.push({ field: 'externalCode', message: `External Code ${externalCode} appears more than once in the file` });
+    }
+    seenCodes.add(externalCode);
+
+    Object.keys(enumFields).forEach(field => {
+      const invalid = [].concat(data[field] ?? []).filter(value => !enumFields[field].includes(value));
+      if (invalid.length) {
+        errors.push({
+          field,
+          message: `${invalid.join(', ')} is not allowed. Use one of: ${enumFields[field].join(', ')}`
+        });
+      }
+    });
+
+    const courseId = values.courseId && String(values.courseId);
+    let course = externalCode && byCode.get(externalCode);
+    if (!course && courseId) {
+      course = byId.get(courseId);
+      if (!course) {
+        errors.push({ field: 'courseId', message: 'Course ID does not match any of your courses' });
+      } else if (course.externalCode) {
+        errors.push({ field: 'courseId', message: `This course already has the External Code ${course.externalCode}` });
+        course = null;
+      }
+    }
+
+    const action = course ? 'update' : 'create';
+    let before;
+    if (course) {
+      // Values before the import, for the revision history
+      before = CourseRevision.snapshot(course, [...Object.keys(data), 'isPublished', 'status']);
+      course.set(data);
+    } else {
+      course = new Course({ ...data, institution: institutionId, isPublished: false, status: 'draft' });
+    }
+
+    return { row, externalCode, action, course, before, errors, paths: Object.keys(data) };
+  });
+
+  // Schema rules (required fields, ranges, async validators...) not already
+  // reported above, so that saving the rows later should not fail
+  for (const result of results) {
+    try {
+      await result.course.validate(result.action === 'update' ? result.paths : undefined);
+    } catch (validationError) {
+      Object.entries(validationError.errors || {}).forEach(([path, error]) => {
+        const field = path.split('.')[0];
+        if (!result.errors.some(item => item.field === field)) {
+          result.errors.push({ field, message: error.message });
+        }
+      });
+    }
+  }
+
+  return results;
+};
+
+// Undo the rows applyRows already saved: new courses are deleted and updated
+// ones get their previous values back. Returns the rows that could not be
+// restored
+const rollBackRows = async (applied) => {
+  const failed = [];
+
+  for (const { row, action, course, before, reviewSubmittedAt } of applied.reverse()) {
+    try {
+      if (action === 'create') {
+        await Course.deleteOne({ _id: course._id });
+      } else {
+        const current = await Course.findById(course._id);
+        current.set(before);
+        if (reviewSubmittedAt !== undefined) current.reviewSubmittedAt = reviewSubmittedAt;
+        await current.save({ validateModifiedOnly: true });
+      }
+    } catch (error) {
+      console.error(`Error rolling back import row ${row}:`, error);
+      failed.push(row);
+    }
+  }
+
+  return failed;
+};
+
+// Save the courses prepared by validateRows. Updates to a live course that
+// touch reviewed fields send it back to admin review, as edits made through
+// the form do. An import is all or nothing: if a row fails to save (e.g. an
+// External Code taken by a concurrent import) the rows already saved are
+// rolled back and the error is rethrown with `row`, `appliedRows` and
+// `notRolledBack` (rows left applied because restoring them failed).
+// Resolves to { created, updated, unchanged }
+const applyRows = async (results, user) => {
+  const reviewFields = await AdminSettings.getCourseReviewFields();
+  const counts = { created: 0, updated: 0, unchanged: 0 };
+  const applied = [];
+
+  for (const result of results) {
+    const { row, action, course } = result;
+
+    try {
+      if (action === 'create') {
+        await course.save();
+        applied.push(result);
+        counts.created++;
+        continue;
+      }
+
+      if (!course.isModified()) {
+        counts.unchanged++;
+        continue;
+      }
+
+      if (course.status === 'published' && reviewFields.some(field => course.isModified(field))) {
+        result.reviewSubmittedAt = course.reviewSubmittedAt;
+        course.submitForReview();
+      }
+
+      await course.save({ validateModifiedOnly: true });
+      applied.push(result);
+      counts.updated++;
+    } catch (error) {
+      error.row = row;
+      error.appliedRows = applied.map(item => item.row);
+      error.notRolledBack = await rollBackRows(applied);
+      throw error;
+    }
+  }
+
+  // Revisions are only recorded once every row is in
+  for (const { action, course, before } of applied) {
+    if (action === 'update') {
+      await CourseRevision.record(course, before, { user, note: 'Bulk import' });
+    }
+  }
+
+  return counts;
+};
+
+// Workbook with the import columns and one row per course (or the example
+// row for the template). Templates get a second sheet listing allowed values
+const buildWorkbook = (courses, { template = false } = {}) => {
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet('Courses');
+
+  worksheet.columns = columns.map(column => ({ header: column.header, key: column.field, width: 20 }));
+
+  const toRow = (course) => Object.fromEntries(columns.map(column => {
+    const value = column.field === 'courseId' ? course._id?.toString() : course[column.field];
+    if (column.type === 'list') return [column.field, (value || []).join('; ')];
+    if (column.type === 'date') return [column.field, value ? new Date(value).toISOString().slice(0, 10) : undefined];
+    return [column.field, value];
+  }));
+
+  (template ? [exampleRow] : courses).forEach(course => worksheet.addRow(toRow(course)));
+
+  if (template) {
+    const allowed = workbook.addWorksheet('Allowed Values');
+    allowed.addRow(['Column', 'Allowed values']);
+    Object.keys(enumFields).forEach(field => {
+      allowed.addRow([columns.find(column => column.field === field).header, enumFields[field].join(', ')]);
+    });
+    allowed.addRow([]);
+    allowed.addRow(['Lists', 'Separate several values with semicolons, e.g. "Polity; History"']);
+    allowed.addRow(['Dates', 'YYYY-MM-DD']);
+    allowed.addRow(['External Code', 'Your own unique code for the course. Rows with a code you have used before update that course']);
+    allowed.addRow(['Course ID', 'Filled in by exports - leave it empty for new courses']);
+  }
+
+  return workbook;
+};
+
+// File contents of a workbook as CSV (first sheet only) or XLSX
+const writeWorkbook = (workbook, format) => {
+  return format === 'csv' ? workbook.csv.writeBuffer() : workbook.xlsx.writeBuffer();
+};
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  readRows,
+  validateRows,
+  applyRows,
+  buildWorkbook,
+  writeWorkbook
+};
@@ -0,0 +1,40 @@
+// services/documentStorageService.js - Private documents stored in MongoDB (GridFS)
+const mongoose = require('mongoose');
+
+// Serverless instances have no persistent disk, so private uploads that must
+// outlive the request (verification documents) are kept in the database
+const BUCKET_NAME = 'privateDocuments';
+
+const getBucket = () => new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: BUCKET_NAME });
+
+// Store a file held in memory. Resolves to its file id
+const saveDocument = (buffer, { filename, contentType, metadata }) => {
+  return new Promise((resolve, reject) => {
+    const stream = getBucket().openUploadStream(filename, { contentType, metadata });
+
+    stream.once('error', reject);
+    stream.once('finish', () => resolve(stream.id));
+    stream.end(buffer);
+  });
+};
+
+// Readable stream of a stored file. Emits an error if the file is missing
+const openDocument = (fileId) => getBucket().openDownloadStream(new mongoose.Types.ObjectId(fileId));
+
+// Delete a stored file. Never throws - an orphaned file is not worth failing
+// the request over
+const removeDocument = async (fileId) => {
+  if (!fileId) return;
+
+  try {
+    await getBucket().delete(new mongoose.Types.ObjectId(fileId));
+  } catch (error) {
+    console.error(`Error removing document ${fileId}:`, error.message);
+  }
+};
+
+module.exports = {
+  saveDocument,
+  openDocument,
+  removeDocument
+};
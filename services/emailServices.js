@@ -9,13 +9,8 @@ const transporter = nodemailer.createTransport({
   }
 });
 
-// Send OTP email
-const sendOTPEmail = async (email, otp, name) => {
-  const mailOptions = {
-    from: `"civilshq.com" <${process.env.EMAIL_USER}>`,
-    to: email,
-    subject: 'Email Verification - Civils HQ',
-    html:`
+// Wrap email content in the Civils HQ layout
+const renderEmail = (heading, content) => `
      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
   <!-- Header -->
   <div style="background: linear-gradient(135deg, #0f172a, #1e293b); padding: 20px; text-align: center;">
@@ -24,17 +19,8 @@ const sendOTPEmail = async (email, otp, name) => {
 
   <!-- Body -->
   <div style="padding: 30px; background-color: #f8fafc;">
-    <h2 style="color: #0f172a; margin-bottom: 20px;">Email Verification</h2>
-    <p style="color: #334155; font-size: 16px;">Hi ${name},</p>
-    <p style="color: #334155; font-size: 16px;">Thank you for registering with CivilsHQ. Please use the following OTP to verify your email:</p>
-
-    <!-- OTP Box -->
-    <div style="background-color: #ffffff; padding: 20px; text-align: center; margin: 30px 0; border-radius: 10px; border: 2px solid #e2e8f0;">
-      <h1 style="color: #8b5cf6; margin: 0; font-size: 36px; letter-spacing: 5px;">${otp}</h1>
-    </div>
-
-    <p style="color: #475569; font-size: 14px;">This OTP is valid for 10 minutes.</p>
-    <p style="color: #475569; font-size: 14px;">If you didn't request this, please ignore this email.</p>
+    <h2 style="color: #0f172a; margin-bottom: 20px;">${heading}</h2>
+    ${content}
 
     <hr style="border: none; border-top: 1px solid #e2e8f0; margin: 30px 0;">
 
@@ -49,7 +35,26 @@ const sendOTPEmail = async (email, otp, name) => {
   </div>
 </div>
 
-    `
+    `;
+
+// Escape user-supplied text (names, notes) before putting it into email HTML
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Send an email, resolving to true/false instead of throwing
+const sendEmail = async (to, subject, html) => {
+  // Accounts created with a phone number may have no email address
+  if (!to) return false;
+  
+  const mailOptions = {
+    from: `"civilshq.com" <${process.env.EMAIL_USER}>`,
+    to,
+    subject,
+    html
   };
 
   try {
@@ -61,4 +66,252 @@ const sendOTPEmail = async (email, otp, name) => {
   }
 };
 
-module.exports = { sendOTPEmail };
\ No newline at end of file
+// Send OTP email
+const sendOTPEmail = async (email, otp, name) => {
+  return sendEmail(email, 'Email Verification - Civils HQ', renderEmail('Email Verification', `
+    <p style="color: #334155; font-size: 16px;">Hi ${escapeHtml(name)},</p>
+    <p style="color: #334155; font-size: 16px;">Thank you for registering with CivilsHQ. Please use the following OTP to verify your email:</p>
+
+    <!-- OTP Box -->
+    <div style="background-color: #ffffff; padding: 20px; text-align: center; margin: 30px 0; border-radius: 10px; border: 2px solid #e2e8f0;">
+      <h1 style="color: #8b5cf6; margin: 0; font-size: 36px; letter-spacing: 5px;">${otp}</h1>
+    </div>
+
+    <p style="color: #475569; font-size: 14px;">This OTP is valid for 10 minutes.</p>
+    <p style="color: #475569; font-size: 14px;">If you didn't request this, please ignore this email.</p>
+  `));
+};
+
+// Send the OTP confirming a new email address
+const sendEmailChangeOTPEmail = async (email, otp, name) => {
+  return sendEmail(email, 'Confirm your new email - Civils HQ', renderEmail('Confirm your new email', `
+    <p style="color: #334155; font-size: 16px;">Hi ${escapeHtml(name)},</p>
+    <p style="color: #334155; font-size: 16px;">You asked to use this address for your CivilsHQ account. Please use the following OTP to confirm it:</p>
+
+    <!-- OTP Box -->
+    <div style="background-color: #ffffff; padding: 20px; text-align: center; margin: 30px 0; border-radius: 10px; border: 2px solid #e2e8f0;">
+      <h1 style="color: #8b5cf6; margin: 0; font-size: 36px; letter-spacing: 5px;">${otp}</h1>
+    </div>
+
+    <p style="color: #475569; font-size: 14px;">This OTP is valid for 10 minutes.</p>
+    <p style="color: #475569; font-size: 14px;">If you didn't request this, please ignore this email. No account will be linked to this address.</p>
+  `));
+};
+
+// Tell the previous address that the account email was changed
+const sendEmailChangedEmail = async (email, name, newEmail) => {
+  return sendEmail(email, 'Your email address was changed - Civils HQ', renderEmail('Email address changed', `
+    <p style="color: #334155; font-size: 16px;">Hi ${escapeHtml(name)},</p>
+    <p style="color: #334155; font-size: 16px;">The email address for your CivilsHQ account was changed to <strong>${escapeHtml(newEmail)}</strong>. This address will no longer receive account emails.</p>
+    <p style="color: #475569; font-size: 14px;">If this was you, no further action is needed.</p>
+    <p style="color: #475569; font-size: 14px;">If you did not make this change, please contact support immediately.</p>
+  `));
+};
+
+// Send password reset link
+const sendPasswordResetEmail = async (email, name, resetUrl, expiresInMinutes) => {
+  return sendEmail(email, 'Password Reset - Civils HQ', renderEmail('Reset your password', `
+    <p style="color: #334155; font-size: 16px;">Hi ${escapeHtml(name)},</p>
+    <p style="color: #334155; font-size: 16px;">We received a request to reset the password for your CivilsHQ account. Click the button below to choose a new password:</p>
+
+    <!-- Reset Button -->
+    <div style="text-align: center; margin: 30px 0;">
+      <a href="${resetUrl}" style="background-color: #8b5cf6; color: #ffffff; padding: 14px 28px; border-radius: 8px; text-decoration: none; font-size: 16px; display: inline-block;">Reset Password</a>
+    </div>
+
+    <p style="color: #475569; font-size: 14px;">Or copy this link into your browser:<br><a href="${resetUrl}" style="color: #8b5cf6; word-break: break-all;">${resetUrl}</a></p>
+    <p style="color: #475569; font-size: 14px;">This link is valid for ${expiresInMinutes} minutes and can only be used once.</p>
+    <p style="color: #475569; font-size: 14px;">If you didn't request this, please ignore this email. Your password will not change.</p>
+  `));
+};
+
+// Confirm a password change to the account owner
+const sendPasswordChangedEmail = async (email, name) => {
+  return sendEmail(email, 'Your password was changed - Civils HQ', renderEmail('Password changed', `
+    <p style="color: #334155; font-size: 16px;">Hi ${escapeHtml(name)},</p>
+    <p style="color: #334155; font-size: 16px;">The password for your CivilsHQ account was just changed and all devices were signed out.</p>
+    <p style="color: #475569; font-size: 14px;">If this was you, no further action is needed.</p>
+    <p style="color: #475569; font-size: 14px;">If you did not make this change, please reset your password immediately and contact support.</p>
+  `));
+};
+
+// Invite someone to join with a role; the link accepts the invitation.
+// Without an organizationName the invitation is to the platform itself
+const sendInvitationEmail = async (email, { inviterName, organizationName, roleLabel, acceptUrl, expiresAt }) => {
+  const subject = organizationName
+    ? `You're invited to join ${organizationName} on Civils HQ`
+    : `You're invited to join Civils HQ`;
+  const target = organizationName ? `<strong>${escapeHtml(organizationName)}</strong> on CivilsHQ` : '<strong>CivilsHQ</strong>';
+
+  return sendEmail(email, subject, renderEmail('You have been invited', `
+    <p style="color: #334155; font-size: 16px;">Hi,</p>
+    <p style="color: #334155; font-size: 16px;">${escapeHtml(inviterName)} has invited you to join ${target} as <strong>${roleLabel}</strong>.</p>
+
+    <!-- Accept Button -->
+    <div style="text-align: center; margin: 30px 0;">
+      <a href="${acceptUrl}" style="background-color: #8b5cf6; color: #ffffff; padding: 14px 28px; border-radius: 8px; text-decoration: none; font-size: 16px; display: inline-block;">Accept Invitation</a>
+    </div>
+
+    <p style="color: #475569; font-size: 14px;">Or copy this link into your browser:<br><a href="${acceptUrl}" style="color: #8b5cf6; word-break: break-all;">${acceptUrl}</a></p>
+    <p style="color: #475569; font-size: 14px;">This invitation expires on ${new Date(expiresAt).toDateString()}.</p>
+    <p style="color: #475569; font-size: 14px;">If you weren't expecting this, you can ignore this email.</p>
+  `));
+};
+
+// Confirm an account deletion request and when it takes effect
+const sendAccountDeletionScheduledEmail = async (email, name, scheduledFor) => {
+  return sendEmail(email, 'Your account is scheduled for deletion - Civils HQ', renderEmail('Account deletion requested', `
+    <p style="color: #334155; font-size: 16px;">Hi ${escapeHtml(name)},</p>
+    <p style="color: #334155; font-size: 16px;">We received a request to delete your CivilsHQ account. Your account and personal data will be permanently deleted on <strong>${new Date(scheduledFor).toDateString()}</strong>.</p>
+    <p style="color: #475569; font-size: 14px;">Changed your mind? Log in and cancel the deletion from your account settings before that date.</p>
+    <p style="color: #475569; font-size: 14px;">If you did not request this, log in, cancel the deletion and change your password immediately.</p>
+  `));
+};
+
+// Final notice once an account has been purged
+const sendAccountDeletedEmail = async (email, name) => {
+  return sendEmail(email, 'Your account has been deleted - Civils HQ', renderEmail('Account deleted', `
+    <p style="color: #334155; font-size: 16px;">Hi ${escapeHtml(name)},</p>
+    <p style="color: #334155; font-size: 16px;">Your CivilsHQ account and personal data have been deleted as you requested.</p>
+    <p style="color: #475569; font-size: 14px;">Your reviews remain visible without your name, and payment records are kept without identifying you as required for accounting.</p>
+  `));
+};
+
+const documentLabels = {
+  registration_certificate: 'Registration certificate',
+  gst_certificate: 'GST certificate',
+  address_proof: 'Address proof',
+  owner_id: 'Owner ID'
+};
+
+// Institution verification - documents received and queued for review
+const sendVerificationSubmittedEmail = async (email, institutionName) => {
+  return sendEmail(email, 'Verification documents received - Civils HQ', renderEmail('Documents received', `
+    <p style="color: #334155; font-size: 16px;">Hi ${escapeHtml(institutionName)},</p>
+    <p style="color: #334155; font-size: 16px;">We have received your verification documents. Our team will review them and get back to you, usually within 2 working days.</p>
+    <p style="color: #475569; font-size: 14px;">You can follow the status of your verification from your dashboard.</p>
+  `));
+};
+
+// Institution verification - some documents need to be replaced. `documents`
+// is a list of { type, note }
+const sendVerificationChangesRequestedEmail = async (email, institutionName, { note, documents = [] }) => {
+  const items = documents
+    .map(document => `<li><strong>${documentLabels[document.type] || document.type}</strong>${document.note ? ` - ${escapeHtml(document.note)}` : ''}</li>`)
+    .join('');
+
+  return sendEmail(email, 'Action needed on your verification - Civils HQ', renderEmail('Changes requested', `
+    <p style="color: #334155; font-size: 16px;">Hi ${escapeHtml(institutionName)},</p>
+    <p style="color: #334155; font-size: 16px;">We reviewed your verification documents and need a few changes before we can verify your institution.</p>
+    ${note ? `<p style="color: #334155; font-size: 16px;">${escapeHtml(note)}</p>` : ''}
+    ${items ? `<ul style="color: #334155; font-size: 16px;">${items}</ul>` : ''}
+    <p style="color: #475569; font-size: 14px;">Log in, upload the corrected documents and resubmit your verification.</p>
+  `));
+};
+
+// Institution verification - approved
+const sendInstitutionVerifiedEmail = async (email, institutionName) => {
+  return sendEmail(email, 'Your institution is verified - Civils HQ', renderEmail('Institution verified', `
+    <p style="color: #334155; font-size: 16px;">Hi ${escapeHtml(institutionName)},</p>
+    <p style="color: #334155; font-size: 16px;">Your institution has been verified. You now have full access to your dashboard and can start publishing courses.</p>
+  `));
+};
+
+// Institution verification - rejected. The institution can still resubmit
+const sendInstitutionRejectedEmail = async (email, institutionName, note) => {
+  return sendEmail(email, 'Your verification was not approved - Civils HQ', renderEmail('Verification not approved', `
+    <p style="color: #334155; font-size: 16px;">Hi ${escapeHtml(institutionName)},</p>
+    <p style="color: #334155; font-size: 16px;">We could not verify your institution with the documents provided.</p>
+    ${note ? `<p style="color: #334155; font-size: 16px;"><strong>Reason:</strong> ${escapeHtml(note)}</p>` : ''}
+    <p style="color: #475569; font-size: 14px;">If you can address this, log in, update your documents and resubmit your verification.</p>
+  `));
+};
+
+// Held changes to an institution's identity details were approved
+const sendProfileChangesApprovedEmail = async (email, institutionName, fieldLabels) => {
+  return sendEmail(email, 'Your profile changes were approved - Civils HQ', renderEmail('Profile changes approved', `
+    <p style="color: #334155; font-size: 16px;">Hi ${escapeHtml(institutionName)},</p>
+    <p style="color: #334155; font-size: 16px;">Your changes to the following details have been approved and are now live on your profile:</p>
+    <ul style="color: #334155; font-size: 16px;">${fieldLabels.map(label => `<li>${escapeHtml(label)}</li>`).join('')}</ul>
+  `));
+};
+
+// Held changes to an institution's identity details were rejected
+const sendProfileChangesRejectedEmail = async (email, institutionName, fieldLabels, reason) => {
+  return sendEmail(email, 'Your profile changes were not approved - Civils HQ', renderEmail('Profile changes not approved', `
+    <p style="color: #334155; font-size: 16px;">Hi ${escapeHtml(institutionName)},</p>
+    <p style="color: #334155; font-size: 16px;">We could not approve your changes to the following details, so your profile keeps its current values:</p>
+    <ul style="color: #334155; font-size: 16px;">${fieldLabels.map(label => `<li>${escapeHtml(label)}</li>`).join('')}</ul>
+    ${reason ? `<p style="color: #334155; font-size: 16px;"><strong>Reason:</strong> ${escapeHtml(reason)}</p>` : ''}
+    <p style="color: #475569; font-size: 14px;">You can submit the changes again with supporting details from your profile settings.</p>
+  `));
+};
+
+// Admin course review - the course (or bundle, with kind: 'bundle') was
+// approved and is live, or the admin asked for changes before it can be
+// published
+const sendCourseReviewDecisionEmail = async (email, institutionName, { courseTitle, approved, note, kind = 'course' }) => {
+  const subject = approved
+    ? `${courseTitle} is now live - Civils HQ`
+    : `Changes requested for ${courseTitle} - Civils HQ`;
+  const decision = approved
+    ? 'has been approved and is now published.'
+    : 'needs a few changes before it can be published. Update it from your dashboard and publish it again to resubmit it for review.';
+
+  return sendEmail(email, subject, renderEmail(approved ? 'Course approved' : 'Changes requested', `
+    <p style="color: #334155; font-size: 16px;">Hi ${escapeHtml(institutionName)},</p>
+    <p style="color: #334155; font-size: 16px;">Your ${kind} <strong>${escapeHtml(courseTitle)}</strong> ${decision}</p>
+    ${note ? `<p style="color: #334155; font-size: 16px;"><strong>Reviewer's note:</strong> ${escapeHtml(note)}</p>` : ''}
+  `));
+};
+
+const formatAmount = (amount) => `₹${Number(amount).toLocaleString('en-IN')}`;
+
+// Installment plans - a payment is coming up
+const sendInstallmentReminderEmail = async (email, name, { courseTitle, amount, dueDate }) => {
+  return sendEmail(email, `Installment due soon for ${courseTitle} - Civils HQ`, renderEmail('Installment due soon', `
+    <p style="color: #334155; font-size: 16px;">Hi ${escapeHtml(name)},</p>
+    <p style="color: #334155; font-size: 16px;">Your installment of <strong>${formatAmount(amount)}</strong> for <strong>${escapeHtml(courseTitle)}</strong> is due on <strong>${new Date(dueDate).toDateString()}</strong>.</p>
+    <p style="color: #475569; font-size: 14px;">You can pay it from My Courses in your dashboard.</p>
+  `));
+};
+
+// Installment plans - a payment has been missed
+const sendInstallmentOverdueEmail = async (email, name, { courseTitle, amount, dueDate, suspendOn }) => {
+  return sendEmail(email, `Installment overdue for ${courseTitle} - Civils HQ`, renderEmail('Installment overdue', `
+    <p style="color: #334155; font-size: 16px;">Hi ${escapeHtml(name)},</p>
+    <p style="color: #334155; font-size: 16px;">Your installment of <strong>${formatAmount(amount)}</strong> for <strong>${escapeHtml(courseTitle)}</strong> was due on <strong>${new Date(dueDate).toDateString()}</strong> and has not been paid yet.</p>
+    ${suspendOn ? `<p style="color: #334155; font-size: 16px;">Please pay it before <strong>${new Date(suspendOn).toDateString()}</strong> to keep your access to the course.</p>` : ''}
+    <p style="color: #475569; font-size: 14px;">If you have already paid, please contact the institution.</p>
+  `));
+};
+
+// Installment plans - access suspended after a missed payment
+const sendCourseAccessSuspendedEmail = async (email, name, { courseTitle }) => {
+  return sendEmail(email, `Access to ${courseTitle} suspended - Civils HQ`, renderEmail('Course access suspended', `
+    <p style="color: #334155; font-size: 16px;">Hi ${escapeHtml(name)},</p>
+    <p style="color: #334155; font-size: 16px;">Your access to <strong>${escapeHtml(courseTitle)}</strong> has been suspended because an installment is overdue.</p>
+    <p style="color: #475569; font-size: 14px;">Access is restored as soon as the overdue installment is paid.</p>
+  `));
+};
+
+module.exports = {
+  sendOTPEmail,
+  sendEmailChangeOTPEmail,
+  sendEmailChangedEmail,
+  sendPasswordResetEmail,
+  sendPasswordChangedEmail,
+  sendInvitationEmail,
+  sendAccountDeletionScheduledEmail,
+  sendAccountDeletedEmail,
+  sendVerificationSubmittedEmail,
+  sendVerificationChangesRequestedEmail,
+  sendInstitutionVerifiedEmail,
+  sendInstitutionRejectedEmail,
+  sendProfileChangesApprovedEmail,
+  sendProfileChangesRejectedEmail,
+  sendCourseReviewDecisionEmail,
+  sendInstallmentReminderEmail,
+  sendInstallmentOverdueEmail,
+  sendCourseAccessSuspendedEmail
+};
@@ -0,0 +1,136 @@
+// services/installmentService.js - Installment reminders, overdue tracking and access suspension
+const Course = require('../models/Course');
+const User = require('../models/User');
+const {
+  sendInstallmentReminderEmail,
+  sendInstallmentOverdueEmail,
+  sendCourseAccessSuspendedEmail
+} = require('./emailServices');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Days before the due date to send a reminder
+const REMINDER_DAYS_BEFORE = parseInt(process.env.INSTALLMENT_REMINDER_DAYS) || 3;
+// Days between reminders while an installment stays overdue
+const OVERDUE_REMINDER_INTERVAL_DAYS = parseInt(process.env.INSTALLMENT_OVERDUE_REMINDER_INTERVAL_DAYS) || 3;
+
+const isOpen = (installment) => ['pending', 'overdue'].includes(installment.status);
+
+// Walk one enrollment's open installments: remind ahead of due dates, mark
+// missed ones overdue (with a reminder every few days) and suspend access
+// once the plan's grace period has passed. `notify(type, installment)`
+// sends the emails; counts are added to `stats`
+const processEnrollment = async (enrollment, now, notify, stats) => {
+  for (const installment of enrollment.installments.filter(isOpen)) {
+    const dueDate = installment.dueDate;
+
+    if (dueDate > now) {
+      if (!installment.lastReminderAt && dueDate <= new Date(now.getTime() + REMINDER_DAYS_BEFORE * DAY)) {
+        await notify('reminder', installment);
+        installment.lastReminderAt = now;
+        installment.reminderCount += 1;
+        stats.reminders++;
+      }
+      continue;
+    }
+
+    const becameOverdue = installment.status === 'pending';
+    const reminderDue = !installment.lastReminderAt ||
+      installment.lastReminderAt <= new Date(now.getTime() - OVERDUE_REMINDER_INTERVAL_DAYS * DAY);
+
+    if (becameOverdue) {
+      installment.status = 'overdue';
+      stats.overdue++;
+    }
+
+    if (becameOverdue || reminderDue) {
+      await notify('overdue', installment);
+      installment.lastReminderAt = now;
+      installment.reminderCount += 1;
+      stats.reminders++;
+    }
+  }
+
+  if (enrollment.accessStatus === 'active' && enrollment.suspendAfterDays !== undefined && enrollment.suspendAfterDays !== null) {
+    const missed = enrollment.installments.some(installment =>
+      installment.status === 'overdue' &&
+      installment.dueDate <= new Date(now.getTime() - enrollment.suspendAfterDays * DAY)
+    );
+
+    if (missed) {
+      enrollment.accessStatus = 'suspended';
+      enrollment.accessSuspendedAt = now;
+      await notify('suspended');
+      stats.suspended++;
+    }
+  }
+};
+
+// Run the daily installment checks over every enrollment with an open
+// installment due soon. Returns { courses, reminders, overdue, suspended }
+const processDueInstallments = async () => {
+  const now = new Date();
+  const horizon = new Date(now.getTime() + REMINDER_DAYS_BEFORE * DAY);
+  const stats = { courses: 0, reminders: 0, overdue: 0, suspended: 0 };
+
+  const cursor = Course.find({
+    enrollments: {
+      $elemMatch: {
+        paymentStatus: 'completed',
+        installments: { $elemMatch: { status: { $in: ['pending', 'overdue'] }, dueDate: { $lte: horizon } } }
+      }
+    }
+  }).cursor();
+
+  for await (const course of cursor) {
+    try {
+      const enrollments = course.enrollments.filter(enrollment =>
+        enrollment.paymentStatus === 'completed' &&
+        !enrollment.isPseudonymized &&
+        (enrollment.installments || []).some(installment => isOpen(installment) && installment.dueDate <= horizon)
+      );
+
+      const users = await User.find({ _id: { $in: enrollments.map(enrollment => enrollment.user) } }).select('name email');
+      const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+      for (const enrollment of enrollments) {
+        const user = usersById.get(enrollment.user.toString());
+
+        const notify = async (type, installment) => {
+          if (!user) return;
+          const details = { courseTitle: course.title, amount: installment?.amount, dueDate: installment?.dueDate };
+
+          if (type === 'reminder') {
+            await sendInstallmentReminderEmail(user.email, user.name, details);
+          } else if (type === 'overdue') {
+            // Warn about the suspension date while it is still ahead
+            const suspendOn = enrollment.suspendAfterDays !== undefined && enrollment.suspendAfterDays !== null
+              ? new Date(installment.dueDate.getTime() + enrollment.suspendAfterDays * DAY)
+              : null;
+            await sendInstallmentOverdueEmail(user.email, user.name, {
+              ...details,
+              suspendOn: enrollment.accessStatus === 'active' && suspendOn > now ? suspendOn : null
+            });
+          } else {
+            await sendCourseAccessSuspendedEmail(user.email, user.name, details);
+          }
+        };
+
+        await processEnrollment(enrollment, now, notify, stats);
+      }
+
+      if (course.isModified()) {
+        await course.save({ validateModifiedOnly: true });
+        stats.courses++;
+      }
+    } catch (error) {
+      console.error(`Error processing installments for course ${course._id}:`, error);
+    }
+  }
+
+  return stats;
+};
+
+module.exports = {
+  processDueInstallments
+};
@@ -0,0 +1,87 @@
+// services/pricingService.js - Checkout price of a course, with coupon discounts
+const Course = require('../models/Course');
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+
+// Price the user would pay for `course` (or one of its batches) with an
+// optional coupon code. An unusable code does not fail the quote: it comes
+// back without a discount and with `couponError` saying why
+const getPriceQuote = async (course, { batchId, couponCode, userId } = {}) => {
+  const basePrice = course.getPrice(batchId);
+  const tier = course.getActivePricingTier(batchId);
+  const quote = {
+    course: course._id,
+    batch: batchId || null,
+    basePrice,
+    pricingTier: tier ? { id: tier._id, name: tier.name, endsAt: tier.endsAt, maxSeats: tier.maxSeats } : null,
+    discount: 0,
+    finalAmount: basePrice,
+    coupon: null
+  };
+
+  if (!couponCode) return quote;
+
+  const coupon = await Coupon.findByCode(couponCode);
+  const couponError = coupon
+    ? coupon.getRejectionReason(course, await CouponRedemption.countForUser(coupon._id, userId))
+    : 'Invalid coupon code';
+
+  if (couponError) {
+    return { ...quote, couponError };
+  }
+
+  const discount = coupon.getDiscount(basePrice);
+
+  return {
+    ...quote,
+    discount,
+    finalAmount: basePrice - discount,
+    coupon: {
+      id: coupon._id,
+      code: coupon.code,
+      discountType: coupon.discountType,
+      value: coupon.value
+    }
+  };
+};
+
+// Bring the stored effectivePrice of courses up to date as pricing tier
+// windows open and close. Returns how many courses changed
+const refreshEffectivePrices = async () => {
+  const now = new Date();
+  const operations = [];
+
+  const cursor = Course.find({ 'pricingTiers.0': { $exists: true } })
+    .select('price pricingTiers currentEnrollments effectivePrice')
+    .cursor();
+
+  for await (const course of cursor) {
+    const price = course.getPrice(null, now);
+    if (price !== course.effectivePrice) {
+      operations.push({
+        updateOne: { filter: { _id: course._id }, update: { $set: { effectivePrice: price } } }
+      });
+    }
+  }
+
+  if (operations.length > 0) {
+    await Course.bulkWrite(operations);
+  }
+
+  // Courses saved before effectivePrice existed, and courses whose tiers
+  // were all removed
+  const { modifiedCount } = await Course.updateMany(
+    {
+      'pricingTiers.0': { $exists: false },
+      $expr: { $ne: ['$effectivePrice', '$price'] }
+    },
+    [{ $set: { effectivePrice: '$price' } }]
+  );
+
+  return operations.length + modifiedCount;
+};
+
+module.exports = {
+  getPriceQuote,
+  refreshEffectivePrices
+};
@@ -0,0 +1,216 @@
+// services/recommendationService.js - Course recommendations from aspirant preferences and activity
+const User = require('../models/User');
+const Course = require('../models/Course');
+const Shortlist = require('../models/Shortlist');
+
+// Matching courses scored per request - the best of them are returned
+const CANDIDATE_POOL_SIZE = 100;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const exactMatch = (value) => new RegExp(`^${escapeRegex(value)}$`, 'i');
+
+// Course categories that suit how far away the exam is, and whether this is
+// a repeat attempt
+const getStageCategories = ({ targetExamYear, attemptNumber }) => {
+  const categories = [];
+
+  if (targetExamYear) {
+    const yearsLeft = targetExamYear - new Date().getFullYear();
+    if (yearsLeft >= 2) {
+      categories.push('foundation', 'prelims-cum-mains');
+    } else if (yearsLeft === 1) {
+      categories.push('prelims-cum-mains', 'prelims', 'mains');
+    } else {
+      categories.push('prelims', 'test-series', 'mains', 'interview');
+    }
+  }
+
+  if (attemptNumber > 1) {
+    categories.push('test-series', 'mains');
+  }
+
+  return [...new Set(categories)];
+};
+
+// What we know about the user: stated preferences plus the courses they have
+// shortlisted or enrolled in
+const getSignals = async (userId) => {
+  const [user, shortlist, enrolledCourses] = await Promise.all([
+    User.findById(userId).select('aspirantProfile'),
+    Shortlist.findOne({ user: userId }).populate('courses.course', 'courseCategory tags'),
+    Course.find({
+      'enrollments.user': userId,
+      'enrollments.paymentStatus': 'completed'
+    }).select('courseCategory tags')
+  ]);
+
+  const profile = user?.aspirantProfile || {};
+  const history = [
+    ...(shortlist?.courses.map(item => item.course).filter(Boolean) || []),
+    ...enrolledCourses
+  ];
+
+  return {
+    excludeIds: history.map(course => course._id),
+    stageCategories: getStageCategories(profile),
+    languages: profile.preferredLanguages || [],
+    cities: profile.preferredCities || [],
+    studyMode: profile.studyMode,
+    budget: profile.budget || {},
+    optionalSubject: profile.optionalSubject,
+    historyCategories: [...new Set(history.map(course => course.courseCategory).filter(Boolean))],
+    historyTags: [...new Set(history.flatMap(course => course.tags || []))]
+  };
+};
+
+// Query clauses for courses matching at least one signal
+const getMatchClauses = (signals) => {
+  const clauses = [];
+
+  const categories = [...new Set([...signals.stageCategories, ...signals.historyCategories])];
+  if (categories.length) clauses.push({ courseCategory: { $in: categories } });
+  if (signals.historyTags.length) clauses.push({ tags: { $in: signals.historyTags } });
+  if (signals.languages.length) clauses.push({ courseLanguages: { $in: signals.languages } });
+  if (signals.cities.length) clauses.push({ city: { $in: signals.cities.map(exactMatch) } });
+  if (signals.studyMode) clauses.push({ courseType: signals.studyMode });
+  if (signals.budget.max !== undefined && signals.budget.max !== null) {
+    clauses.push({ effectivePrice: { $lte: signals.budget.max } });
+  }
+  if (signals.optionalSubject) {
+    const subject = new RegExp(escapeRegex(signals.optionalSubject), 'i');
+    clauses.push({ subjects: subject }, { tags: subject }, { title: subject });
+  }
+
+  return clauses;
+};
+
+// Score a course against the signals. Reasons are returned to the client so
+// it can explain each recommendation
+const scoreCourse = (course, signals) => {
+  let score = 0;
+  const reasons = [];
+  const inList = (list, value) => !!value && list.some(item => item.toLowerCase() === value.toLowerCase());
+
+  if (signals.stageCategories.includes(course.courseCategory)) {
+    score += 3;
+    reasons.push('exam_stage');
+  }
+
+  if (signals.languages.length) {
+    if ((course.courseLanguages || []).some(language => signals.languages.includes(language))) {
+      score += 3;
+      reasons.push('language');
+    } else {
+      score -= 2;
+    }
+  }
+
+  if (signals.studyMode) {
+    if ((course.courseType || []).includes(signals.studyMode)) {
+      score += 3;
+      reasons.push('study_mode');
+    } else {
+      score -= 2;
+    }
+  }
+
+  // Location only matters for courses attended in person
+  const inPerson = (course.courseType || []).some(type => type !== 'online');
+  if (signals.cities.length && inPerson) {
+    if (inList(signals.cities, course.city)) {
+      score += 2;
+      reasons.push('city');
+    } else if (signals.studyMode === 'offline') {
+      score -= 2;
+    }
+  }
+
+  const { min, max } = signals.budget;
+  const price = course.effectivePrice ?? course.price;
+  if (max !== undefined && max !== null) {
+    if (price <= max && (min === undefined || min === null || price >= min)) {
+      score += 3;
+      reasons.push('budget');
+    } else if (price > max) {
+      score -= 3;
+    }
+  }
+
+  if (signals.optionalSubject) {
+    const subject = signals.optionalSubject.toLowerCase();
+    const mentions = [course.title, ...(course.subjects || []), ...(course.tags || [])]
+      .some(text => text && text.toLowerCase().includes(subject));
+    if (mentions) {
+      score += 3;
+      reasons.push('optional_subject');
+    }
+  }
+
+  if (signals.historyCategories.includes(course.courseCategory) ||
+      (course.tags || []).some(tag => signals.historyTags.includes(tag))) {
+    score += 1;
+    reasons.push('similar_to_shortlist');
+  }
+
+  // Ratings break ties between equally good matches
+  score += (course.averageRating?.overall || 0) / 5;
+
+  return { score, reasons };
+};
+
+// Top rated courses matching `query`, shaped like the other recommendations
+const getPopularCourses = async (query, limit) => {
+  const courses = await Course.find(query)
+    .select('-enrollments')
+    .sort({ 'averageRating.overall': -1, totalReviews: -1 })
+    .limit(limit)
+    .populate('institution', 'institutionName');
+
+  return courses.map(course => ({ ...course.toObject(), matchReasons: ['popular'] }));
+};
+
+// Recommended published courses for a user, best match first. Courses the
+// user has already shortlisted or enrolled in are left out. Without any
+// signals, or too few matches, top rated courses are returned
+const getRecommendations = async (userId, { limit = 10 } = {}) => {
+  const signals = await getSignals(userId);
+  const clauses = getMatchClauses(signals);
+
+  const baseQuery = {
+    _id: { $nin: signals.excludeIds },
+    isPublished: true,
+    status: 'published'
+  };
+
+  if (clauses.length === 0) {
+    return getPopularCourses(baseQuery, limit);
+  }
+
+  const candidates = await Course.find({ ...baseQuery, $or: clauses })
+    .select('-enrollments')
+    .sort({ 'averageRating.overall': -1, views: -1 })
+    .limit(CANDIDATE_POOL_SIZE)
+    .populate('institution', 'institutionName');
+
+  const recommendations = candidates
+    .map(course => ({ course, ...scoreCourse(course, signals) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ course, reasons }) => ({ ...course.toObject(), matchReasons: reasons }));
+
+  // Few matches - fill up with top rated courses
+  if (recommendations.length < limit) {
+    const popular = await getPopularCourses({
+      ...baseQuery,
+      _id: { $nin: [...signals.excludeIds, ...recommendations.map(course => course._id)] }
+    }, limit - recommendations.length);
+
+    recommendations.push(...popular);
+  }
+
+  return recommendations;
+};
+
+module.exports = {
+  getRecommendations
+};
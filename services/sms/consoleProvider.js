@@ -0,0 +1,6 @@
+// services/sms/consoleProvider.js - Development provider that logs messages
+const send = async ({ to, message }) => {
+  console.log(`[SMS] to ${to}: ${message}`);
+};
+
+module.exports = { send };
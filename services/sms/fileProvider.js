@@ -0,0 +1,13 @@
+// services/sms/fileProvider.js - Development provider that appends messages to a file
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const send = async ({ to, template, message }) => {
+  const outboxFile = process.env.SMS_OUTBOX_FILE || path.join(os.tmpdir(), 'civilshq-sms-outbox.log');
+  const entry = JSON.stringify({ sentAt: new Date().toISOString(), to, template, message });
+
+  await fs.promises.appendFile(outboxFile, `${entry}\n`);
+};
+
+module.exports = { send };
@@ -0,0 +1,58 @@
+// services/sms/index.js - Send text messages through the provider chosen by SMS_PROVIDER
+//
+// Providers:
+//   - console: prints messages to the server log (default outside production)
+//   - file:    appends messages to SMS_OUTBOX_FILE, handy for local testing
+//   - msg91:   MSG91 Flow API (default in production)
+// Each provider exports send({ to, template, variables, message }) and throws
+// on failure. `template` is a logical name; gateways that require registered
+// (DLT) templates map it to their own template id, the others use `message`.
+const consoleProvider = require('./consoleProvider');
+const fileProvider = require('./fileProvider');
+const msg91Provider = require('./msg91Provider');
+
+const providers = {
+  console: consoleProvider,
+  file: fileProvider,
+  msg91: msg91Provider
+};
+
+// Message text per template, used by providers that send free text
+const templates = {
+  otp: ({ otp }) => `${otp} is your CivilsHQ verification code. It is valid for 10 minutes. Do not share it with anyone.`
+};
+
+const getProvider = () => {
+  const name = process.env.SMS_PROVIDER || (process.env.NODE_ENV === 'production' ? 'msg91' : 'console');
+  const provider = providers[name];
+
+  if (!provider) {
+    throw new Error(`Unknown SMS_PROVIDER "${name}"`);
+  }
+  return provider;
+};
+
+// Send a templated message to an E.164 number. Resolves to true/false
+const sendSms = async (to, template, variables = {}) => {
+  try {
+    await getProvider().send({
+      to,
+      template,
+      variables,
+      message: templates[template](variables)
+    });
+    return true;
+  } catch (error) {
+    console.error('SMS sending error:', error);
+    return false;
+  }
+};
+
+const sendOTPSms = async (phone, otp) => {
+  return sendSms(phone, 'otp', { otp });
+};
+
+module.exports = {
+  sendSms,
+  sendOTPSms
+};
@@ -0,0 +1,43 @@
+// services/sms/msg91Provider.js - MSG91 gateway (https://msg91.com) via the Flow API
+//
+// Indian operators only deliver messages matching a registered DLT template,
+// so each logical template needs a MSG91 flow id, e.g. MSG91_OTP_TEMPLATE_ID.
+// Template variables are passed to the flow by name (##otp## in the flow text).
+const FLOW_URL = 'https://control.msg91.com/api/v5/flow';
+
+const templateIds = {
+  otp: process.env.MSG91_OTP_TEMPLATE_ID
+};
+
+const send = async ({ to, template, variables }) => {
+  const authKey = process.env.MSG91_AUTH_KEY;
+  if (!authKey) {
+    throw new Error('MSG91_AUTH_KEY is not set');
+  }
+
+  const templateId = templateIds[template];
+  if (!templateId) {
+    throw new Error(`No MSG91 template configured for "${template}"`);
+  }
+
+  const response = await fetch(FLOW_URL, {
+    method: 'POST',
+    headers: {
+      authkey: authKey,
+      accept: 'application/json',
+      'content-type': 'application/json'
+    },
+    body: JSON.stringify({
+      template_id: templateId,
+      short_url: '0',
+      recipients: [{ mobiles: to.replace(/^\+/, ''), ...variables }]
+    })
+  });
+
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok || body.type === 'error') {
+    throw new Error(`MSG91 request failed: ${body.message || response.status}`);
+  }
+};
+
+module.exports = { send };
@@ -0,0 +1,107 @@
+// test/coupon.test.js - Coupon usage limits and redemptions
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+
+// One coupon and its redemptions held in memory, with the usage limit filter
+// and the unique redemption slots of the real collections
+const useStore = (t, couponFields = {}) => {
+  const coupon = new Coupon({
+    code: 'WELCOME10',
+    discountType: 'percentage',
+    value: 10,
+    ...couponFields
+  });
+  const redemptions = [];
+
+  t.mock.method(Coupon, 'findOneAndUpdate', async () => {
+    if (coupon.usageLimit > 0 && coupon.usedCount >= coupon.usageLimit) return null;
+    coupon.usedCount++;
+    return coupon;
+  });
+  t.mock.method(Coupon, 'updateOne', async (filter, update) => {
+    coupon.usedCount += update.$inc.usedCount;
+  });
+
+  const isUser = (redemption, userId) => String(redemption.user) === String(userId);
+  t.mock.method(CouponRedemption, 'find', (filter) => ({
+    select: () => ({
+      lean: async () => redemptions.filter(redemption => isUser(redemption, filter.user))
+    })
+  }));
+  t.mock.method(CouponRedemption, 'countDocuments', async (filter) => {
+    return redemptions.filter(redemption => isUser(redemption, filter.user)).length;
+  });
+  t.mock.method(CouponRedemption, 'create', async (doc) => {
+    const duplicate = doc.slot !== undefined &&
+      redemptions.some(redemption => isUser(redemption, doc.user) && redemption.slot === doc.slot);
+    if (duplicate) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    const redemption = new CouponRedemption(doc);
+    redemptions.push(redemption);
+    return redemption;
+  });
+  t.mock.method(CouponRedemption, 'findOneAndDelete', async (filter) => {
+    const index = redemptions.findIndex(redemption => redemption._id.equals(filter._id));
+    return index === -1 ? null : redemptions.splice(index, 1)[0];
+  });
+
+  return { coupon, redemptions };
+};
+
+const details = { course: new mongoose.Types.ObjectId(), amount: 9000, discount: 1000 };
+
+test('a user cannot use a coupon more often than its per-user limit', async (t) => {
+  const { coupon } = useStore(t, { perUserLimit: 2 });
+  const userId = new mongoose.Types.ObjectId();
+
+  assert.ok(await Coupon.redeem(coupon._id, { user: userId, ...details }));
+  assert.ok(await Coupon.redeem(coupon._id, { user: userId, ...details }));
+  assert.strictEqual(await Coupon.redeem(coupon._id, { user: userId, ...details }), null);
+  assert.strictEqual(coupon.usedCount, 2);
+
+  const userUses = await CouponRedemption.countForUser(coupon._id, userId);
+  assert.strictEqual(coupon.getRejectionReason({ _id: details.course }, userUses), 'You have already used this coupon');
+  assert.ok(await Coupon.redeem(coupon._id, { user: new mongoose.Types.ObjectId(), ...details }));
+});
+
+test('parallel checkouts by one user only redeem once', async (t) => {
+  const { coupon, redemptions } = useStore(t, { perUserLimit: 1 });
+  const userId = new mongoose.Types.ObjectId();
+
+  const results = await Promise.all(
+    Array.from({ length: 5 }, () => Coupon.redeem(coupon._id, { user: userId, ...details }))
+  );
+
+  assert.strictEqual(results.filter(Boolean).length, 1);
+  assert.strictEqual(redemptions.length, 1);
+  assert.strictEqual(coupon.usedCount, 1);
+});
+
+test('the total usage limit holds across users', async (t) => {
+  const { coupon } = useStore(t, { usageLimit: 2, perUserLimit: 0 });
+
+  const results = [];
+  for (let i = 0; i < 3; i++) {
+    results.push(await Coupon.redeem(coupon._id, { user: new mongoose.Types.ObjectId(), ...details }));
+  }
+
+  assert.deepStrictEqual(results.map(Boolean), [true, true, false]);
+  assert.strictEqual(coupon.getRejectionReason({ _id: details.course }), 'This coupon has reached its usage limit');
+});
+
+test('releasing a redemption frees exactly that use', async (t) => {
+  const { coupon, redemptions } = useStore(t, { perUserLimit: 1 });
+  const userId = new mongoose.Types.ObjectId();
+
+  const { redemptionId } = await Coupon.redeem(coupon._id, { user: userId, ...details });
+  await Coupon.release(coupon._id, redemptionId);
+  await Coupon.release(coupon._id, redemptionId);
+
+  assert.strictEqual(redemptions.length, 0);
+  assert.strictEqual(coupon.usedCount, 0);
+  assert.ok(await Coupon.redeem(coupon._id, { user: userId, ...details }));
+});
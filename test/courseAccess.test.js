@@ -0,0 +1,50 @@
+// test/courseAccess.test.js - Enrolled access to a course and installment suspension
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Course = require('../models/Course');
+
+const buildCourse = (enrollments) => new Course({
+  title: 'GS Foundation',
+  institution: new mongoose.Types.ObjectId(),
+  enrollments
+});
+
+test('an enrolled student with active access may use the course', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const course = buildCourse([{ user: userId, paymentStatus: 'completed' }]);
+
+  assert.ok(course.getEnrollment(userId));
+  assert.strictEqual(course.hasEnrolledAccess(userId.toString()), true);
+});
+
+test('an enrollment suspended for a missed installment is refused', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const course = buildCourse([{ user: userId, paymentStatus: 'completed', accessStatus: 'suspended' }]);
+
+  assert.ok(course.getEnrollment(userId));
+  assert.strictEqual(course.hasEnrolledAccess(userId), false);
+});
+
+test('paying the overdue installment restores access', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const course = buildCourse([{
+    user: userId,
+    paymentStatus: 'completed',
+    accessStatus: 'suspended',
+    accessSuspendedAt: new Date(),
+    installments: [{ number: 1, amount: 5000, dueDate: new Date('2026-01-01'), status: 'overdue' }]
+  }]);
+
+  course.settleInstallment(course.enrollments[0], 1);
+
+  assert.strictEqual(course.hasEnrolledAccess(userId), true);
+});
+
+test('users without a completed enrollment have no enrolled access', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const course = buildCourse([{ user: userId, paymentStatus: 'pending' }]);
+
+  assert.strictEqual(course.getEnrollment(userId), undefined);
+  assert.strictEqual(course.hasEnrolledAccess(new mongoose.Types.ObjectId()), false);
+});
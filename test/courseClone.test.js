@@ -0,0 +1,42 @@
+// test/courseClone.test.js - Data copied into a cloned course
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Course = require('../models/Course');
+const { getCloneData } = require('../services/courseCloneService');
+
+const scheduleItem = (date) => ({ id: 1, date, title: 'Orientation' });
+
+const buildCourse = (schedule) => new Course({
+  title: 'GS Foundation 2026',
+  institution: new mongoose.Types.ObjectId(),
+  startDate: new Date('2026-06-01'),
+  endDate: new Date('2027-05-31'),
+  schedule
+});
+
+test('course and schedule dates move by the offset', () => {
+  const data = getCloneData(buildCourse([scheduleItem('2026-06-01')]), 365);
+
+  assert.strictEqual(data.startDate.toISOString().slice(0, 10), '2027-06-01');
+  assert.strictEqual(data.endDate.toISOString().slice(0, 10), '2028-05-30');
+  assert.strictEqual(data.schedule[0].date, '2027-06-01');
+});
+
+test('schedule dates that are not YYYY-MM-DD are copied unchanged', () => {
+  const course = buildCourse([scheduleItem('Every Monday'), scheduleItem('01/06/2026'), scheduleItem('2026-06-01')]);
+
+  const data = getCloneData(course, 7);
+
+  assert.deepStrictEqual(data.schedule.map(item => item.date), ['Every Monday', '01/06/2026', '2026-06-08']);
+});
+
+test('copies get no subdocument ids and keep dates as dates', () => {
+  const course = buildCourse([scheduleItem('2026-06-01')]);
+
+  const data = getCloneData(course);
+
+  assert.strictEqual(data.schedule[0]._id, undefined);
+  assert.ok(data.startDate instanceof Date);
+  assert.strictEqual(data.title, undefined);
+});
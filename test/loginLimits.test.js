@@ -0,0 +1,72 @@
+// test/loginLimits.test.js - Login lockout and per-account rate limits
+const test = require('node:test');
+const assert = require('node:assert');
+const User = require('../models/User');
+const RateLimit = require('../models/RateLimit');
+const { rateLimit } = require('../middleware/rateLimit');
+
+// In-memory counters in place of the RateLimit collection
+const useCounters = (t) => {
+  const counts = new Map();
+  t.mock.method(RateLimit, 'hit', async (key) => {
+    counts.set(key, (counts.get(key) || 0) + 1);
+    return { count: counts.get(key), resetAt: new Date(Date.now() + 60 * 1000) };
+  });
+  return counts;
+};
+
+const send = (middleware, body, ip = '203.0.113.7') => new Promise((resolve) => {
+  const res = {
+    set() {},
+    status(code) {
+      return { json: () => resolve(code) };
+    }
+  };
+  middleware({ body, ip }, res, () => resolve(200));
+});
+
+test('the account is locked after repeated failures, for longer each time', async (t) => {
+  const user = new User({ name: 'Asha', email: 'asha@example.com', role: 'aspirant' });
+  let failures = 0;
+
+  t.mock.method(User, 'findByIdAndUpdate', () => ({
+    select: async () => ({ failedLoginAttempts: ++failures })
+  }));
+  t.mock.method(User, 'updateOne', async () => ({}));
+
+  for (let attempt = 1; attempt < 5; attempt++) {
+    assert.strictEqual(await user.registerFailedLogin(), null);
+    assert.strictEqual(user.isLocked(), false);
+  }
+
+  const firstLock = await user.registerFailedLogin();
+  assert.ok(user.isLocked());
+
+  const secondLock = await user.registerFailedLogin();
+  assert.ok(secondLock - Date.now() > firstLock - Date.now());
+});
+
+test('one phone number written in different ways shares an OTP limit', async (t) => {
+  const counts = useCounters(t);
+  const limiter = rateLimit('sendOtp', 'phone');
+  const numbers = ['98765 43210', '+919876543210', '09876543210', '9876543210', '919876543210'];
+
+  const statuses = [];
+  for (const [index, phone] of numbers.entries()) {
+    statuses.push(await send(limiter, { phone }, `203.0.113.${index}`));
+  }
+  statuses.push(await send(limiter, { phone: '98765-43210' }, '203.0.113.99'));
+
+  assert.deepStrictEqual(statuses, [200, 200, 200, 200, 200, 429]);
+  assert.strictEqual(counts.get('sendOtp:account:+919876543210'), 6);
+});
+
+test('emails are matched without regard to case', async (t) => {
+  const counts = useCounters(t);
+  const limiter = rateLimit('login');
+
+  await send(limiter, { email: 'Asha@Example.com ' });
+  await send(limiter, { email: 'asha@example.com' });
+
+  assert.strictEqual(counts.get('login:account:asha@example.com'), 2);
+});
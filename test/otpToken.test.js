@@ -0,0 +1,102 @@
+// test/otpToken.test.js - One-time code attempts and verification tickets
+const test = require('node:test');
+const assert = require('node:assert');
+const OtpToken = require('../models/OtpToken');
+
+// In-memory stand-in for the otptokens collection, holding one code per
+// identifier/purpose like the unique index does
+const useStore = (t) => {
+  const records = new Map();
+  const keyOf = (filter) => `${filter.identifier}:${filter.purpose}`;
+  const load = (filter) => {
+    const record = records.get(keyOf(filter));
+    if (!record) return null;
+    if (filter.verifiedAt?.$exists === false && record.verifiedAt) return null;
+    if (filter.verifiedAt?.$exists === true && !record.verifiedAt) return null;
+    if (filter.ticketHash && filter.ticketHash !== record.ticketHash) return null;
+    if (filter.expiresAt?.$gt && !(record.expiresAt > filter.expiresAt.$gt)) return null;
+    return record;
+  };
+
+  t.mock.method(OtpToken, 'findOne', async (filter) => {
+    const record = load(filter);
+    return record && OtpToken.hydrate({ ...record });
+  });
+  t.mock.method(OtpToken, 'findOneAndReplace', async (filter, replacement) => {
+    records.set(keyOf(filter), { ...replacement });
+  });
+  t.mock.method(OtpToken, 'findOneAndUpdate', async (filter, update) => {
+    const record = load(filter);
+    if (!record) return null;
+    record.attempts += update.$inc.attempts;
+    return OtpToken.hydrate({ ...record });
+  });
+  t.mock.method(OtpToken, 'findOneAndDelete', async (filter) => {
+    const record = load(filter);
+    if (record) records.delete(keyOf(filter));
+    return record;
+  });
+  t.mock.method(OtpToken.prototype, 'deleteOne', async function() {
+    records.delete(keyOf(this));
+  });
+  t.mock.method(OtpToken.prototype, 'save', async function() {
+    records.set(keyOf(this), this.toObject());
+    return this;
+  });
+
+  return records;
+};
+
+const email = 'asha@example.com';
+
+test('a correct code is swapped for a ticket that can only be used once', async (t) => {
+  useStore(t);
+  const { otp } = await OtpToken.issue(email, 'signup', { name: 'Asha' });
+
+  const { ticket, metadata } = await OtpToken.verifyCode(email, 'signup', otp);
+
+  assert.ok(ticket);
+  assert.deepStrictEqual(metadata, { name: 'Asha' });
+  assert.ok(await OtpToken.findTicket(email, 'signup', ticket));
+  assert.ok(await OtpToken.consumeTicket(email, 'signup', ticket));
+  assert.strictEqual(await OtpToken.consumeTicket(email, 'signup', ticket), null);
+});
+
+test('the code is discarded once the attempt limit is reached', async (t) => {
+  const records = useStore(t);
+  const { otp } = await OtpToken.issue(email, 'signup');
+  const wrong = otp === '111111' ? '222222' : '111111';
+
+  const attemptsLeft = [];
+  for (let attempt = 1; attempt < 5; attempt++) {
+    attemptsLeft.push((await OtpToken.verifyCode(email, 'signup', wrong)).attemptsLeft);
+  }
+
+  assert.deepStrictEqual(attemptsLeft, [4, 3, 2, 1]);
+  assert.deepStrictEqual(await OtpToken.verifyCode(email, 'signup', wrong), { error: 'too_many_attempts' });
+  assert.strictEqual(records.size, 0);
+  assert.deepStrictEqual(await OtpToken.verifyCode(email, 'signup', otp), { error: 'expired' });
+});
+
+test('parallel guesses cannot go past the attempt limit', async (t) => {
+  useStore(t);
+  const { otp } = await OtpToken.issue(email, 'signup');
+  const wrong = otp === '111111' ? '222222' : '111111';
+
+  const results = await Promise.all(
+    Array.from({ length: 10 }, () => OtpToken.verifyCode(email, 'signup', wrong))
+  );
+
+  assert.strictEqual(results.filter(result => result.error === 'invalid').length, 4);
+  assert.ok(results.every(result => result.error !== undefined && !result.ticket));
+});
+
+test('a ticket is only valid for the identifier and purpose it was issued for', async (t) => {
+  useStore(t);
+  const { otp } = await OtpToken.issue(email, 'signup');
+  const { ticket } = await OtpToken.verifyCode(email, 'signup', otp);
+
+  assert.strictEqual(await OtpToken.findTicket('other@example.com', 'signup', ticket), null);
+  assert.strictEqual(await OtpToken.consumeTicket(email, 'phone_login', ticket), null);
+  assert.strictEqual(await OtpToken.consumeTicket(email, 'signup', 'not-the-ticket'), null);
+});
@@ -0,0 +1,77 @@
+// test/session.test.js - Refresh token rotation and reuse detection
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+
+// Keep a single session "in the database" and stub the queries refresh() uses
+const useStoredSession = (t) => {
+  const session = new Session({
+    user: new mongoose.Types.ObjectId(),
+    expiresAt: Date.now()
+  });
+  const refreshToken = session.rotateRefreshToken();
+  const stored = session.toObject();
+
+  const matches = (filter) => String(filter._id) === String(stored._id) &&
+    (!filter.refreshTokenHash || filter.refreshTokenHash === stored.refreshTokenHash) &&
+    (!filter.revokedAt || !stored.revokedAt);
+
+  t.mock.method(Session, 'findById', () => ({
+    select: async () => Session.hydrate({ ...stored })
+  }));
+  t.mock.method(Session, 'findOneAndUpdate', async (filter, update) => {
+    if (!matches(filter)) return null;
+    Object.assign(stored, update.$set);
+    return Session.hydrate({ ...stored });
+  });
+  t.mock.method(Session, 'updateOne', async (filter, update) => {
+    if (matches(filter)) Object.assign(stored, update);
+  });
+  t.mock.method(Session.prototype, 'save', async function() {
+    stored.revokedAt = this.revokedAt;
+    stored.revokedReason = this.revokedReason;
+    return this;
+  });
+
+  return { stored, refreshToken };
+};
+
+test('a refresh token is exchanged for a new pair', async (t) => {
+  const { refreshToken } = useStoredSession(t);
+
+  const result = await Session.refresh(refreshToken);
+
+  assert.ok(result.session);
+  assert.ok(result.refreshToken);
+  assert.notStrictEqual(result.refreshToken, refreshToken);
+});
+
+test('replaying a rotated refresh token revokes the session', async (t) => {
+  const { stored, refreshToken } = useStoredSession(t);
+
+  const first = await Session.refresh(refreshToken);
+  const replay = await Session.refresh(refreshToken);
+
+  assert.deepStrictEqual(replay, { error: 'reused' });
+  assert.strictEqual(stored.revokedReason, 'refresh_token_reuse');
+  assert.deepStrictEqual(await Session.refresh(first.refreshToken), { error: 'invalid' });
+});
+
+test('only one of two concurrent refreshes with the same token succeeds', async (t) => {
+  const { stored, refreshToken } = useStoredSession(t);
+
+  const results = await Promise.all([Session.refresh(refreshToken), Session.refresh(refreshToken)]);
+
+  assert.strictEqual(results.filter(result => result.refreshToken).length, 1);
+  assert.deepStrictEqual(results.find(result => result.error), { error: 'reused' });
+  assert.strictEqual(stored.revokedReason, 'refresh_token_reuse');
+});
+
+test('malformed and unknown refresh tokens are invalid', async (t) => {
+  const { refreshToken } = useStoredSession(t);
+  const sessionId = refreshToken.split('.')[0];
+
+  assert.deepStrictEqual(await Session.refresh('not-a-token'), { error: 'invalid' });
+  assert.deepStrictEqual(await Session.refresh(`${sessionId}.wrong`), { error: 'invalid' });
+});
@@ -0,0 +1,58 @@
+// test/twoFactor.test.js - TOTP codes and backup codes
+const test = require('node:test');
+const assert = require('node:assert');
+const User = require('../models/User');
+const totp = require('../services/totpService');
+
+// RFC 6238 test secret ("12345678901234567890" in base32)
+const SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+const buildUser = (twoFactor = {}) => new User({
+  name: 'Asha',
+  email: 'asha@example.com',
+  role: 'admin',
+  twoFactor: { enabled: true, secret: totp.encryptSecret(SECRET), ...twoFactor }
+});
+
+test('codes match the RFC 6238 reference values, with one step of drift', (t) => {
+  t.mock.method(Date, 'now', () => 59 * 1000);
+  assert.strictEqual(totp.verifyCode(SECRET, '287082'), 1);
+
+  t.mock.method(Date, 'now', () => 1111111109 * 1000);
+  assert.strictEqual(totp.verifyCode(SECRET, '081804'), 37037036);
+  assert.strictEqual(totp.verifyCode(SECRET, '081 804'), 37037036);
+
+  t.mock.method(Date, 'now', () => (1111111109 + 90) * 1000);
+  assert.strictEqual(totp.verifyCode(SECRET, '081804'), null);
+  assert.strictEqual(totp.verifyCode(SECRET, 'abcdef'), null);
+});
+
+test('a TOTP code is accepted once and cannot be replayed', (t) => {
+  t.mock.method(Date, 'now', () => 1111111109 * 1000);
+  const user = buildUser();
+
+  assert.strictEqual(user.checkSecondFactor('081804'), true);
+  assert.strictEqual(user.twoFactor.lastUsedStep, 37037036);
+  assert.strictEqual(user.checkSecondFactor('081804'), false);
+  assert.strictEqual(user.checkSecondFactor('000000'), false);
+});
+
+test('each backup code works once, however it is typed', () => {
+  const { codes, hashes } = totp.generateBackupCodes();
+  const user = buildUser({ backupCodes: hashes.map(codeHash => ({ codeHash })) });
+
+  assert.strictEqual(codes.length, 10);
+  assert.strictEqual(new Set(codes).size, 10);
+  assert.strictEqual(user.checkSecondFactor(undefined, codes[0].toUpperCase().replace('-', ' ')), true);
+  assert.strictEqual(user.checkSecondFactor(undefined, codes[0]), false);
+  assert.strictEqual(user.checkSecondFactor(undefined, 'aaaaa-bbbbb'), false);
+  assert.strictEqual(user.twoFactor.backupCodes.filter(code => !code.usedAt).length, 9);
+});
+
+test('secrets are stored encrypted', () => {
+  const encrypted = totp.encryptSecret(SECRET);
+
+  assert.ok(!encrypted.includes(SECRET));
+  assert.notStrictEqual(totp.encryptSecret(SECRET), encrypted);
+  assert.strictEqual(totp.decryptSecret(encrypted), SECRET);
+});